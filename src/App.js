@@ -1,8 +1,13 @@
 import { BuildingShadows } from './lib/shadowShader';
 import { formatDateTime, parseDateTime } from './lib/timeFormat';
 import { updateRouteShade } from './lib/routeAnalysis';
-import { findWalkingRoutes, ROUTE_TYPE, ROUTE_PROGRESS_STATUS, getProgressMessage } from './lib/routing';
+import { findWalkingRoutes, findIsochrone, findLoopRoutes, findBestDepartureTimes, rerouteWithDetourBudget, isAbortError, ROUTE_TYPE, DETOUR_ROUTE_ID, AUTO_ROUTE_ID, MAP_MODE, TREE_SHADE_MODE, TRAVEL_MODE, ROUTE_PROGRESS_STATUS, getProgressMessage } from './lib/routing';
+import { drawIsochrone, clearIsochrone as clearIsochroneLayer } from './lib/isochroneLayer';
 import { debugLog, debugError, isDebugMode } from './lib/debugUtils';
+import { loadProfiles, saveProfiles } from './lib/routingProfiles';
+import { getDefaultWaysProvider, createFileProvider } from './lib/waysProviders';
+import { getDefaultElevationProvider, createGeoTiffFileProvider } from './lib/elevationProviders';
+import { getDefaultWeatherProvider } from './lib/weatherProviders';
 import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import ControlPanel from './components/ControlPanel';
 import ErrorScreen from './components/ErrorScreen';
@@ -33,6 +38,13 @@ const isMobileDevice = () => {
          (isMobileUserAgent && isSmallScreen);
 };
 
+// The autoRoute option of findWalkingRoutes for the auto route settings
+const toAutoRouteOption = ({ enabled, temperature }, weatherProvider) => {
+  if (!enabled) return null;
+  const entered = parseFloat(temperature);
+  return { temperature: Number.isFinite(entered) ? entered : null, weatherProvider };
+};
+
 function App() {
   const mapContainer = useRef(null);
   const map = useRef(null);
@@ -41,14 +53,47 @@ function App() {
   const [error] = useState(null);
   const [routeError, setRouteError] = useState(null);
   const [selectedDateTime, setSelectedDateTime] = useState(formatDateTime(new Date()));
+  // Whether selectedDateTime is when to arrive rather than when to leave
+  const [arriveBy, setArriveBy] = useState(false);
   const [mapCenter, setMapCenter] = useState(manhattanCenter);
   const [startPoint, setStartPoint] = useState(null);
   const [endPoint, setEndPoint] = useState(null);
+  const [waypoints, setWaypoints] = useState([]);
+  const [optimizeStopOrder, setOptimizeStopOrder] = useState(false);
+  const [timeExpanded, setTimeExpanded] = useState(false);
+  const [uvWeighted, setUvWeighted] = useState(false);
+  // Auto route from the temperature; a blank temperature asks the weather provider
+  const [autoRoute, setAutoRoute] = useState({ enabled: false, temperature: '' });
+  const [weatherProvider] = useState(getDefaultWeatherProvider);
+  const [accessibleRouting, setAccessibleRouting] = useState(false);
+  const [travelMode, setTravelMode] = useState(TRAVEL_MODE.WALK);
+  const [treeShade, setTreeShade] = useState(TREE_SHADE_MODE.AUTO);
+  const [profiles, setProfiles] = useState(loadProfiles);
+  const [detourBudgetPercent, setDetourBudgetPercent] = useState(15);
+  const [loopTarget, setLoopTarget] = useState({ value: 30, unit: 'min' });
+  const [departureWindow, setDepartureWindow] = useState({ hours: 4, stepMinutes: 15 });
+  const [departureScores, setDepartureScores] = useState(null);
+  const detourRerouteTimeout = useRef(null);
+  // The pending detour budget re-solve; any new request aborts it
+  const detourRequest = useRef(null);
+  const [waysProvider, setWaysProvider] = useState(getDefaultWaysProvider);
+  const [elevationProvider, setElevationProvider] = useState(getDefaultElevationProvider);
+  const [mapMode, setMapMode] = useState(MAP_MODE.ROUTE);
+  const [isochroneOrigin, setIsochroneOrigin] = useState(null);
+  const [isochrone, setIsochrone] = useState(null);
+  const [isochroneMinutes, setIsochroneMinutes] = useState(15);
+  const [isochroneProfileId, setIsochroneProfileId] = useState(ROUTE_TYPE.SHADY);
   const [routeData, setRouteData] = useState(null);
+  const [routeArrivesBy, setRouteArrivesBy] = useState(false);
   const [selectedRouteType, setSelectedRouteType] = useState(ROUTE_TYPE.SHADY);
   const [isLoadingRoute, setIsLoadingRoute] = useState(false);
   const [routeStats, setRouteStats] = useState(null);
   const [routeProgress, setRouteProgress] = useState([]);
+  // Only the latest route, loop or isochrone request may finish; a new one or
+  // the Cancel button aborts the one in flight
+  const routeRequest = useRef(null);
+  // What the latest request was, so the error modal can run it again
+  const lastRequest = useRef(null);
 
   // Get the currently selected route from the routeData
   const currentRoute = useMemo(() => {
@@ -56,6 +101,22 @@ function App() {
     return routeData[selectedRouteType];
   }, [routeData, selectedRouteType]);
 
+  // Arrive-by routes all leave when the lead route has to, and were found with
+  // the shade as it is then; each arrives after its own duration
+  const routeTiming = useMemo(() => {
+    if (!routeArrivesBy || !currentRoute?.departure) return null;
+    const { departure } = currentRoute;
+    return { departure, arrival: new Date(departure.getTime() + currentRoute.duration * 1000) };
+  }, [routeArrivesBy, currentRoute]);
+
+  const autoRouteOption = useMemo(() => toAutoRouteOption(autoRoute, weatherProvider), [autoRoute, weatherProvider]);
+
+  // When the shadows on the map are for, which is also when the route sets off
+  const shadowDate = useMemo(
+    () => (routeTiming ? routeTiming.departure : parseDateTime(selectedDateTime)),
+    [routeTiming, selectedDateTime]
+  );
+
   const solarPosition = useMemo(() => {
     const date = parseDateTime(selectedDateTime);
     const sunPosition = SunCalc.getPosition(date, mapCenter.lat, mapCenter.lng);
@@ -69,22 +130,18 @@ function App() {
     console.log(`Turn on debug mode: ${window.location}?debug=true`);
   }
 
-  const fetchRoute = useCallback(async (start, end) => {
-    if (!start || !end) return;
-
-    setIsLoadingRoute(true);
-    setRouteError(null);
-    
-    // Initialize progress steps
+  // Show the progress steps of a search and return the callback that advances
+  // them; route and isochrone searches differ only in their last step
+  const startProgress = useCallback((searchStatus) => {
     const progressSteps = [
-      { id: ROUTE_PROGRESS_STATUS.GETTING_WAYS_DATA, label: getProgressMessage(ROUTE_PROGRESS_STATUS.GETTING_WAYS_DATA), completed: false },
-      { id: ROUTE_PROGRESS_STATUS.COMPUTING_SHADE_MAP, label: getProgressMessage(ROUTE_PROGRESS_STATUS.COMPUTING_SHADE_MAP), completed: false },
-      { id: ROUTE_PROGRESS_STATUS.BUILDING_GRAPH, label: getProgressMessage(ROUTE_PROGRESS_STATUS.BUILDING_GRAPH), completed: false },
-      { id: ROUTE_PROGRESS_STATUS.FINDING_ROUTE, label: getProgressMessage(ROUTE_PROGRESS_STATUS.FINDING_ROUTE), completed: false }
-    ];
+      ROUTE_PROGRESS_STATUS.GETTING_WAYS_DATA,
+      ROUTE_PROGRESS_STATUS.COMPUTING_SHADE_MAP,
+      ROUTE_PROGRESS_STATUS.BUILDING_GRAPH,
+      searchStatus
+    ].map(id => ({ id, label: getProgressMessage(id), completed: false }));
     setRouteProgress(progressSteps);
-    
-    const onProgress = (status) => {
+
+    return (status) => {
       setRouteProgress(prevProgress => {
         const newProgress = [...prevProgress];
         
@@ -95,7 +152,7 @@ function App() {
           newProgress[0].completed = true;
         } else if (status === ROUTE_PROGRESS_STATUS.BUILDING_GRAPH) {
           newProgress[1].completed = true;
-        } else if (status === ROUTE_PROGRESS_STATUS.FINDING_ROUTE) {
+        } else if (status === searchStatus) {
           newProgress[2].completed = true;
         } else if (status === ROUTE_PROGRESS_STATUS.ROUTE_COMPLETED) {
           newProgress[3].completed = true;
@@ -104,27 +161,199 @@ function App() {
         return newProgress;
       });
     };
+  }, []);
+
+  // A detour re-solve only ever updates the routes it was started for
+  const abortDetourReroute = useCallback(() => {
+    clearTimeout(detourRerouteTimeout.current);
+    if (detourRequest.current) detourRequest.current.abort();
+    detourRequest.current = null;
+  }, []);
+
+  const beginRequest = useCallback(() => {
+    if (routeRequest.current) routeRequest.current.abort();
+    abortDetourReroute();
+    const controller = new AbortController();
+    routeRequest.current = controller;
+    return controller;
+  }, [abortDetourReroute]);
+
+  // Loading state belongs to the latest request; a superseded one leaves it alone
+  const endRequest = useCallback((controller) => {
+    if (routeRequest.current !== controller) return;
+    routeRequest.current = null;
+    setIsLoadingRoute(false);
+    setRouteProgress([]);
+  }, []);
+
+  const cancelRequest = useCallback(() => {
+    if (routeRequest.current) routeRequest.current.abort();
+    abortDetourReroute();
+  }, [abortDetourReroute]);
+
+  const fetchRoute = useCallback(async (start, end, stops = [], routeOptions = {}) => {
+    if (!start || !end) return;
+
+    lastRequest.current = { type: 'route', args: [start, end, stops, routeOptions] };
+    const controller = beginRequest();
+    setIsLoadingRoute(true);
+    setRouteError(null);
+    
+    const onProgress = startProgress(ROUTE_PROGRESS_STATUS.FINDING_ROUTE);
 
     try {
       const date = parseDateTime(selectedDateTime);
       const options = {
-        onProgress
+        onProgress,
+        waypoints: stops,
+        optimizeOrder: optimizeStopOrder,
+        timeExpanded,
+        uvWeighted,
+        autoRoute: autoRouteOption,
+        accessible: accessibleRouting,
+        travelMode,
+        treeShade,
+        profiles,
+        detourBudget: { percent: detourBudgetPercent },
+        arriveBy,
+        waysProvider,
+        elevationProvider,
+        signal: controller.signal,
+        ...routeOptions
       }
       const routes = await findWalkingRoutes(start, end, date, options);
+      if (controller.signal.aborted) return;
       setRouteData(routes);
+      setRouteArrivesBy(options.arriveBy);
+      setDepartureScores(null);
+      // A loop selected before a destination was set has no counterpart here
+      setSelectedRouteType(prevRouteType => (routes[prevRouteType] ? prevRouteType : Object.keys(routes)[0]));
     } catch (error) {
+      if (isAbortError(error)) return;
       debugError('Error fetching route:', error);
       setRouteData(null);
       setRouteError(error);
     } finally {
-      setIsLoadingRoute(false);
-      setRouteProgress([]);
+      endRequest(controller);
+    }
+  }, [beginRequest, endRequest, startProgress, selectedDateTime, optimizeStopOrder, timeExpanded, uvWeighted, autoRouteOption, accessibleRouting, travelMode, treeShade, profiles, detourBudgetPercent, arriveBy, waysProvider, elevationProvider]);
+
+  const fetchLoops = useCallback(async (start) => {
+    if (!start) return;
+
+    lastRequest.current = { type: 'loops', args: [start] };
+    const controller = beginRequest();
+    setIsLoadingRoute(true);
+    setRouteError(null);
+    const onProgress = startProgress(ROUTE_PROGRESS_STATUS.FINDING_ROUTE);
+
+    try {
+      const value = Number(loopTarget.value) || 30;
+      const loops = await findLoopRoutes(start, parseDateTime(selectedDateTime), {
+        onProgress,
+        target: loopTarget.unit === 'km' ? { distance: value * 1000 } : { minutes: value },
+        timeExpanded,
+        profile: profiles.find(profile => profile.id === ROUTE_TYPE.SHADY) ?? profiles[0],
+        accessible: accessibleRouting,
+        travelMode,
+        treeShade,
+        waysProvider,
+        elevationProvider,
+        signal: controller.signal
+      });
+      if (controller.signal.aborted) return;
+      setRouteData(loops);
+      setRouteArrivesBy(false);
+      setSelectedRouteType(Object.keys(loops)[0]);
+    } catch (error) {
+      if (isAbortError(error)) return;
+      debugError('Error generating loops:', error);
+      setRouteData(null);
+      setRouteError(error);
+    } finally {
+      endRequest(controller);
     }
-  }, [selectedDateTime]);
+  }, [beginRequest, endRequest, startProgress, selectedDateTime, loopTarget, timeExpanded, profiles, accessibleRouting, travelMode, treeShade, waysProvider, elevationProvider]);
+
+  // Score departures across the chosen window for the current stops, starting
+  // at the time on the slider
+  const fetchDepartureTimes = useCallback(async () => {
+    if (!startPoint || !endPoint) return;
+
+    lastRequest.current = { type: 'departures', args: [] };
+    const controller = beginRequest();
+    setIsLoadingRoute(true);
+    setRouteError(null);
+    const onProgress = startProgress(ROUTE_PROGRESS_STATUS.SCORING_DEPARTURES);
+
+    try {
+      const scores = await findBestDepartureTimes(startPoint, endPoint, parseDateTime(selectedDateTime), {
+        onProgress,
+        windowMinutes: departureWindow.hours * 60,
+        stepMinutes: departureWindow.stepMinutes,
+        profile: profiles.find(profile => profile.id === ROUTE_TYPE.SHADY) ?? profiles[0],
+        waypoints,
+        accessible: accessibleRouting,
+        travelMode,
+        treeShade,
+        waysProvider,
+        elevationProvider,
+        signal: controller.signal
+      });
+      if (controller.signal.aborted) return;
+      setDepartureScores(scores);
+    } catch (error) {
+      if (isAbortError(error)) return;
+      debugError('Error comparing departure times:', error);
+      setDepartureScores(null);
+      setRouteError(error);
+    } finally {
+      endRequest(controller);
+    }
+  }, [beginRequest, endRequest, startProgress, startPoint, endPoint, waypoints, selectedDateTime, departureWindow, profiles, accessibleRouting, travelMode, treeShade, waysProvider, elevationProvider]);
+
+  const fetchIsochrone = useCallback(async (origin, isochroneOptions = {}) => {
+    if (!origin) return;
+
+    lastRequest.current = { type: 'isochrone', args: [origin, isochroneOptions] };
+    const controller = beginRequest();
+    setIsLoadingRoute(true);
+    setRouteError(null);
+    const onProgress = startProgress(ROUTE_PROGRESS_STATUS.EXPLORING_AREA);
+
+    try {
+      const { minutes = isochroneMinutes, profileId = isochroneProfileId, mode = travelMode } = isochroneOptions;
+      const result = await findIsochrone(origin, parseDateTime(selectedDateTime), {
+        onProgress,
+        timeBudgetMinutes: minutes,
+        profile: profiles.find(profile => profile.id === profileId) ?? profiles[0],
+        accessible: accessibleRouting,
+        travelMode: mode,
+        treeShade,
+        waysProvider,
+        elevationProvider,
+        signal: controller.signal
+      });
+      if (controller.signal.aborted) return;
+      setIsochrone(result);
+    } catch (error) {
+      if (isAbortError(error)) return;
+      debugError('Error computing reachable area:', error);
+      setIsochrone(null);
+      setRouteError(error);
+    } finally {
+      endRequest(controller);
+    }
+  }, [beginRequest, endRequest, startProgress, selectedDateTime, isochroneMinutes, isochroneProfileId, profiles, accessibleRouting, travelMode, treeShade, waysProvider, elevationProvider]);
 
   const handleMapClick = useCallback((e) => {
     const { lng, lat } = e.lngLat;
-    if (!startPoint) {
+    if (mapMode === MAP_MODE.ISOCHRONE) {
+      debugLog('Setting isochrone origin: ', { lng, lat });
+      const origin = { lng, lat };
+      setIsochroneOrigin(origin);
+      fetchIsochrone(origin);
+    } else if (!startPoint) {
       debugLog('Setting start point: ', { lng, lat });
       setStartPoint({ lng, lat });
     } else if (!endPoint) {
@@ -133,21 +362,167 @@ function App() {
       setEndPoint(end);
       fetchRoute(startPoint, end);
     } else {
-      debugLog('Resetting points');
-      setStartPoint({ lng, lat });
-      setEndPoint(null);
-      setRouteData(null);
+      // The previous destination becomes an intermediate stop
+      debugLog('Adding stop: ', { lng, lat });
+      const end = { lng, lat };
+      const stops = [...waypoints, endPoint];
+      setWaypoints(stops);
+      setEndPoint(end);
+      fetchRoute(startPoint, end, stops);
+    }
+  }, [mapMode, startPoint, endPoint, waypoints, fetchRoute, fetchIsochrone]);
+
+  const handleOptimizeStopOrderChange = useCallback((enabled) => {
+    setOptimizeStopOrder(enabled);
+    if (startPoint && endPoint && waypoints.length > 1) {
+      fetchRoute(startPoint, endPoint, waypoints, { optimizeOrder: enabled });
+    }
+  }, [startPoint, endPoint, waypoints, fetchRoute]);
+
+  const handleProfilesChange = useCallback((newProfiles) => {
+    setProfiles(newProfiles);
+    saveProfiles(newProfiles);
+    if (!newProfiles.some(profile => profile.id === selectedRouteType)) {
+      setSelectedRouteType(newProfiles[0]?.id);
+    }
+    if (startPoint && endPoint) {
+      fetchRoute(startPoint, endPoint, waypoints, { profiles: newProfiles });
+    }
+  }, [selectedRouteType, startPoint, endPoint, waypoints, fetchRoute]);
+
+  // Re-solve only the detour budget route on the already built graph. The
+  // worker checks that its graph is the one these routes came from, and a
+  // result that arrives after the routes were replaced is dropped.
+  const handleDetourBudgetChange = useCallback((percent) => {
+    setDetourBudgetPercent(percent);
+    abortDetourReroute();
+    const routingId = routeData && Object.values(routeData)[0]?.routingId;
+    if (routingId === undefined) return;
+    detourRerouteTimeout.current = setTimeout(async () => {
+      const controller = new AbortController();
+      detourRequest.current = controller;
+      try {
+        const route = await rerouteWithDetourBudget({ percent }, { routingId, signal: controller.signal });
+        if (controller.signal.aborted) return;
+        setRouteData(prevRouteData => (
+          prevRouteData && Object.values(prevRouteData)[0]?.routingId === routingId
+            ? { ...prevRouteData, [DETOUR_ROUTE_ID]: { ...route, routingId, departure: Object.values(prevRouteData)[0].departure } }
+            : prevRouteData
+        ));
+      } catch (error) {
+        if (isAbortError(error)) return;
+        debugError('Error re-solving detour budget route:', error);
+      } finally {
+        if (detourRequest.current === controller) detourRequest.current = null;
+      }
+    }, 200);
+  }, [routeData, abortDetourReroute]);
+
+  const handleTimeExpandedChange = useCallback((enabled) => {
+    setTimeExpanded(enabled);
+    if (startPoint && endPoint) {
+      fetchRoute(startPoint, endPoint, waypoints, { timeExpanded: enabled });
+    }
+  }, [startPoint, endPoint, waypoints, fetchRoute]);
+
+  const handleUvWeightedChange = useCallback((enabled) => {
+    setUvWeighted(enabled);
+    if (startPoint && endPoint) {
+      fetchRoute(startPoint, endPoint, waypoints, { uvWeighted: enabled });
+    }
+  }, [startPoint, endPoint, waypoints, fetchRoute]);
+
+  const handleAutoRouteChange = useCallback((next) => {
+    setAutoRoute(next);
+    // Switching the auto route on shows it
+    if (next.enabled && !autoRoute.enabled) setSelectedRouteType(AUTO_ROUTE_ID);
+    if (startPoint && endPoint) {
+      fetchRoute(startPoint, endPoint, waypoints, { autoRoute: toAutoRouteOption(next, weatherProvider) });
     }
-  }, [startPoint, endPoint, fetchRoute]);
+  }, [autoRoute, startPoint, endPoint, waypoints, weatherProvider, fetchRoute]);
+
+  const handleAccessibleRoutingChange = useCallback((enabled) => {
+    setAccessibleRouting(enabled);
+    if (startPoint && endPoint) {
+      fetchRoute(startPoint, endPoint, waypoints, { accessible: enabled });
+    }
+  }, [startPoint, endPoint, waypoints, fetchRoute]);
+
+  // The street network and speeds change with the mode, so whatever is on the
+  // map is worked out again
+  const handleTravelModeChange = useCallback((mode) => {
+    setTravelMode(mode);
+    if (mapMode === MAP_MODE.ISOCHRONE) {
+      if (isochroneOrigin) fetchIsochrone(isochroneOrigin, { mode });
+    } else if (startPoint && endPoint) {
+      fetchRoute(startPoint, endPoint, waypoints, { travelMode: mode });
+    }
+  }, [mapMode, isochroneOrigin, startPoint, endPoint, waypoints, fetchIsochrone, fetchRoute]);
+
+  const handleTreeShadeChange = useCallback((mode) => {
+    setTreeShade(mode);
+    if (startPoint && endPoint) {
+      fetchRoute(startPoint, endPoint, waypoints, { treeShade: mode });
+    }
+  }, [startPoint, endPoint, waypoints, fetchRoute]);
+
+  const handleArriveByChange = useCallback((enabled) => {
+    setArriveBy(enabled);
+    if (startPoint && endPoint) {
+      fetchRoute(startPoint, endPoint, waypoints, { arriveBy: enabled });
+    }
+  }, [startPoint, endPoint, waypoints, fetchRoute]);
+
+  // Zoom the map to the part of the route one instruction covers
+  const handleInstructionClick = useCallback((step) => {
+    if (!map.current || !currentRoute) return;
+    const stepCoordinates = currentRoute.coordinates.slice(step.startIndex, step.endIndex + 1);
+    const bounds = stepCoordinates.reduce(
+      (stepBounds, coord) => stepBounds.extend(coord),
+      new mapboxgl.LngLatBounds(stepCoordinates[0], stepCoordinates[0])
+    );
+    map.current.fitBounds(bounds, { padding: 80, maxZoom: 18, duration: 800 });
+  }, [currentRoute]);
 
   const clearRoute = useCallback(() => {
+    cancelRequest();
     setStartPoint(null);
     setEndPoint(null);
+    setWaypoints([]);
     setRouteData(null);
+    setRouteArrivesBy(false);
     setRouteStats(null);
+    setDepartureScores(null);
     setSelectedRouteType(ROUTE_TYPE.SHADY);
     setRouteError(null);
-  }, []);
+  }, [cancelRequest]);
+
+  const clearIsochrone = useCallback(() => {
+    cancelRequest();
+    setIsochroneOrigin(null);
+    setIsochrone(null);
+    setRouteError(null);
+  }, [cancelRequest]);
+
+  const handleMapModeChange = useCallback((mode) => {
+    setMapMode(mode);
+    clearRoute();
+    clearIsochrone();
+  }, [clearRoute, clearIsochrone]);
+
+  const handleIsochroneMinutesChange = useCallback((minutes) => {
+    setIsochroneMinutes(minutes);
+    if (isochroneOrigin) {
+      fetchIsochrone(isochroneOrigin, { minutes });
+    }
+  }, [isochroneOrigin, fetchIsochrone]);
+
+  const handleIsochroneProfileChange = useCallback((profileId) => {
+    setIsochroneProfileId(profileId);
+    if (isochroneOrigin) {
+      fetchIsochrone(isochroneOrigin, { profileId });
+    }
+  }, [isochroneOrigin, fetchIsochrone]);
 
   const handleGeolocate = useCallback(() => {
     if (!navigator.geolocation) {
@@ -211,12 +586,54 @@ function App() {
     clearRoute();
   }, [clearRoute]);
 
+  // Run the failed request again with the points still in place
+  const retryRouteRequest = useCallback(() => {
+    setRouteError(null);
+    if (!lastRequest.current) return;
+    const { type, args } = lastRequest.current;
+    if (type === 'route') fetchRoute(...args);
+    else if (type === 'loops') fetchLoops(...args);
+    else if (type === 'isochrone') fetchIsochrone(...args);
+    else if (type === 'departures') fetchDepartureTimes();
+  }, [fetchRoute, fetchLoops, fetchIsochrone, fetchDepartureTimes]);
+
+  const handleDepartureSelect = useCallback((date) => {
+    setSelectedDateTime(formatDateTime(date));
+  }, []);
+
   const setDebugPoints = useCallback((startPoint, endPoint) => {
     setStartPoint(startPoint);
     setEndPoint(endPoint);
+    setWaypoints([]);
     fetchRoute(startPoint, endPoint);
   }, [fetchRoute]);
 
+  const loadWaysFile = useCallback(async (file) => {
+    try {
+      setWaysProvider(await createFileProvider(file));
+    } catch (error) {
+      debugError('Error loading ways file:', error);
+      setRouteError(error);
+    }
+  }, []);
+
+  const resetWaysProvider = useCallback(() => {
+    setWaysProvider(getDefaultWaysProvider());
+  }, []);
+
+  const loadElevationFile = useCallback(async (file) => {
+    try {
+      setElevationProvider(await createGeoTiffFileProvider(file));
+    } catch (error) {
+      debugError('Error loading elevation file:', error);
+      setRouteError(error);
+    }
+  }, []);
+
+  const resetElevationProvider = useCallback(() => {
+    setElevationProvider(getDefaultElevationProvider());
+  }, []);
+
   // Initialize map
   useEffect(() => {
     if (!error && !map.current && mapContainer.current) {
@@ -297,15 +714,15 @@ function App() {
   // Update shadow layer when solar position changes
   useEffect(() => {
     if (shadowLayer.current) {
-      shadowLayer.current.updateDate(parseDateTime(selectedDateTime));
+      shadowLayer.current.updateDate(shadowDate);
       if (currentRoute) {
         setTimeout(() => {
-          const stats = updateRouteShade(currentRoute, shadowLayer.current, map.current);
+          const stats = updateRouteShade(currentRoute, shadowLayer.current, map.current, shadowDate);
           setRouteStats(stats);
         }, 100);
       }
     }
-  }, [selectedDateTime, currentRoute]);
+  }, [shadowDate, currentRoute]);
 
   // Handle viewport resize to redraw shadow shader
   useEffect(() => {
@@ -334,6 +751,17 @@ function App() {
     const existingMarkers = document.querySelectorAll('.route-marker');
     existingMarkers.forEach(marker => marker.remove());
 
+    // The isochrone origin looks like a start point
+    if (isochroneOrigin) {
+      const originEl = document.createElement('div');
+      originEl.className = 'route-marker';
+      originEl.className += ' w-5 h-5 rounded-full bg-start-marker border border-white shadow-[0_2px_4px_rgba(0,0,0,0.3)] cursor-pointer';
+
+      new mapboxgl.Marker(originEl)
+        .setLngLat([isochroneOrigin.lng, isochroneOrigin.lat])
+        .addTo(map.current);
+    }
+
     // Add start point marker
     if (startPoint) {
       const startEl = document.createElement('div');
@@ -345,6 +773,20 @@ function App() {
         .addTo(map.current);
     }
 
+    // Add intermediate stop markers, numbered in visiting order
+    const stopOrder = currentRoute?.stopOrder;
+    waypoints.forEach((waypoint, i) => {
+      const visitNumber = stopOrder ? stopOrder.indexOf(i + 1) : i + 1;
+      const waypointEl = document.createElement('div');
+      waypointEl.className = 'route-marker';
+      waypointEl.className += ' w-5 h-5 rounded-full bg-waypoint-marker border border-white shadow-[0_2px_4px_rgba(0,0,0,0.3)] cursor-pointer text-white text-[10px] font-bold flex items-center justify-center';
+      waypointEl.textContent = String(visitNumber);
+
+      new mapboxgl.Marker(waypointEl)
+        .setLngLat([waypoint.lng, waypoint.lat])
+        .addTo(map.current);
+    });
+
     // Add end point marker
     if (endPoint) {
       const endEl = document.createElement('div');
@@ -355,7 +797,17 @@ function App() {
         .setLngLat([endPoint.lng, endPoint.lat])
         .addTo(map.current);
     }
-  }, [startPoint, endPoint]);
+  }, [startPoint, endPoint, waypoints, currentRoute, isochroneOrigin]);
+
+  // Add/update the reachable area when the isochrone changes
+  useEffect(() => {
+    if (!map.current) return;
+    if (isochrone) {
+      drawIsochrone(isochrone, map.current);
+    } else {
+      clearIsochroneLayer(map.current);
+    }
+  }, [isochrone]);
 
   // Add/update route when route data changes
   useEffect(() => {
@@ -406,10 +858,10 @@ function App() {
           'line-opacity': 0.75
         }
       }, '3d-buildings');
-      const stats = updateRouteShade(currentRoute, shadowLayer.current, map.current);
+      const stats = updateRouteShade(currentRoute, shadowLayer.current, map.current, shadowDate);
       setRouteStats(stats);
     }
-  }, [currentRoute]);
+  }, [currentRoute, shadowDate]);
 
   if (error) {
     return <ErrorScreen error={error} />;
@@ -421,13 +873,54 @@ function App() {
 
       <ControlPanel
         solarPosition={solarPosition}
+        mapMode={mapMode}
+        onMapModeChange={handleMapModeChange}
+        isochroneOrigin={isochroneOrigin}
+        isochrone={isochrone}
+        isochroneMinutes={isochroneMinutes}
+        onIsochroneMinutesChange={handleIsochroneMinutesChange}
+        isochroneProfileId={isochroneProfileId}
+        onIsochroneProfileChange={handleIsochroneProfileChange}
+        clearIsochrone={clearIsochrone}
         startPoint={startPoint}
         endPoint={endPoint}
+        waypoints={waypoints}
+        optimizeStopOrder={optimizeStopOrder}
+        onOptimizeStopOrderChange={handleOptimizeStopOrderChange}
+        timeExpanded={timeExpanded}
+        onTimeExpandedChange={handleTimeExpandedChange}
+        uvWeighted={uvWeighted}
+        onUvWeightedChange={handleUvWeightedChange}
+        autoRoute={autoRoute}
+        onAutoRouteChange={handleAutoRouteChange}
+        weatherProviderName={weatherProvider.name}
+        accessibleRouting={accessibleRouting}
+        onAccessibleRoutingChange={handleAccessibleRoutingChange}
+        travelMode={travelMode}
+        onTravelModeChange={handleTravelModeChange}
+        treeShade={treeShade}
+        onTreeShadeChange={handleTreeShadeChange}
+        profiles={profiles}
+        onProfilesChange={handleProfilesChange}
+        detourBudgetPercent={detourBudgetPercent}
+        onDetourBudgetChange={handleDetourBudgetChange}
+        loopTarget={loopTarget}
+        onLoopTargetChange={setLoopTarget}
+        onGenerateLoops={() => fetchLoops(startPoint)}
+        departureWindow={departureWindow}
+        onDepartureWindowChange={setDepartureWindow}
+        onFindDepartureTimes={fetchDepartureTimes}
+        departureScores={departureScores}
+        onDepartureSelect={handleDepartureSelect}
         routeData={routeData}
         currentRoute={currentRoute}
+        routeTiming={routeTiming}
+        routeDeparture={shadowDate}
         selectedRouteType={selectedRouteType}
         onRouteTypeChange={setSelectedRouteType}
+        onInstructionClick={handleInstructionClick}
         isProcessingRoute={isLoadingRoute}
+        onCancelRoute={cancelRequest}
         clearRoute={clearRoute}
         routeStats={routeStats}
         routeProgress={routeProgress}
@@ -437,15 +930,25 @@ function App() {
       <TimeSlider
         selectedDateTime={selectedDateTime}
         setSelectedDateTime={setSelectedDateTime}
+        arriveBy={arriveBy}
+        onArriveByChange={handleArriveByChange}
+        departureScores={departureScores}
       />
 
       <ErrorModal 
         error={routeError} 
         onClose={closeRouteError} 
+        onRetry={retryRouteRequest}
       />
 
       <DebugIndicator
         onSetPoints={setDebugPoints}
+        waysProvider={waysProvider}
+        onLoadWaysFile={loadWaysFile}
+        onResetWaysProvider={resetWaysProvider}
+        elevationProvider={elevationProvider}
+        onLoadElevationFile={loadElevationFile}
+        onResetElevationProvider={resetElevationProvider}
       />
     </div>
   );
@@ -1,17 +1,82 @@
 import { useState, useEffect, useRef } from 'react';
 import { exportRouteAsGPX } from '../lib/gpxExport';
 import { debugError } from '../lib/debugUtils';
-import { ROUTE_TYPE } from '../lib/routing';
+import ProfileEditor from './ProfileEditor';
+import IsochronePanel from './IsochronePanel';
+import ElevationProfile from './ElevationProfile';
+import { DETOUR_ROUTE_ID, AUTO_ROUTE_ID, MAP_MODE, TREE_SHADE_MODE, TRAVEL_MODE, isLoopRouteId } from '../lib/routing';
+import { getBarrierLabel } from '../lib/accessibility';
+import { CROSSING_TYPE, getCrossingLabel } from '../lib/crossings';
+import { formatStep } from '../lib/instructions';
+import { formatClockTime } from '../lib/timeFormat';
+
+// "2 × Steps, 1 × Raised kerb"
+const summarizeBarriers = (barriers) => {
+  const counts = new Map();
+  barriers.forEach(barrier => counts.set(barrier.type, (counts.get(barrier.type) ?? 0) + 1));
+  return [...counts].map(([type, count]) => `${count} × ${getBarrierLabel(type)}`).join(', ');
+};
+
+// "5 crossings (3 signalled, 2 unmarked)"
+const summarizeCrossings = (crossings) => {
+  if (crossings.length === 0) return 'No road crossings';
+  const counts = Object.values(CROSSING_TYPE)
+    .map(type => [type, crossings.filter(crossing => crossing.type === type).length])
+    .filter(([, count]) => count > 0)
+    .map(([type, count]) => `${count} ${getCrossingLabel(type)}`);
+  return `${crossings.length} crossing${crossings.length === 1 ? '' : 's'} (${counts.join(', ')})`;
+};
 
 const ControlPanel = ({
   solarPosition,
+  mapMode,
+  onMapModeChange,
+  isochroneOrigin,
+  isochrone,
+  isochroneMinutes,
+  onIsochroneMinutesChange,
+  isochroneProfileId,
+  onIsochroneProfileChange,
+  clearIsochrone,
   startPoint,
   endPoint,
+  waypoints = [],
+  optimizeStopOrder,
+  onOptimizeStopOrderChange,
+  timeExpanded,
+  onTimeExpandedChange,
+  uvWeighted,
+  onUvWeightedChange,
+  autoRoute,
+  onAutoRouteChange,
+  weatherProviderName,
+  accessibleRouting,
+  onAccessibleRoutingChange,
+  travelMode,
+  onTravelModeChange,
+  treeShade,
+  onTreeShadeChange,
+  profiles,
+  onProfilesChange,
+  detourBudgetPercent,
+  onDetourBudgetChange,
+  loopTarget,
+  onLoopTargetChange,
+  onGenerateLoops,
+  departureWindow,
+  onDepartureWindowChange,
+  onFindDepartureTimes,
+  departureScores,
+  onDepartureSelect,
   routeData,
   currentRoute,
+  routeTiming,
+  routeDeparture,
   selectedRouteType,
   onRouteTypeChange,
+  onInstructionClick,
   isProcessingRoute,
+  onCancelRoute,
   clearRoute,
   routeStats,
   routeProgress,
@@ -21,6 +86,10 @@ const ControlPanel = ({
   const [currentStepStartTime, setCurrentStepStartTime] = useState(null);
   const [currentTime, setCurrentTime] = useState(Date.now());
   const recordedSteps = useRef(new Set());
+  const [showProfileEditor, setShowProfileEditor] = useState(false);
+  const [showInstructions, setShowInstructions] = useState(false);
+  // Temperature being typed for the auto route, applied when the field is left
+  const [temperatureDraft, setTemperatureDraft] = useState(autoRoute.temperature);
 
   // Track step changes and timing
   useEffect(() => {
@@ -96,176 +165,530 @@ const ControlPanel = ({
 
   const handleGPXExport = () => {
     try {
-      exportRouteAsGPX(currentRoute, routeStats);
+      exportRouteAsGPX(currentRoute, routeStats, { departure: routeDeparture, travelMode });
     } catch (error) {
       debugError('Failed to export GPX:', error);
       alert('Failed to export route as GPX file');
     }
   };
 
-  const getRouteTypeLabel = (type) => {
-    switch (type) {
-      case ROUTE_TYPE.SHADY: return 'Shady';
-      case ROUTE_TYPE.SUNNY: return 'Sunny';
-      case ROUTE_TYPE.FAST: return 'Fast';
-      default: return 'Unknown';
-    }
-  };
-
   return (
     <div className="absolute top-2 left-2 right-2 bg-black/80 text-white p-4 rounded-lg text-sm md:max-w-[280px]">
         <div className="flex items-center justify-between">
           <h3 className="text-lg">Shady walking directions</h3>
-          {onGeolocate && (
+          <div className="flex gap-1">
             <button
-              onClick={onGeolocate}
-              className="px-3 py-1.5 bg-blue-600 text-white border-none rounded cursor-pointer text-xs hover:bg-blue-700 transition-colors"
+              onClick={() => setShowProfileEditor(!showProfileEditor)}
+              className="px-3 py-1.5 bg-gray-700 text-white border-none rounded cursor-pointer text-xs hover:bg-gray-600 transition-colors"
             >
-              <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 640 640" width="15px" height="15px"><path fill="white" d="M541.9 139.5C546.4 127.7 543.6 114.3 534.7 105.4C525.8 96.5 512.4 93.6 500.6 98.2L84.6 258.2C71.9 263 63.7 275.2 64 288.7C64.3 302.2 73.1 314.1 85.9 318.3L262.7 377.2L321.6 554C325.9 566.8 337.7 575.6 351.2 575.9C364.7 576.2 376.9 568 381.8 555.4L541.8 139.4z"/></svg>
+              Profiles
             </button>
-          )}
-        </div>
-        <div className="hidden md:block">
-          <div className="text-xs text-gray-400 mt-1">
-            Made by <a className="text-gray-400" href="https://sandr.in" target="_blank" rel="noreferrer">Matteo Sandrin</a>
+            {onGeolocate && (
+              <button
+                onClick={onGeolocate}
+                className="px-3 py-1.5 bg-blue-600 text-white border-none rounded cursor-pointer text-xs hover:bg-blue-700 transition-colors"
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 640 640" width="15px" height="15px"><path fill="white" d="M541.9 139.5C546.4 127.7 543.6 114.3 534.7 105.4C525.8 96.5 512.4 93.6 500.6 98.2L84.6 258.2C71.9 263 63.7 275.2 64 288.7C64.3 302.2 73.1 314.1 85.9 318.3L262.7 377.2L321.6 554C325.9 566.8 337.7 575.6 351.2 575.9C364.7 576.2 376.9 568 381.8 555.4L541.8 139.4z"/></svg>
+              </button>
+            )}
           </div>
-          <p className="mt-4">
-            Plan a walking route that maximizes shade, based on the current sun position.
-          </p>
         </div>
-        <div className="mt-4">
-          <div>
-            {solarPosition && (!currentRoute) && (
-              <div className="text-xs text-gray-400">
-                <div>Sun elevation: {(solarPosition.elevation * 180 / Math.PI).toFixed(1)}°</div>
-                <div>Sun azimuth: {(solarPosition.azimuth * 180 / Math.PI).toFixed(1)}°</div>
-                {solarPosition.elevation <= 0 && (
-                  <div className="text-red-400 mt-1">Sun is below horizon</div>
-                )}
-              </div>
-            )}
+        {showProfileEditor ? (
+          <div className="mt-4">
+            <ProfileEditor
+              profiles={profiles}
+              onProfilesChange={onProfilesChange}
+              onClose={() => setShowProfileEditor(false)}
+            />
+          </div>
+        ) : (
+        <>
+          <div className="hidden md:block">
+            <div className="text-xs text-gray-400 mt-1">
+              Made by <a className="text-gray-400" href="https://sandr.in" target="_blank" rel="noreferrer">Matteo Sandrin</a>
+            </div>
+            <p className="mt-4">
+              Plan a walking route that maximizes shade, based on the current sun position.
+            </p>
+          </div>
+          <div className="grid grid-cols-2 gap-1 mt-4">
+            {[[MAP_MODE.ROUTE, 'Route'], [MAP_MODE.ISOCHRONE, 'Reachable area']].map(([mode, label]) => (
+              <button
+                key={mode}
+                onClick={() => onMapModeChange(mode)}
+                className={`px-2 py-1 text-xs rounded border transition-colors ${
+                  mapMode === mode
+                    ? 'bg-blue-600 text-white border-blue-600'
+                    : 'bg-gray-700 text-gray-300 border-gray-600 hover:bg-gray-600'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <div className="grid grid-cols-3 gap-1 mt-1">
+            {[[TRAVEL_MODE.WALK, 'Walk'], [TRAVEL_MODE.RUN, 'Run'], [TRAVEL_MODE.BIKE, 'Bike']].map(([mode, label]) => (
+              <button
+                key={mode}
+                onClick={() => onTravelModeChange(mode)}
+                className={`px-2 py-1 text-xs rounded border transition-colors ${
+                  travelMode === mode
+                    ? 'bg-blue-600 text-white border-blue-600'
+                    : 'bg-gray-700 text-gray-300 border-gray-600 hover:bg-gray-600'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
           </div>
           <div className="mt-4">
-            {!startPoint && !endPoint && (
-              <div className="text-white text-xs font-bold">
-                ↓ Click on map to set start point
-              </div>
-            )}
-            
-            {startPoint && !endPoint && !routeData && (
-              <div className="text-white text-xs">
-                <div className="text-start-marker">✓ Start point set</div>
-                <div className="mt-1.5 font-bold">↓ Click on map to set end point</div>
-              </div>
-            )}
-            
-            {startPoint && endPoint && (
-              <div className="text-xs">
-                { !currentRoute && <div>
-                  <div className="text-start-marker">✓ Start point set</div>
-                  <div className="text-start-marker mt-1.5">✓ End point set</div>
-                </div>}
-                
-                {isProcessingRoute && (
-                  <div className="mt-2">
-                    <div className="text-xs font-bold mb-1.5">
-                      Calculating route...
+            <div>
+              {solarPosition && (!currentRoute) && (
+                <div className="text-xs text-gray-400">
+                  <div>Sun elevation: {(solarPosition.elevation * 180 / Math.PI).toFixed(1)}°</div>
+                  <div>Sun azimuth: {(solarPosition.azimuth * 180 / Math.PI).toFixed(1)}°</div>
+                  {solarPosition.elevation <= 0 && (
+                    <div className="text-red-400 mt-1">Sun is below horizon</div>
+                  )}
+                </div>
+              )}
+            </div>
+            {mapMode === MAP_MODE.ISOCHRONE ? (
+              <IsochronePanel
+                isochroneOrigin={isochroneOrigin}
+                isochrone={isochrone}
+                isochroneMinutes={isochroneMinutes}
+                onIsochroneMinutesChange={onIsochroneMinutesChange}
+                isochroneProfileId={isochroneProfileId}
+                onIsochroneProfileChange={onIsochroneProfileChange}
+                profiles={profiles}
+                isProcessing={isProcessingRoute}
+                progress={routeProgress}
+                onCancel={onCancelRoute}
+                onClear={clearIsochrone}
+              />
+            ) : (
+              <div className="mt-4">
+                {!startPoint && !endPoint && (
+                  <div className="text-white text-xs font-bold">
+                    ↓ Click on map to set start point
+                  </div>
+                )}
+              
+                {startPoint && !endPoint && !routeData && !isProcessingRoute && (
+                  <div className="text-white text-xs">
+                    <div className="text-start-marker">✓ Start point set</div>
+                    <div className="mt-1.5 font-bold">↓ Click on map to set end point</div>
+                    <div className="mt-3 text-gray-400">or walk a round trip back here:</div>
+                    <div className="flex gap-1 mt-1">
+                      <input
+                        type="number"
+                        min="1"
+                        value={loopTarget.value}
+                        onChange={(e) => onLoopTargetChange({ ...loopTarget, value: e.target.value })}
+                        className="w-14 px-2 py-1 rounded bg-white text-gray-800"
+                      />
+                      <select
+                        value={loopTarget.unit}
+                        onChange={(e) => onLoopTargetChange({ ...loopTarget, unit: e.target.value })}
+                        className="px-1 py-1 rounded bg-white text-gray-800"
+                      >
+                        <option value="min">min</option>
+                        <option value="km">km</option>
+                      </select>
+                      <button
+                        onClick={onGenerateLoops}
+                        className="flex-1 px-2 py-1 bg-blue-600 text-white border-none rounded cursor-pointer hover:bg-blue-700 transition-colors"
+                      >
+                        Find loops
+                      </button>
                     </div>
-                    {routeProgress && routeProgress.length > 0 && (
-                      <div className="text-xs">
-                        {routeProgress.map((step, index) => (
-                          <div key={step.id} className={`flex items-center justify-between mb-1 ${
-                            step.completed ? 'text-start-marker' : 'text-gray-400'
-                          }`}>
-                            <div className="flex items-center">
-                              <div className="w-3 h-3 mr-1.5 flex items-center justify-center">
-                                {step.completed ? '✓' : 
-                                (index === routeProgress.findIndex(s => !s.completed) ? 
-                                  <div className="w-2 h-2 border-2 border-gray-600 border-t-white border-r-white rounded-full animate-spin"></div> : '○'
-                                )
-                                }
+                  </div>
+                )}
+              
+                {startPoint && (endPoint || routeData || isProcessingRoute) && (
+                  <div className="text-xs">
+                    { !currentRoute && <div>
+                      <div className="text-start-marker">✓ Start point set</div>
+                      {waypoints.length > 0 && (
+                        <div className="text-start-marker mt-1.5">✓ {waypoints.length} intermediate {waypoints.length === 1 ? 'stop' : 'stops'} set</div>
+                      )}
+                      {endPoint && <div className="text-start-marker mt-1.5">✓ End point set</div>}
+                    </div>}
+                  
+                    {isProcessingRoute && (
+                      <div className="mt-2">
+                        <div className="flex items-center justify-between mb-1.5">
+                          <div className="text-xs font-bold">
+                            Calculating route...
+                          </div>
+                          <button
+                            onClick={onCancelRoute}
+                            className="px-2 py-0.5 bg-gray-700 text-gray-300 border border-gray-600 rounded cursor-pointer hover:bg-gray-600 transition-colors"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                        {routeProgress && routeProgress.length > 0 && (
+                          <div className="text-xs">
+                            {routeProgress.map((step, index) => (
+                              <div key={step.id} className={`flex items-center justify-between mb-1 ${
+                                step.completed ? 'text-start-marker' : 'text-gray-400'
+                              }`}>
+                                <div className="flex items-center">
+                                  <div className="w-3 h-3 mr-1.5 flex items-center justify-center">
+                                    {step.completed ? '✓' : 
+                                    (index === routeProgress.findIndex(s => !s.completed) ? 
+                                      <div className="w-2 h-2 border-2 border-gray-600 border-t-white border-r-white rounded-full animate-spin"></div> : '○'
+                                    )
+                                    }
+                                  </div>
+                                  {step.label}
+                                </div>
+                                <div className="text-xs font-mono text-gray-500 min-w-[35px] text-right">
+                                  {getStepTiming(step, index)}
+                                </div>
                               </div>
-                              {step.label}
-                            </div>
-                            <div className="text-xs font-mono text-gray-500 min-w-[35px] text-right">
-                              {getStepTiming(step, index)}
-                            </div>
+                            ))}
                           </div>
-                        ))}
+                        )}
                       </div>
                     )}
-                  </div>
-                )}
-                
-                {routeData && !isProcessingRoute && (
-                  <div>
-                    {/* Route type selector */}
-                    <div className="mb-3">
-                      <div className="text-xs text-gray-400 mb-1">Route type:</div>
-                      <div className="grid grid-cols-3 gap-1">
-                        {Object.values(ROUTE_TYPE).map((type) => {
-                          const route = routeData[type];
-                          if (!route) return null;
-                          return (
-                            <button
-                              key={type}
-                              onClick={() => onRouteTypeChange(type)}
-                              className={`px-2 py-1 text-xs rounded border transition-colors ${
-                                selectedRouteType === type
-                                  ? 'bg-blue-600 text-white border-blue-600'
-                                  : 'bg-gray-700 text-gray-300 border-gray-600 hover:bg-gray-600'
-                              }`}
-                            >
-                              {getRouteTypeLabel(type)}
-                            </button>
-                          );
-                        })}
-                      </div>
-                    </div>
-                    {currentRoute && (
-                      <div className="text-xs text-gray-400">
-                        <div>Total distance: {(currentRoute.distance / 1000).toFixed(2)} km ({Math.round(currentRoute.duration / 60)} min)</div>                
-                        {routeStats && (
-                          <div className="mt-2">
-                            <div className="flex items-center mb-0.5">
-                              <div className="w-3 h-3 bg-shaded-route mr-1.5 rounded-sm"></div>
-                              <span>Shaded: {routeStats.shadedPercentage}% ({routeStats.shadedDistance}m)</span>
+                  
+                    {routeData && !isProcessingRoute && (
+                      <div>
+                        {/* Route type selector */}
+                        <div className="mb-3">
+                          <div className="text-xs text-gray-400 mb-1">Route type:</div>
+                          <div className="grid grid-cols-3 gap-1">
+                            {profiles.map((profile) => {
+                              const route = routeData[profile.id];
+                              if (!route) return null;
+                              return (
+                                <button
+                                  key={profile.id}
+                                  onClick={() => onRouteTypeChange(profile.id)}
+                                  className={`px-2 py-1 text-xs rounded border transition-colors truncate ${
+                                    selectedRouteType === profile.id
+                                      ? 'bg-blue-600 text-white border-blue-600'
+                                      : 'bg-gray-700 text-gray-300 border-gray-600 hover:bg-gray-600'
+                                  }`}
+                                >
+                                  {profile.name}
+                                </button>
+                              );
+                            })}
+                            {routeData[AUTO_ROUTE_ID] && (
+                              <button
+                                onClick={() => onRouteTypeChange(AUTO_ROUTE_ID)}
+                                className={`px-2 py-1 text-xs rounded border transition-colors truncate ${
+                                  selectedRouteType === AUTO_ROUTE_ID
+                                    ? 'bg-blue-600 text-white border-blue-600'
+                                    : 'bg-gray-700 text-gray-300 border-gray-600 hover:bg-gray-600'
+                                }`}
+                              >
+                                Auto
+                              </button>
+                            )}
+                            {routeData[DETOUR_ROUTE_ID] && (
+                              <button
+                                onClick={() => onRouteTypeChange(DETOUR_ROUTE_ID)}
+                                className={`px-2 py-1 text-xs rounded border transition-colors truncate ${
+                                  selectedRouteType === DETOUR_ROUTE_ID
+                                    ? 'bg-blue-600 text-white border-blue-600'
+                                    : 'bg-gray-700 text-gray-300 border-gray-600 hover:bg-gray-600'
+                                }`}
+                              >
+                                Shadiest +{detourBudgetPercent}%
+                              </button>
+                            )}
+                            {Object.keys(routeData).filter(isLoopRouteId).map((routeId, index) => (
+                              <button
+                                key={routeId}
+                                onClick={() => onRouteTypeChange(routeId)}
+                                className={`px-2 py-1 text-xs rounded border transition-colors truncate ${
+                                  selectedRouteType === routeId
+                                    ? 'bg-blue-600 text-white border-blue-600'
+                                    : 'bg-gray-700 text-gray-300 border-gray-600 hover:bg-gray-600'
+                                }`}
+                              >
+                                Loop {index + 1} · {(routeData[routeId].distance / 1000).toFixed(1)} km
+                              </button>
+                            ))}
+                          </div>
+                        </div>
+                        {selectedRouteType === AUTO_ROUTE_ID && currentRoute?.comfort && (
+                          <div className="mb-3 text-xs text-gray-300">
+                            {currentRoute.comfort.reason}
+                          </div>
+                        )}
+                        {selectedRouteType === DETOUR_ROUTE_ID && (
+                          <div className="mb-3">
+                            <div className="text-xs text-gray-400 mb-1">
+                              Max detour: {detourBudgetPercent}% longer than the shortest route
                             </div>
-                            <div className="flex items-center">
-                              <div className="w-3 h-3 bg-sunny-route mr-1.5 rounded-sm"></div>
-                              <span>Sunny: {routeStats.sunnyPercentage}% ({routeStats.sunnyDistance}m)</span>
+                            <input
+                              type="range"
+                              min="0"
+                              max="50"
+                              step="5"
+                              value={detourBudgetPercent}
+                              onChange={(e) => onDetourBudgetChange(parseInt(e.target.value))}
+                              className="w-full"
+                            />
+                          </div>
+                        )}
+                        {waypoints.length > 1 && (
+                          <label className="flex items-center mb-3 text-xs text-gray-300 cursor-pointer">
+                            <input
+                              type="checkbox"
+                              checked={optimizeStopOrder}
+                              onChange={(e) => onOptimizeStopOrderChange(e.target.checked)}
+                              className="mr-1.5"
+                            />
+                            Optimize stop order
+                          </label>
+                        )}
+                        <label className="flex items-center mb-3 text-xs text-gray-300 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={timeExpanded}
+                            onChange={(e) => onTimeExpandedChange(e.target.checked)}
+                            className="mr-1.5"
+                          />
+                          Account for shadows moving during the walk
+                        </label>
+                        <label className="flex items-center mb-3 text-xs text-gray-300 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={uvWeighted}
+                            onChange={(e) => onUvWeightedChange(e.target.checked)}
+                            className="mr-1.5"
+                          />
+                          Weigh sun by its UV strength (shady route)
+                        </label>
+                        <div className="flex items-center mb-3 text-xs text-gray-300">
+                          <label className="flex items-center cursor-pointer">
+                            <input
+                              type="checkbox"
+                              checked={autoRoute.enabled}
+                              onChange={(e) => onAutoRouteChange({ ...autoRoute, enabled: e.target.checked })}
+                              className="mr-1.5"
+                            />
+                            Auto route from temperature
+                          </label>
+                          {autoRoute.enabled && (
+                            <input
+                              type="number"
+                              value={temperatureDraft}
+                              placeholder={weatherProviderName}
+                              title="Air temperature in °C; leave blank to use the weather"
+                              onChange={(e) => setTemperatureDraft(e.target.value)}
+                              onBlur={() => {
+                                if (temperatureDraft !== autoRoute.temperature) {
+                                  onAutoRouteChange({ ...autoRoute, temperature: temperatureDraft });
+                                }
+                              }}
+                              className="ml-2 w-24 px-1 py-0.5 rounded bg-white text-gray-800"
+                            />
+                          )}
+                          {autoRoute.enabled && <span className="ml-1">°C</span>}
+                        </div>
+                        <label className="flex items-center mb-3 text-xs text-gray-300 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={accessibleRouting}
+                            onChange={(e) => onAccessibleRoutingChange(e.target.checked)}
+                            className="mr-1.5"
+                          />
+                          Step-free route (wheelchair, stroller)
+                        </label>
+                        <label className="flex items-center mb-3 text-xs text-gray-300">
+                          <span className="mr-1.5">Tree shade:</span>
+                          <select
+                            value={treeShade}
+                            onChange={(e) => onTreeShadeChange(e.target.value)}
+                            className="px-1 py-0.5 rounded bg-white text-gray-800 text-xs"
+                          >
+                            <option value={TREE_SHADE_MODE.AUTO}>By season</option>
+                            <option value={TREE_SHADE_MODE.LEAF_ON}>Trees in leaf</option>
+                            <option value={TREE_SHADE_MODE.LEAF_OFF}>Bare trees (winter)</option>
+                          </select>
+                        </label>
+                        {endPoint && (
+                          <div className="mb-3">
+                            <div className="text-xs text-gray-400 mb-1">When should I go?</div>
+                            <div className="flex gap-1">
+                              <select
+                                value={departureWindow.hours}
+                                onChange={(e) => onDepartureWindowChange({ ...departureWindow, hours: Number(e.target.value) })}
+                                className="px-1 py-1 rounded bg-white text-gray-800"
+                              >
+                                {[1, 2, 4].map(hours => (
+                                  <option key={hours} value={hours}>Next {hours} h</option>
+                                ))}
+                              </select>
+                              <select
+                                value={departureWindow.stepMinutes}
+                                onChange={(e) => onDepartureWindowChange({ ...departureWindow, stepMinutes: Number(e.target.value) })}
+                                className="px-1 py-1 rounded bg-white text-gray-800"
+                              >
+                                {[15, 30].map(minutes => (
+                                  <option key={minutes} value={minutes}>every {minutes} min</option>
+                                ))}
+                              </select>
+                              <button
+                                onClick={onFindDepartureTimes}
+                                className="flex-1 px-2 py-1 bg-blue-600 text-white border-none rounded cursor-pointer hover:bg-blue-700 transition-colors"
+                              >
+                                Compare
+                              </button>
                             </div>
+                            {departureScores && (
+                              <div className="mt-1.5 flex flex-wrap items-center gap-1 text-gray-400">
+                                <span>Shadiest:</span>
+                                {departureScores.slots.filter(slot => slot.best).map(slot => (
+                                  <button
+                                    key={slot.date.getTime()}
+                                    onClick={() => onDepartureSelect(slot.date)}
+                                    className="px-1.5 py-0.5 rounded bg-gray-700 text-white border-none cursor-pointer hover:bg-gray-600"
+                                  >
+                                    {formatClockTime(slot.date)} · {slot.shadedPercentage}%
+                                  </button>
+                                ))}
+                              </div>
+                            )}
                           </div>
                         )}
+                        {currentRoute && (
+                          <div className="text-xs text-gray-400">
+                            <div>Total distance: {(currentRoute.distance / 1000).toFixed(2)} km ({Math.round(currentRoute.duration / 60)} min)</div>                
+                            {routeTiming && (
+                              <div className="text-white">
+                                Leave at {formatClockTime(routeTiming.departure)} to arrive at {formatClockTime(routeTiming.arrival)}
+                                {routeStats && !currentRoute.shadeUnknown && `, ${routeStats.shadedPercentage}% shaded`}
+                              </div>
+                            )}
+                            {currentRoute.shadeUnknown && (
+                              <div className="text-sunny-route">
+                                Distance only, shade unknown: the shadow map could not be rendered
+                              </div>
+                            )}
+                            {currentRoute.shadeSliceCount > 1 && (
+                              <div>Shade checked at {currentRoute.shadeSliceCount} times along the walk</div>
+                            )}
+                            {accessibleRouting && currentRoute.barriers && (
+                              currentRoute.barriers.length > 0 ? (
+                                <div className="text-red-400">
+                                  No step-free route found. Unavoidable barriers: {summarizeBarriers(currentRoute.barriers)}
+                                </div>
+                              ) : (
+                                <div className="text-start-marker">✓ Step-free</div>
+                              )
+                            )}
+                            {currentRoute.crossings && (
+                              <div>{summarizeCrossings(currentRoute.crossings)}</div>
+                            )}
+                            {currentRoute.legs && currentRoute.legs.length > 1 && (
+                              <div className="mt-2">
+                                {currentRoute.legs.map((leg, index) => (
+                                  <div key={index} className="flex justify-between mb-0.5">
+                                    <span>Leg {index + 1}: {(leg.distance / 1000).toFixed(2)} km ({Math.round(leg.duration / 60)} min)</span>
+                                    {!currentRoute.shadeUnknown && (
+                                      <span>{leg.distance > 0 ? Math.round((leg.shadedDistance / leg.distance) * 100) : 0}% shaded</span>
+                                    )}
+                                  </div>
+                                ))}
+                              </div>
+                            )}
+                            {routeStats && !currentRoute.shadeUnknown && (
+                              <div className="mt-2">
+                                <div className="flex items-center mb-0.5">
+                                  <div className="w-3 h-3 bg-shaded-route mr-1.5 rounded-sm"></div>
+                                  <span>Shaded: {routeStats.shadedPercentage}% ({routeStats.shadedDistance}m)</span>
+                                </div>
+                                {routeStats.coveredDistance > 0 && (
+                                  <div className="flex items-center mb-0.5">
+                                    <div className="w-3 h-3 bg-shaded-route mr-1.5 rounded-sm"></div>
+                                    <span>Covered: {routeStats.coveredPercentage}% ({routeStats.coveredDistance}m)</span>
+                                  </div>
+                                )}
+                                <div className="flex items-center">
+                                  <div className="w-3 h-3 bg-sunny-route mr-1.5 rounded-sm"></div>
+                                  <span>Sunny: {routeStats.sunnyPercentage}% ({routeStats.sunnyDistance}m)</span>
+                                </div>
+                                {routeStats.exposure && (
+                                  <div className="mt-1" title="Clear-sky estimate: direct sun weighted by how high the sun stands">
+                                    Sun exposure: {Math.round(routeStats.exposure.sunSeconds / 60)} min in direct sun,
+                                    {' '}{routeStats.exposure.irradianceDose} kJ/m², UV dose {routeStats.exposure.uvDose} SED
+                                    {routeStats.exposure.peakUvIndex > 0 && ` (peak UV index ${routeStats.exposure.peakUvIndex})`}
+                                  </div>
+                                )}
+                              </div>
+                            )}
+                            <ElevationProfile
+                              profile={currentRoute.elevationProfile}
+                              gain={currentRoute.elevationGain}
+                              loss={currentRoute.elevationLoss}
+                            />
+                            {currentRoute.instructions && currentRoute.instructions.length > 0 && (
+                              <div className="mt-2">
+                                <button
+                                  onClick={() => setShowInstructions(!showInstructions)}
+                                  className="bg-transparent border-none text-blue-400 underline cursor-pointer p-0 text-xs"
+                                >
+                                  {showInstructions ? 'Hide directions' : `Show directions (${currentRoute.instructions.length} steps)`}
+                                </button>
+                                {showInstructions && (
+                                  <ol className="mt-1 max-h-48 overflow-y-auto list-none p-0 m-0">
+                                    {currentRoute.instructions.map((step, index) => (
+                                      <li
+                                        key={index}
+                                        onClick={() => onInstructionClick(step)}
+                                        className="py-0.5 text-gray-300 cursor-pointer hover:text-white"
+                                      >
+                                        {index + 1}. {formatStep(step)}
+                                      </li>
+                                    ))}
+                                  </ol>
+                                )}
+                              </div>
+                            )}
+                          </div>
+                        )}
+                        <div className="mt-2 text-xs text-gray-400">
+                          {endPoint ? 'Click on map to add another stop' : 'Click on map to set an end point instead'}
+                        </div>
                       </div>
                     )}
                   </div>
                 )}
-              </div>
-            )}
-            
-            {(startPoint || endPoint) && (
-              <div className="mt-4 flex gap-2">
-                <button
-                  onClick={clearRoute}
-                  className={`px-4 py-2 bg-red-600 text-white border-none rounded cursor-pointer text-xs hover:bg-red-700 transition-colors ${
-                    currentRoute && !isProcessingRoute ? 'flex-1' : 'w-full'
-                  }`}
-                >
-                  Clear Route
-                </button>
-                {currentRoute && !isProcessingRoute && (
-                  <button
-                    onClick={handleGPXExport}
-                    className="flex-1 px-4 py-2 bg-blue-600 text-white border-none rounded cursor-pointer text-xs hover:bg-blue-700 transition-colors"
-                  >
-                    Export GPX
-                  </button>
+              
+                {(startPoint || endPoint) && (
+                  <div className="mt-4 flex gap-2">
+                    <button
+                      onClick={clearRoute}
+                      className={`px-4 py-2 bg-red-600 text-white border-none rounded cursor-pointer text-xs hover:bg-red-700 transition-colors ${
+                        currentRoute && !isProcessingRoute ? 'flex-1' : 'w-full'
+                      }`}
+                    >
+                      Clear Route
+                    </button>
+                    {currentRoute && !isProcessingRoute && (
+                      <button
+                        onClick={handleGPXExport}
+                        className="flex-1 px-4 py-2 bg-blue-600 text-white border-none rounded cursor-pointer text-xs hover:bg-blue-700 transition-colors"
+                      >
+                        Export GPX
+                      </button>
+                    )}
+                  </div>
                 )}
               </div>
             )}
           </div>
-        </div>
+        </>
+        )}
     </div>
   );
 };
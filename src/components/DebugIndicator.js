@@ -1,10 +1,21 @@
 import { useState } from 'react';
 import { isDebugMode, getDebugImage } from '../lib/debugUtils';
+import { clearWaysCache } from '../lib/waysCache';
+import { benchmarkRouting } from '../lib/routing';
 
 function DebugIndicator(
-  { onSetPoints }
+  {
+    onSetPoints,
+    waysProvider,
+    onLoadWaysFile,
+    onResetWaysProvider,
+    elevationProvider,
+    onLoadElevationFile,
+    onResetElevationProvider
+  }
 ) {
   const [showPanel, setShowPanel] = useState(false);
+  const [benchmark, setBenchmark] = useState(null);
 
   if (!isDebugMode()) {
     return null;
@@ -16,6 +27,15 @@ function DebugIndicator(
 
   const debugImage = getDebugImage();
 
+  const runBenchmark = async () => {
+    setBenchmark({ running: true });
+    try {
+      setBenchmark({ result: await benchmarkRouting() });
+    } catch (error) {
+      setBenchmark({ error: error.message });
+    }
+  };
+
   return (
     <>
       <div
@@ -42,6 +62,50 @@ function DebugIndicator(
             <div className="mb-2">
               <strong>Viewport:</strong> {window.innerWidth}×{window.innerHeight}
             </div>
+            <div className="mb-2">
+              <strong>Ways provider:</strong> {waysProvider?.name}
+            </div>
+            <div className="mb-2">
+              <label className="text-green-400 underline cursor-pointer leading-6">
+                Load local OSM extract (.osm, .osm.pbf, .geojson)
+                <input
+                  type="file"
+                  accept=".osm,.pbf,.xml,.json,.geojson"
+                  onChange={(e) => e.target.files[0] && onLoadWaysFile(e.target.files[0])}
+                  className="hidden"/>
+              </label>
+              {waysProvider?.id === 'elements' && (
+                <div>
+                  <button
+                    onClick={onResetWaysProvider}
+                    className="bg-transparent border-none text-green-400 underline cursor-pointer p-0 font-inherit leading-6">
+                    Use default ways provider
+                  </button>
+                </div>
+              )}
+            </div>
+            <div className="mb-2">
+              <strong>Elevation provider:</strong> {elevationProvider?.name ?? 'None (flat)'}
+            </div>
+            <div className="mb-2">
+              <label className="text-green-400 underline cursor-pointer leading-6">
+                Load elevation file (.tif, EPSG:4326)
+                <input
+                  type="file"
+                  accept=".tif,.tiff"
+                  onChange={(e) => e.target.files[0] && onLoadElevationFile(e.target.files[0])}
+                  className="hidden"/>
+              </label>
+              {elevationProvider?.id === 'dem' && (
+                <div>
+                  <button
+                    onClick={onResetElevationProvider}
+                    className="bg-transparent border-none text-green-400 underline cursor-pointer p-0 font-inherit leading-6">
+                    Use default elevation provider
+                  </button>
+                </div>
+              )}
+            </div>
             {debugImage && (
               <button
                 onClick={() => openBase64InNewTab(debugImage.split(',')[1], 'image/png')}
@@ -59,6 +123,35 @@ function DebugIndicator(
                 Set debug points
               </button>
             </div>
+            <div className="mb-2">
+              <button
+                onClick={runBenchmark}
+                disabled={benchmark?.running}
+                className="bg-transparent border-none text-green-400 underline cursor-pointer p-0 font-inherit leading-6 disabled:text-gray-500">
+                {benchmark?.running ? 'Benchmarking...' : 'Benchmark last route search'}
+              </button>
+              {benchmark?.error && <div className="text-red-400">{benchmark.error}</div>}
+              {benchmark?.result && (
+                <div>
+                  <div>
+                    Graph: {benchmark.result.graph.nodes} nodes, {benchmark.result.graph.edges} edges
+                    → {benchmark.result.graph.coreNodes} nodes, {benchmark.result.graph.compoundEdges} compound edges
+                  </div>
+                  {benchmark.result.runs.map(run => (
+                    <div key={run.mode}>
+                      {run.mode}: {run.time.toFixed(1)} ms, {run.searches} searches, {run.settled} nodes settled, {run.relaxed} edges relaxed
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+            <div>
+              <button
+                onClick={() => clearWaysCache()}
+                className="bg-transparent border-none text-green-400 underline cursor-pointer p-0 font-inherit leading-6">
+                Clear ways cache
+              </button>
+            </div>
             <div>
               <a
                 href="/"
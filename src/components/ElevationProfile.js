@@ -0,0 +1,47 @@
+const CHART_WIDTH = 240;
+const CHART_HEIGHT = 40;
+
+// Climb and descent of a route with a small elevation chart along its length
+const ElevationProfile = ({ profile, gain, loss }) => {
+  if (!profile || profile.length < 2) return null;
+
+  const totalDistance = profile[profile.length - 1].distance;
+  const elevations = profile.map(point => point.elevation);
+  const minElevation = Math.min(...elevations);
+  const maxElevation = Math.max(...elevations);
+  // Keep nearly flat routes looking nearly flat
+  const range = Math.max(maxElevation - minElevation, 10);
+
+  const points = profile.map(({ distance, elevation }) => {
+    const x = totalDistance > 0 ? (distance / totalDistance) * CHART_WIDTH : 0;
+    const y = CHART_HEIGHT - ((elevation - minElevation) / range) * CHART_HEIGHT;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+
+  return (
+    <div className="mt-2">
+      <div className="flex justify-between mb-0.5">
+        <span>↑ {Math.round(gain)} m ↓ {Math.round(loss)} m</span>
+        <span>{Math.round(minElevation)}–{Math.round(maxElevation)} m</span>
+      </div>
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        preserveAspectRatio="none"
+        className="w-full h-10"
+      >
+        <polygon
+          points={`0,${CHART_HEIGHT} ${points.join(' ')} ${CHART_WIDTH},${CHART_HEIGHT}`}
+          className="fill-gray-600"
+        />
+        <polyline
+          points={points.join(' ')}
+          fill="none"
+          strokeWidth="1.5"
+          className="stroke-gray-300"
+        />
+      </svg>
+    </div>
+  );
+};
+
+export default ElevationProfile;
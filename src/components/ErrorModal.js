@@ -1,28 +1,85 @@
 import React from 'react';
+import { ROUTE_ERROR_CODE } from '../lib/routing';
 
-const ErrorModal = ({ error, onClose }) => {
+// What went wrong and what the user can do about it, by RouteError code
+const GUIDANCE = {
+  [ROUTE_ERROR_CODE.NETWORK]: {
+    title: 'Connection Problem',
+    hint: 'The street data could not be downloaded. Check your connection and try again.',
+    retry: true
+  },
+  [ROUTE_ERROR_CODE.RATE_LIMITED]: {
+    title: 'Map Servers Busy',
+    hint: 'The OpenStreetMap servers are turning requests away right now. Wait a minute, then try again.',
+    retry: true
+  },
+  [ROUTE_ERROR_CODE.TIMEOUT]: {
+    title: 'Request Timed Out',
+    hint: 'Loading the street data took too long. Try again, or pick points closer together.',
+    retry: true
+  },
+  [ROUTE_ERROR_CODE.NO_SNAP_NODE]: {
+    title: 'No Street Nearby',
+    hint: 'A point is too far from any walkable street. Move it onto or next to a street.',
+    retry: false
+  },
+  [ROUTE_ERROR_CODE.NO_PATH]: {
+    title: 'No Route Found',
+    hint: 'No walkable streets connect these points. Rivers, railways and motorways often cut them off; try points on the same side.',
+    retry: false
+  },
+  [ROUTE_ERROR_CODE.SHADE_UNAVAILABLE]: {
+    title: 'Shade Unavailable',
+    hint: 'The shadow map could not be rendered. Check your connection and try again.',
+    retry: true
+  }
+};
+
+const FALLBACK_GUIDANCE = {
+  title: 'Route Calculation Failed',
+  hint: 'Unable to calculate a walking route between the selected points. Please try different locations or check your connection.',
+  retry: true
+};
+
+const ErrorModal = ({ error, onClose, onRetry }) => {
   if (!error) return null;
+  const guidance = GUIDANCE[error.code] ?? FALLBACK_GUIDANCE;
 
   return (
     <div className="fixed top-0 left-0 w-screen h-screen bg-black/80 flex items-center justify-center z-[1000]">
       <div className="bg-black/80 text-white rounded-lg p-6 max-w-md w-[90%] text-center">
         <h3 className="m-0 mb-4 text-error-red text-xl">
-          Route Calculation Failed
+          {guidance.title}
         </h3>
-        
-        <p className="m-0 mb-5 text-gray-400 text-sm leading-[1.4]">
-          {error.message || 'Unable to calculate a walking route between the selected points. Please try different locations or check your connection.'}
+
+        <p className="m-0 mb-2 text-gray-400 text-sm leading-[1.4]">
+          {guidance.hint}
         </p>
+        {error.message && (
+          <p className="m-0 mb-5 text-gray-500 text-xs leading-[1.4]">
+            {error.message}
+          </p>
+        )}
 
-        <button
-          onClick={onClose}
-          className="bg-red-600 text-white border-none rounded px-5 py-2.5 text-sm cursor-pointer transition-colors hover:bg-red-700"
-        >
-          Close
-        </button>
+        <div className="flex gap-2 justify-center">
+          {guidance.retry && onRetry && (
+            <button
+              onClick={onRetry}
+              className="bg-blue-600 text-white border-none rounded px-5 py-2.5 text-sm cursor-pointer transition-colors hover:bg-blue-700"
+            >
+              Retry
+            </button>
+          )}
+          <button
+            onClick={onClose}
+            className="bg-red-600 text-white border-none rounded px-5 py-2.5 text-sm cursor-pointer transition-colors hover:bg-red-700"
+          >
+            Close
+          </button>
+        </div>
       </div>
     </div>
   );
 };
 
-export default ErrorModal;
\ No newline at end of file
+export default ErrorModal;
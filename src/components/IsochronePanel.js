@@ -0,0 +1,103 @@
+import { getIsochroneStats } from '../lib/isochroneLayer';
+
+const IsochronePanel = ({
+  isochroneOrigin,
+  isochrone,
+  isochroneMinutes,
+  onIsochroneMinutesChange,
+  isochroneProfileId,
+  onIsochroneProfileChange,
+  profiles,
+  isProcessing,
+  progress,
+  onCancel,
+  onClear
+}) => {
+  const stats = isochrone ? getIsochroneStats(isochrone) : null;
+
+  return (
+    <div className="mt-4 text-xs">
+      {!isochroneOrigin && (
+        <div className="text-white font-bold">
+          ↓ Click on map to see where you can walk
+        </div>
+      )}
+
+      <div className="mt-3">
+        <div className="text-gray-400 mb-1">Walking time: {isochroneMinutes} min</div>
+        <input
+          type="range"
+          min="5"
+          max="30"
+          step="5"
+          value={isochroneMinutes}
+          onChange={(e) => onIsochroneMinutesChange(parseInt(e.target.value))}
+          className="w-full"
+        />
+      </div>
+
+      <div className="mt-3">
+        <div className="text-gray-400 mb-1">Profile:</div>
+        <div className="grid grid-cols-3 gap-1">
+          {profiles.map((profile) => (
+            <button
+              key={profile.id}
+              onClick={() => onIsochroneProfileChange(profile.id)}
+              className={`px-2 py-1 text-xs rounded border transition-colors truncate ${
+                isochroneProfileId === profile.id
+                  ? 'bg-blue-600 text-white border-blue-600'
+                  : 'bg-gray-700 text-gray-300 border-gray-600 hover:bg-gray-600'
+              }`}
+            >
+              {profile.name}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {isProcessing && (
+        <div className="mt-3">
+          <div className="flex items-center justify-between mb-1.5">
+            <div className="font-bold">Exploring...</div>
+            <button
+              onClick={onCancel}
+              className="px-2 py-0.5 bg-gray-700 text-gray-300 border border-gray-600 rounded cursor-pointer hover:bg-gray-600 transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+          {progress.map((step) => (
+            <div key={step.id} className={step.completed ? 'text-start-marker' : 'text-gray-400'}>
+              {step.completed ? '✓' : '○'} {step.label}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {stats && !isProcessing && (
+        <div className="mt-3 text-gray-400">
+          <div>{(stats.totalDistance / 1000).toFixed(1)} km of streets within {Math.round(isochrone.timeBudget / 60)} min</div>
+          {isochrone.shadeUnknown ? (
+            <div className="mt-1 text-sunny-route">Shade unknown: the shadow map could not be rendered</div>
+          ) : (
+            <div className="flex items-center mt-1">
+              <div className="w-3 h-3 bg-shaded-route mr-1.5 rounded-sm"></div>
+              <span>{stats.shadedPercentage}% of them shaded</span>
+            </div>
+          )}
+        </div>
+      )}
+
+      {isochroneOrigin && (
+        <button
+          onClick={onClear}
+          className="w-full mt-4 px-4 py-2 bg-red-600 text-white border-none rounded cursor-pointer text-xs hover:bg-red-700 transition-colors"
+        >
+          Clear
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default IsochronePanel;
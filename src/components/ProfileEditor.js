@@ -0,0 +1,145 @@
+import { useState } from 'react';
+import { createProfile, normalizeProfile, DEFAULT_PROFILES, PROFILE_LIMITS } from '../lib/routingProfiles';
+
+const describeShadePreference = (value) => {
+  if (value > 0) return `prefers shade (${value.toFixed(1)})`;
+  if (value < 0) return `prefers sun (${(-value).toFixed(1)})`;
+  return 'no preference';
+};
+
+const ProfileEditor = ({ profiles, onProfilesChange, onClose }) => {
+  const [draft, setDraft] = useState(null);
+
+  const startEditing = (profile) => {
+    setDraft({ ...profile, walkSpeedKmh: (profile.walkSpeed * 3.6).toFixed(1) });
+  };
+
+  const saveDraft = () => {
+    const { walkSpeedKmh, ...fields } = draft;
+    const profile = normalizeProfile({ ...fields, walkSpeed: Number(walkSpeedKmh) / 3.6 });
+    const exists = profiles.some(p => p.id === profile.id);
+    onProfilesChange(exists
+      ? profiles.map(p => (p.id === profile.id ? profile : p))
+      : [...profiles, profile]);
+    setDraft(null);
+  };
+
+  const deleteProfile = (id) => {
+    onProfilesChange(profiles.filter(p => p.id !== id));
+  };
+
+  if (draft) {
+    return (
+      <div className="text-xs">
+        <div className="text-gray-400 mb-1">Name</div>
+        <input
+          type="text"
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          className="w-full px-2 py-1 mb-2 rounded bg-white text-gray-800"
+        />
+        <div className="text-gray-400 mb-1">Shade: {describeShadePreference(Number(draft.shadePreference))}</div>
+        <input
+          type="range"
+          {...PROFILE_LIMITS.shadePreference}
+          value={draft.shadePreference}
+          onChange={(e) => setDraft({ ...draft, shadePreference: Number(e.target.value) })}
+          className="w-full mb-2"
+        />
+        <div className="text-gray-400 mb-1">Footpath preference: {Number(draft.pedestrianPathPreference).toFixed(1)}</div>
+        <input
+          type="range"
+          {...PROFILE_LIMITS.pedestrianPathPreference}
+          value={draft.pedestrianPathPreference}
+          onChange={(e) => setDraft({ ...draft, pedestrianPathPreference: Number(e.target.value) })}
+          className="w-full mb-2"
+        />
+        <div className="text-gray-400 mb-1">Avoid climbs: {Number(draft.climbWeight).toFixed(1)}</div>
+        <input
+          type="range"
+          {...PROFILE_LIMITS.climbWeight}
+          value={draft.climbWeight}
+          onChange={(e) => setDraft({ ...draft, climbWeight: Number(e.target.value) })}
+          className="w-full mb-2"
+        />
+        <div className="text-gray-400 mb-1">Walking speed (km/h)</div>
+        <input
+          type="number"
+          min={(PROFILE_LIMITS.walkSpeed.min * 3.6).toFixed(1)}
+          max={(PROFILE_LIMITS.walkSpeed.max * 3.6).toFixed(1)}
+          step="0.1"
+          value={draft.walkSpeedKmh}
+          onChange={(e) => setDraft({ ...draft, walkSpeedKmh: e.target.value })}
+          className="w-full px-2 py-1 mb-3 rounded bg-white text-gray-800"
+        />
+        <div className="flex gap-2">
+          <button
+            onClick={() => setDraft(null)}
+            className="flex-1 px-2 py-1 bg-gray-700 text-gray-300 border border-gray-600 rounded cursor-pointer hover:bg-gray-600 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={saveDraft}
+            className="flex-1 px-2 py-1 bg-blue-600 text-white border-none rounded cursor-pointer hover:bg-blue-700 transition-colors"
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="text-xs">
+      {profiles.map(profile => (
+        <div key={profile.id} className="flex items-center justify-between mb-1">
+          <div>
+            <div className="text-white">{profile.name}</div>
+            <div className="text-gray-500">
+              {describeShadePreference(profile.shadePreference)}, {(profile.walkSpeed * 3.6).toFixed(1)} km/h
+            </div>
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={() => startEditing(profile)}
+              className="bg-transparent border-none text-blue-400 underline cursor-pointer p-0"
+            >
+              Edit
+            </button>
+            {!profile.builtIn && (
+              <button
+                onClick={() => deleteProfile(profile.id)}
+                className="bg-transparent border-none text-red-400 underline cursor-pointer p-0"
+              >
+                Delete
+              </button>
+            )}
+          </div>
+        </div>
+      ))}
+      <div className="flex gap-2 mt-3">
+        <button
+          onClick={() => startEditing(createProfile({ name: 'New profile' }))}
+          className="flex-1 px-2 py-1 bg-blue-600 text-white border-none rounded cursor-pointer hover:bg-blue-700 transition-colors"
+        >
+          New profile
+        </button>
+        <button
+          onClick={() => onProfilesChange(DEFAULT_PROFILES)}
+          className="flex-1 px-2 py-1 bg-gray-700 text-gray-300 border border-gray-600 rounded cursor-pointer hover:bg-gray-600 transition-colors"
+        >
+          Reset
+        </button>
+      </div>
+      <button
+        onClick={onClose}
+        className="w-full mt-2 px-2 py-1 bg-gray-700 text-gray-300 border border-gray-600 rounded cursor-pointer hover:bg-gray-600 transition-colors"
+      >
+        Done
+      </button>
+    </div>
+  );
+};
+
+export default ProfileEditor;
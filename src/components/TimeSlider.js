@@ -1,6 +1,8 @@
 import React, { useMemo, useCallback } from 'react';
 
-const TimeSlider = ({ selectedDateTime, setSelectedDateTime }) => {
+const MINUTES_PER_DAY = 1440;
+
+const TimeSlider = ({ selectedDateTime, setSelectedDateTime, arriveBy, onArriveByChange, departureScores }) => {
   
   // Parse selectedDateTime to get timeOfDay in minutes since midnight
   const timeOfDay = useMemo(() => {
@@ -31,23 +33,61 @@ const TimeSlider = ({ selectedDateTime, setSelectedDateTime }) => {
     setSelectedDateTime(formattedDateTime);
   }, [selectedDateTime, setSelectedDateTime]);
 
+  // Compared departure times on the selected day, placed along the track
+  const departureMarks = useMemo(() => {
+    if (!departureScores) return [];
+    const day = new Date(selectedDateTime).toDateString();
+    return departureScores.slots
+      .filter(slot => slot.date.toDateString() === day)
+      .map(slot => ({
+        ...slot,
+        left: (slot.date.getHours() * 60 + slot.date.getMinutes()) / MINUTES_PER_DAY,
+        width: departureScores.stepMinutes / MINUTES_PER_DAY
+      }));
+  }, [departureScores, selectedDateTime]);
+
   return (
     <div className="fixed bottom-2 left-2 right-2 bg-black/80 rounded-lg px-2.5 md:px-5 py-2.5 z-[1000]">
       <div className="flex flex-row items-center md:gap-5 gap-2 max-w-full">
-        <div className="flex items-center justify-center gap-4 min-w-auto order-2">
+        <div className="flex items-center justify-center gap-2 min-w-auto order-2">
+          <select
+            value={arriveBy ? 'arrive' : 'leave'}
+            onChange={(e) => onArriveByChange(e.target.value === 'arrive')}
+            className="px-1 py-1.5 border border-gray-300 rounded bg-white text-gray-800 text-xs"
+          >
+            <option value="leave">Leave at</option>
+            <option value="arrive">Arrive by</option>
+          </select>
           <input
             type="datetime-local"
             value={selectedDateTime}
             onChange={(e) => setSelectedDateTime(e.target.value)}
             className="px-2 py-1.5 border border-gray-300 rounded bg-white text-gray-800 text-xs min-w-auto w-auto md:min-w-[180px] md:w-[180px]"/>
         </div>
-        <input
-          type="range"
-          min="0"
-          max="1439"
-          value={timeOfDay}
-          onChange={handleSliderChange}
-          className="flex-1 h-2 rounded outline-none cursor-pointer range-slider time-slider border border-gray-500 order-2 w-full md:order-1 md:w-auto appearance-none"/>
+        <div className="relative flex flex-1 items-center order-2 w-full md:order-1 md:w-auto">
+          <input
+            type="range"
+            min="0"
+            max="1439"
+            value={timeOfDay}
+            onChange={handleSliderChange}
+            className="flex-1 h-2 rounded outline-none cursor-pointer range-slider time-slider border border-gray-500 w-full appearance-none"/>
+          {departureMarks.length > 0 && (
+            <div className="absolute inset-x-0 -top-2 h-1.5 pointer-events-none">
+              {departureMarks.map(mark => (
+                <div
+                  key={mark.date.getTime()}
+                  title={`${mark.shadedPercentage}% shaded`}
+                  className={`absolute h-full rounded-sm ${mark.best ? 'ring-1 ring-white' : ''}`}
+                  style={{
+                    left: `${mark.left * 100}%`,
+                    width: `${mark.width * 100}%`,
+                    backgroundColor: `rgba(139, 92, 246, ${0.2 + 0.8 * mark.shadedPercentage / 100})`
+                  }}/>
+              ))}
+            </div>
+          )}
+        </div>
       </div>
     </div>
   );
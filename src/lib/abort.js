@@ -0,0 +1,34 @@
+// Route requests take a standard AbortSignal. An aborted request rejects with
+// an AbortError, which callers drop quietly instead of reporting it.
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+export function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw signal.reason ?? new DOMException('Route request cancelled', 'AbortError');
+  }
+}
+
+// Wait, unless the signal aborts first
+export function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    throwIfAborted(signal);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Let a pending abort message through, then check for it. Synchronous work in
+// the routing worker only notices an abort at points like this.
+export async function yieldForAbort(signal) {
+  if (!signal) return;
+  await new Promise(resolve => setTimeout(resolve, 0));
+  throwIfAborted(signal);
+}
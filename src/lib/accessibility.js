@@ -0,0 +1,104 @@
+// Step-free routing: reads the OSM accessibility tags of ways and nodes and
+// turns them into barriers (impassable for a wheelchair) and cost penalties
+// (passable, but worth avoiding).
+
+export const BARRIER_TYPE = {
+  STEPS: 'steps',
+  KERB: 'kerb',
+  NOT_WHEELCHAIR_ACCESSIBLE: 'notWheelchairAccessible',
+  STEEP_INCLINE: 'steepIncline',
+  IMPASSABLE_SURFACE: 'impassableSurface'
+};
+
+const BARRIER_LABELS = {
+  [BARRIER_TYPE.STEPS]: 'Steps',
+  [BARRIER_TYPE.KERB]: 'Raised kerb',
+  [BARRIER_TYPE.NOT_WHEELCHAIR_ACCESSIBLE]: 'Not wheelchair accessible',
+  [BARRIER_TYPE.STEEP_INCLINE]: 'Steep incline',
+  [BARRIER_TYPE.IMPASSABLE_SURFACE]: 'Rough surface'
+};
+
+export const getBarrierLabel = (type) => BARRIER_LABELS[type] ?? type;
+
+// Barriers are not removed from the graph, only made expensive enough that any
+// step-free alternative wins, so a route can still be reported when there is none
+const BARRIER_PENALTY = 20;
+
+// Inclines steeper than this (percent) are hard to manage in a manual wheelchair
+const MAX_INCLINE_PERCENT = 6;
+
+const ROUGH_SURFACES = ['gravel', 'fine_gravel', 'pebblestone', 'grass', 'dirt', 'ground', 'earth', 'mud', 'sand', 'woodchips', 'unpaved'];
+const IMPASSABLE_SURFACES = ['stepping_stones', 'rock', 'scree'];
+const ROUGH_SMOOTHNESS = ['bad', 'very_bad'];
+const IMPASSABLE_SMOOTHNESS = ['horrible', 'very_horrible', 'impassable'];
+
+// Lowered and flush kerbs are fine; raised (and unspecified rolled) kerbs are not
+const KERB_BARRIERS = ['raised', 'yes', 'rolled'];
+
+// "6%", "-8 %", "up" and "down" are all valid incline values; only numbers tell us anything
+function parseInclinePercent(value) {
+  const match = /^(-?\d+(?:\.\d+)?)\s*%?$/.exec(value ?? '');
+  return match ? Math.abs(Number(match[1])) : null;
+}
+
+/**
+ * Accessibility of walking a way, from its tags
+ * @param {Object} tags - OSM way tags
+ * @returns {{barriers: string[], penalty: number}} Barrier types (BARRIER_TYPE)
+ *   and a cost multiplier of at least 1
+ */
+export function getWayAccessibility(tags = {}) {
+  const barriers = [];
+  let penalty = 1;
+
+  if (tags.wheelchair === 'yes' || tags.highway === 'elevator') {
+    return { barriers, penalty };
+  }
+
+  if (tags.wheelchair === 'no') {
+    barriers.push(BARRIER_TYPE.NOT_WHEELCHAIR_ACCESSIBLE);
+  } else if (tags.wheelchair === 'limited') {
+    penalty *= 2;
+  }
+
+  // Steps with a wheelchair ramp alongside them are fine
+  if (tags.highway === 'steps' && tags['ramp:wheelchair'] !== 'yes') {
+    barriers.push(BARRIER_TYPE.STEPS);
+  }
+
+  const incline = parseInclinePercent(tags.incline);
+  if (incline !== null && incline > MAX_INCLINE_PERCENT) {
+    barriers.push(BARRIER_TYPE.STEEP_INCLINE);
+  }
+
+  if (IMPASSABLE_SURFACES.includes(tags.surface) || IMPASSABLE_SMOOTHNESS.includes(tags.smoothness)) {
+    barriers.push(BARRIER_TYPE.IMPASSABLE_SURFACE);
+  } else if (ROUGH_SURFACES.includes(tags.surface) || ROUGH_SMOOTHNESS.includes(tags.smoothness)) {
+    penalty *= 3;
+  }
+
+  return { barriers, penalty };
+}
+
+/**
+ * Barriers at a single node, such as a kerb at the end of a crossing
+ * @param {Object} tags - OSM node tags
+ * @returns {string[]} Barrier types (BARRIER_TYPE)
+ */
+export function getNodeBarriers(tags = {}) {
+  if (tags.wheelchair === 'yes') return [];
+  const barriers = [];
+  if (KERB_BARRIERS.includes(tags.kerb) || (tags.barrier === 'kerb' && !tags.kerb)) {
+    barriers.push(BARRIER_TYPE.KERB);
+  }
+  if (tags.wheelchair === 'no') {
+    barriers.push(BARRIER_TYPE.NOT_WHEELCHAIR_ACCESSIBLE);
+  }
+  return barriers;
+}
+
+// Cost multiplier for an edge in accessible mode
+export function getAccessibilityMultiplier(accessibility) {
+  if (!accessibility) return 1;
+  return accessibility.penalty * (accessibility.barriers.length > 0 ? BARRIER_PENALTY : 1);
+}
@@ -0,0 +1,35 @@
+import { BARRIER_TYPE, getWayAccessibility, getNodeBarriers, getAccessibilityMultiplier } from './accessibility';
+
+test.each([
+  [{ highway: 'footway' }, [], 1],
+  [{ highway: 'steps' }, [BARRIER_TYPE.STEPS], 1],
+  [{ highway: 'steps', 'ramp:wheelchair': 'yes' }, [], 1],
+  [{ highway: 'steps', wheelchair: 'yes' }, [], 1],
+  [{ highway: 'elevator', wheelchair: 'no' }, [], 1],
+  [{ highway: 'footway', wheelchair: 'no' }, [BARRIER_TYPE.NOT_WHEELCHAIR_ACCESSIBLE], 1],
+  [{ highway: 'footway', wheelchair: 'limited' }, [], 2],
+  [{ highway: 'footway', incline: '8%' }, [BARRIER_TYPE.STEEP_INCLINE], 1],
+  [{ highway: 'footway', incline: '-10 %' }, [BARRIER_TYPE.STEEP_INCLINE], 1],
+  [{ highway: 'footway', incline: '6%' }, [], 1],
+  [{ highway: 'footway', incline: 'up' }, [], 1],
+  [{ highway: 'path', surface: 'gravel' }, [], 3],
+  [{ highway: 'path', smoothness: 'very_bad', wheelchair: 'limited' }, [], 6],
+  [{ highway: 'path', surface: 'stepping_stones' }, [BARRIER_TYPE.IMPASSABLE_SURFACE], 1],
+  [{ highway: 'path', smoothness: 'impassable', surface: 'gravel' }, [BARRIER_TYPE.IMPASSABLE_SURFACE], 1]
+])('getWayAccessibility(%j) has barriers %j and penalty %d', (tags, barriers, penalty) => {
+  expect(getWayAccessibility(tags)).toEqual({ barriers, penalty });
+});
+
+test('getNodeBarriers reads kerbs and wheelchair=no off a node', () => {
+  expect(getNodeBarriers({ kerb: 'raised' })).toEqual([BARRIER_TYPE.KERB]);
+  expect(getNodeBarriers({ barrier: 'kerb' })).toEqual([BARRIER_TYPE.KERB]);
+  expect(getNodeBarriers({ barrier: 'kerb', kerb: 'lowered' })).toEqual([]);
+  expect(getNodeBarriers({ kerb: 'raised', wheelchair: 'yes' })).toEqual([]);
+  expect(getNodeBarriers({ wheelchair: 'no' })).toEqual([BARRIER_TYPE.NOT_WHEELCHAIR_ACCESSIBLE]);
+});
+
+test('a barrier makes an edge expensive on top of its penalty, without closing it', () => {
+  expect(getAccessibilityMultiplier(null)).toBe(1);
+  expect(getAccessibilityMultiplier({ barriers: [], penalty: 3 })).toBe(3);
+  expect(getAccessibilityMultiplier({ barriers: [BARRIER_TYPE.STEPS], penalty: 3 })).toBe(60);
+});
@@ -0,0 +1,256 @@
+import SunCalc from 'suncalc';
+
+// Tree shade. Trees, tree rows and woods from OSM are turned into the shadows
+// their crowns cast for the sun position of a shade map and painted into its
+// image, so ShadowSampler sees them like building shadows. Nothing in here
+// touches the DOM; it runs in the routing worker.
+
+export const TREE_SHADE_MODE = {
+  AUTO: 'auto',       // trees are bare in the local winter
+  LEAF_ON: 'leafOn',
+  LEAF_OFF: 'leafOff'
+};
+
+// Defaults for trees without measurements, in metres
+const DEFAULT_TREE_HEIGHT = 8;
+const DEFAULT_CROWN_DIAMETER = 6;
+const DEFAULT_WOOD_HEIGHT = 15;
+
+// Crowns start this far up the tree
+const CROWN_BASE_FRACTION = 0.4;
+
+// Low sun makes very long shadows that fall apart into gaps in reality
+const MAX_SHADOW_LENGTH = 60;
+
+// Same darkness ShadowSampler treats as shade
+const SHADOW_VALUE = 0;
+
+export const isTreeNode = (tags = {}) => tags.natural === 'tree';
+export const isCanopyWay = (tags = {}) => (
+  tags.natural === 'tree_row' || tags.natural === 'wood' || tags.landuse === 'forest'
+);
+
+const isEvergreen = (tags = {}) => tags.leaf_cycle === 'evergreen' || tags.leaf_type === 'needleleaved';
+
+// Leading number of a tag such as "12", "12 m" or "12.5"
+function parseMeters(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+function treeSize(tags = {}) {
+  const height = parseMeters(tags.height) ?? DEFAULT_TREE_HEIGHT;
+  // A trunk circumference says something about the crown when nothing else does
+  const circumference = parseMeters(tags.circumference);
+  const crownDiameter = parseMeters(tags.diameter_crown) ??
+    (circumference ? Math.min(20, circumference * 4) : DEFAULT_CROWN_DIAMETER);
+  return { height, crownRadius: crownDiameter / 2 };
+}
+
+/**
+ * Whether deciduous trees are bare on a date
+ * @param {string} mode - TREE_SHADE_MODE
+ * @param {Date} date - Date of the walk
+ * @param {number} lat - Latitude, to tell the hemispheres apart
+ * @returns {boolean}
+ */
+export function isLeafOff(mode, date, lat) {
+  if (mode === TREE_SHADE_MODE.LEAF_ON) return false;
+  if (mode === TREE_SHADE_MODE.LEAF_OFF) return true;
+  // Roughly mid-November to mid-April north of the tropics, the other way round south
+  const month = date.getMonth() + date.getDate() / 31;
+  const northernWinter = month < 3.5 || month >= 10.5;
+  if (Math.abs(lat) < 23.5) return false;
+  return lat > 0 ? northernWinter : !northernWinter;
+}
+
+/**
+ * Collect the trees, tree rows and woods in ways data
+ * @param {Object} waysData - Overpass-shaped {elements}
+ * @param {Object} options - leafOff drops deciduous vegetation
+ * @returns {Object} {trees: [{lat, lon, height, crownRadius}], rows, woods}
+ *   where rows and woods carry their outline as [[lat, lon], ...]
+ */
+export function extractCanopy(waysData, { leafOff = false } = {}) {
+  const nodesById = new Map();
+  const trees = [];
+  const rows = [];
+  const woods = [];
+
+  for (const el of waysData.elements) {
+    if (el.type !== 'node') continue;
+    nodesById.set(el.id, el);
+    if (isTreeNode(el.tags) && !(leafOff && !isEvergreen(el.tags))) {
+      trees.push({ lat: el.lat, lon: el.lon, ...treeSize(el.tags) });
+    }
+  }
+
+  for (const el of waysData.elements) {
+    if (el.type !== 'way' || !isCanopyWay(el.tags)) continue;
+    if (leafOff && !isEvergreen(el.tags)) continue;
+    const points = el.nodes.map(id => nodesById.get(id)).filter(Boolean).map(node => [node.lat, node.lon]);
+    if (points.length < 2) continue;
+    if (el.tags.natural === 'tree_row') {
+      rows.push({ points, ...treeSize(el.tags) });
+    } else if (points.length >= 3) {
+      woods.push({ points, height: parseMeters(el.tags.height) ?? DEFAULT_WOOD_HEIGHT });
+    }
+  }
+
+  return { trees, rows, woods };
+}
+
+// Pixel grid of a shade map, with conversions between metres and pixels
+function shadeMapGrid(shadeData) {
+  const { bounds, image } = shadeData;
+  const centerLat = (bounds.north + bounds.south) / 2;
+  const metersPerDegreeLat = 111320;
+  const metersPerDegreeLon = 111320 * Math.cos(centerLat * Math.PI / 180);
+  return {
+    width: image.width,
+    height: image.height,
+    // Pixel size in metres
+    pixelWidth: (bounds.east - bounds.west) * metersPerDegreeLon / image.width,
+    pixelHeight: (bounds.north - bounds.south) * metersPerDegreeLat / image.height,
+    // Pixel position of a point moved east and north by some metres
+    toPixel: ([lat, lon], east = 0, north = 0) => ({
+      x: ((lon + east / metersPerDegreeLon) - bounds.west) / (bounds.east - bounds.west) * image.width,
+      y: (bounds.north - (lat + north / metersPerDegreeLat)) / (bounds.north - bounds.south) * image.height
+    })
+  };
+}
+
+function shadePixel(pixels, width, x, y) {
+  const index = (y * width + x) * 4;
+  pixels[index] = SHADOW_VALUE;
+  pixels[index + 1] = SHADOW_VALUE;
+  pixels[index + 2] = SHADOW_VALUE;
+  pixels[index + 3] = 255;
+}
+
+// Every pixel within a radius (metres) of the segment between two pixel positions
+function fillCapsule(pixels, grid, from, to, radius) {
+  const { width, height, pixelWidth, pixelHeight } = grid;
+  const rx = radius / pixelWidth;
+  const ry = radius / pixelHeight;
+  const minX = Math.max(0, Math.floor(Math.min(from.x, to.x) - rx));
+  const maxX = Math.min(width - 1, Math.ceil(Math.max(from.x, to.x) + rx));
+  const minY = Math.max(0, Math.floor(Math.min(from.y, to.y) - ry));
+  const maxY = Math.min(height - 1, Math.ceil(Math.max(from.y, to.y) + ry));
+
+  // Work in metres so the capsule stays round on non-square pixels
+  const ax = from.x * pixelWidth;
+  const ay = from.y * pixelHeight;
+  const dx = (to.x - from.x) * pixelWidth;
+  const dy = (to.y - from.y) * pixelHeight;
+  const lengthSquared = dx * dx + dy * dy;
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      const px = (x + 0.5) * pixelWidth - ax;
+      const py = (y + 0.5) * pixelHeight - ay;
+      const t = lengthSquared > 0 ? Math.max(0, Math.min(1, (px * dx + py * dy) / lengthSquared)) : 0;
+      const ex = px - t * dx;
+      const ey = py - t * dy;
+      if (ex * ex + ey * ey <= radius * radius) shadePixel(pixels, width, x, y);
+    }
+  }
+}
+
+// Even-odd scanline fill of a polygon given in pixel positions
+function fillPolygon(pixels, grid, polygon) {
+  const { width, height } = grid;
+  const minY = Math.max(0, Math.floor(Math.min(...polygon.map(p => p.y))));
+  const maxY = Math.min(height - 1, Math.ceil(Math.max(...polygon.map(p => p.y))));
+  for (let y = minY; y <= maxY; y++) {
+    const scanY = y + 0.5;
+    const crossings = [];
+    for (let i = 0; i < polygon.length; i++) {
+      const a = polygon[i];
+      const b = polygon[(i + 1) % polygon.length];
+      if ((a.y <= scanY) !== (b.y <= scanY)) {
+        crossings.push(a.x + (scanY - a.y) / (b.y - a.y) * (b.x - a.x));
+      }
+    }
+    crossings.sort((x1, x2) => x1 - x2);
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+      const startX = Math.max(0, Math.ceil(crossings[i] - 0.5));
+      const endX = Math.min(width - 1, Math.floor(crossings[i + 1] - 0.5));
+      for (let x = startX; x <= endX; x++) shadePixel(pixels, width, x, y);
+    }
+  }
+}
+
+// Points at a spacing along a polyline, so a tree row can be drawn as trees
+function pointsAlongLine(points, spacing) {
+  const result = [points[0]];
+  for (let i = 0; i < points.length - 1; i++) {
+    const [latA, lonA] = points[i];
+    const [latB, lonB] = points[i + 1];
+    const segmentLength = Math.hypot(
+      (latB - latA) * 111320,
+      (lonB - lonA) * 111320 * Math.cos(latA * Math.PI / 180));
+    const steps = Math.max(1, Math.ceil(segmentLength / spacing));
+    for (let step = 1; step <= steps; step++) {
+      const t = step / steps;
+      result.push([latA + (latB - latA) * t, lonA + (lonB - lonA) * t]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Paint canopy shadows into a shade map image, in place
+ * @param {Object} shadeData - Shade map ({bounds, date, image: {pixels, width, height}}),
+ *   or a mosaic of them ({bounds, date, tiles})
+ * @param {Object} canopy - Result of extractCanopy
+ * @returns {number} Number of trees, rows and woods drawn
+ */
+export function addCanopyShadows(shadeData, canopy) {
+  // Everything is drawn into every tile; what falls outside a tile is clipped
+  if (shadeData?.tiles) {
+    shadeData.tiles.forEach(tile => addCanopyShadows(tile, canopy));
+    return canopy.trees.length + canopy.rows.length + canopy.woods.length;
+  }
+  if (!shadeData?.image) return 0;
+  const { bounds, image } = shadeData;
+  const centerLat = (bounds.north + bounds.south) / 2;
+  const centerLon = (bounds.west + bounds.east) / 2;
+  const sun = SunCalc.getPosition(shadeData.date ?? new Date(), centerLat, centerLon);
+  // At night the whole map is shade already
+  if (sun.altitude <= 0) return 0;
+
+  // SunCalc azimuths are measured from south towards west; shadows point away
+  // from the sun, at that same angle from north towards east
+  const shadowEast = Math.sin(sun.azimuth);
+  const shadowNorth = Math.cos(sun.azimuth);
+  const shadowLength = (height) => Math.min(MAX_SHADOW_LENGTH, height / Math.tan(sun.altitude));
+  const grid = shadeMapGrid(shadeData);
+  const pixels = image.pixels;
+
+  // A crown's shadow sweeps from where its base is cast to where its top is
+  const drawTree = (point, { height, crownRadius }) => {
+    const near = shadowLength(height * CROWN_BASE_FRACTION);
+    const far = shadowLength(height);
+    fillCapsule(
+      pixels, grid,
+      grid.toPixel(point, shadowEast * near, shadowNorth * near),
+      grid.toPixel(point, shadowEast * far, shadowNorth * far),
+      crownRadius);
+  };
+
+  canopy.trees.forEach(tree => drawTree([tree.lat, tree.lon], tree));
+  canopy.rows.forEach(row => {
+    pointsAlongLine(row.points, row.crownRadius).forEach(point => drawTree(point, row));
+  });
+  canopy.woods.forEach(wood => {
+    // The wood itself, and its outline cast away from the sun in a few steps
+    const length = shadowLength(wood.height);
+    const steps = Math.max(1, Math.ceil(length / 10));
+    for (let step = 0; step <= steps; step++) {
+      const offset = length * step / steps;
+      fillPolygon(pixels, grid, wood.points.map(point => grid.toPixel(point, shadowEast * offset, shadowNorth * offset)));
+    }
+  });
+
+  return canopy.trees.length + canopy.rows.length + canopy.woods.length;
+}
@@ -0,0 +1,44 @@
+// Ways with a roof over them: covered walkways, arcades, tunnels, passages
+// through buildings and indoor corridors. They are in the shade whatever the
+// shadow map says about the ground above them.
+
+export const COVER_REASON = {
+  BUILDING_PASSAGE: 'buildingPassage',
+  TUNNEL: 'tunnel',
+  ARCADE: 'arcade',
+  COVERED: 'covered',
+  INDOOR: 'indoor',
+  UNDERGROUND: 'underground'
+};
+
+const COVER_LABELS = {
+  [COVER_REASON.BUILDING_PASSAGE]: 'Passage through a building',
+  [COVER_REASON.TUNNEL]: 'Tunnel',
+  [COVER_REASON.ARCADE]: 'Arcade',
+  [COVER_REASON.COVERED]: 'Covered walkway',
+  [COVER_REASON.INDOOR]: 'Indoors',
+  [COVER_REASON.UNDERGROUND]: 'Underground'
+};
+
+export const getCoverLabel = (reason) => COVER_LABELS[reason] ?? reason;
+
+const isYes = (value) => value !== undefined && value !== 'no';
+
+/**
+ * Why a way is always in the shade, from its tags
+ * @param {Object} tags - OSM way tags
+ * @returns {string|null} COVER_REASON, or null for a way open to the sky
+ */
+export function getWayCover(tags = {}) {
+  if (tags.tunnel === 'building_passage') return COVER_REASON.BUILDING_PASSAGE;
+  if (isYes(tags.tunnel)) return COVER_REASON.TUNNEL;
+  // arcade:left, arcade:right and arcade:both all put a roof over the pavement
+  if (Object.keys(tags).some(key => key.startsWith('arcade:') && isYes(tags[key]))) {
+    return COVER_REASON.ARCADE;
+  }
+  if (tags.covered === 'arcade') return COVER_REASON.ARCADE;
+  if (isYes(tags.covered)) return COVER_REASON.COVERED;
+  if (isYes(tags.indoor)) return COVER_REASON.INDOOR;
+  if (Number(tags.layer) < 0 || tags.location === 'underground') return COVER_REASON.UNDERGROUND;
+  return null;
+}
@@ -0,0 +1,25 @@
+import { COVER_REASON, getWayCover, getCoverLabel } from './coveredWays';
+
+test.each([
+  [{ highway: 'footway', tunnel: 'building_passage' }, COVER_REASON.BUILDING_PASSAGE],
+  [{ highway: 'footway', tunnel: 'yes' }, COVER_REASON.TUNNEL],
+  [{ highway: 'footway', tunnel: 'culvert' }, COVER_REASON.TUNNEL],
+  [{ highway: 'footway', 'arcade:left': 'yes' }, COVER_REASON.ARCADE],
+  [{ highway: 'footway', 'arcade:both': 'no' }, null],
+  [{ highway: 'footway', covered: 'arcade' }, COVER_REASON.ARCADE],
+  [{ highway: 'footway', covered: 'yes' }, COVER_REASON.COVERED],
+  [{ highway: 'footway', covered: 'no' }, null],
+  [{ highway: 'corridor', indoor: 'yes' }, COVER_REASON.INDOOR],
+  [{ highway: 'footway', layer: '-1' }, COVER_REASON.UNDERGROUND],
+  [{ highway: 'footway', layer: '1' }, null],
+  [{ highway: 'footway', location: 'underground' }, COVER_REASON.UNDERGROUND],
+  [{ highway: 'footway', bridge: 'yes' }, null]
+])('getWayCover(%j) is %s', (tags, reason) => {
+  expect(getWayCover(tags)).toBe(reason);
+});
+
+test('a building passage is not reported as just another tunnel', () => {
+  expect(getWayCover({ tunnel: 'building_passage', covered: 'yes' })).toBe(COVER_REASON.BUILDING_PASSAGE);
+  expect(getCoverLabel(COVER_REASON.BUILDING_PASSAGE)).toBe('Passage through a building');
+  expect(getWayCover()).toBeNull();
+});
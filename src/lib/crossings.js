@@ -0,0 +1,127 @@
+// Street crossings: where a walker entering a node along one way goes on
+// across a road that runs through that node, rather than turning onto it.
+// Marked crossings and traffic signals come from node tags; anywhere else a
+// major road is crossed counts as an unmarked crossing.
+
+export const CROSSING_TYPE = {
+  SIGNALS: 'signals',
+  MARKED: 'marked',
+  UNMARKED: 'unmarked'
+};
+
+const CROSSING_LABELS = {
+  [CROSSING_TYPE.SIGNALS]: 'signalled',
+  [CROSSING_TYPE.MARKED]: 'marked',
+  [CROSSING_TYPE.UNMARKED]: 'unmarked'
+};
+
+export const getCrossingLabel = (type) => CROSSING_LABELS[type] ?? type;
+
+// Expected wait before crossing, in seconds: half a typical signal cycle at
+// lights, a moment to check for traffic elsewhere
+const CROSSING_WAIT_S = {
+  [CROSSING_TYPE.SIGNALS]: 30,
+  [CROSSING_TYPE.MARKED]: 5,
+  [CROSSING_TYPE.UNMARKED]: 10
+};
+
+// Extra cost (seconds) of crossing a major road away from a marked crossing
+const UNMARKED_CROSSING_PENALTY_S = {
+  trunk: 240,
+  trunk_link: 120,
+  primary: 180,
+  primary_link: 90,
+  secondary: 90,
+  secondary_link: 45,
+  tertiary: 45,
+  tertiary_link: 20
+};
+
+// Roads with vehicle traffic, busiest first
+export const VEHICLE_ROADS = [
+  'trunk', 'primary', 'secondary', 'tertiary',
+  'trunk_link', 'primary_link', 'secondary_link', 'tertiary_link',
+  'unclassified', 'residential', 'living_street', 'service'
+];
+
+const MARKED_CROSSINGS = ['marked', 'zebra', 'uncontrolled', 'island', 'pelican', 'toucan'];
+const UNMARKED_CROSSINGS = ['unmarked', 'no', 'informal'];
+
+export const isVehicleRoad = (tags = {}) => VEHICLE_ROADS.includes(tags.highway);
+
+// Split ways of the same street meet at a node without anyone crossing anything
+const roadKey = (tags = {}) => tags.name ?? tags.ref ?? null;
+
+/**
+ * Roads crossed by going on past a node along a way: every road through the
+ * node other than the way itself and the rest of its street
+ * @param {Array<Object>} roads - Roads through the node ({wayOsmId, tags})
+ * @param {Object} way - OSM way arrived along ({id, tags})
+ * @returns {Array<Object>} The roads crossed
+ */
+export function getCrossedRoads(roads, way) {
+  const key = roadKey(way.tags);
+  return roads.filter(road => road.wayOsmId !== way.id && (key === null || roadKey(road.tags) !== key));
+}
+
+/**
+ * Crossing type tagged on a node
+ * @param {Object} tags - OSM node tags
+ * @returns {string|null} CROSSING_TYPE, or null for an untagged node
+ */
+export function getNodeCrossingType(tags = {}) {
+  if (tags.highway === 'traffic_signals' || tags.crossing === 'traffic_signals' || tags['crossing:signals'] === 'yes') {
+    return CROSSING_TYPE.SIGNALS;
+  }
+  if (UNMARKED_CROSSINGS.includes(tags.crossing) || tags['crossing:markings'] === 'no') {
+    return CROSSING_TYPE.UNMARKED;
+  }
+  if (tags.highway === 'crossing' || MARKED_CROSSINGS.includes(tags.crossing)) {
+    return CROSSING_TYPE.MARKED;
+  }
+  return null;
+}
+
+/**
+ * Crossing made when entering a node along a way and going on across the
+ * other roads through it
+ * @param {Object} nodeTags - Tags of the node being entered
+ * @param {Array<Object>} crossedRoads - The other roads through the node ({wayOsmId, tags})
+ * @returns {Object|null} {type, road, wait, penalty, crossedWayIds} with the busiest
+ *   road crossed, the expected wait and the extra cost in seconds, and the ways
+ *   that turning onto means crossing nothing; null when nothing is crossed
+ */
+export function classifyCrossing(nodeTags, crossedRoads) {
+  if (crossedRoads.length === 0) return null;
+  const road = crossedRoads
+    .map(({ tags }) => tags.highway)
+    .sort((x, y) => VEHICLE_ROADS.indexOf(x) - VEHICLE_ROADS.indexOf(y))[0];
+
+  const penalty = UNMARKED_CROSSING_PENALTY_S[road];
+  const type = getNodeCrossingType(nodeTags) ?? (penalty ? CROSSING_TYPE.UNMARKED : null);
+  if (!type) return null;
+
+  return {
+    type,
+    road,
+    wait: CROSSING_WAIT_S[type],
+    penalty: type === CROSSING_TYPE.UNMARKED ? penalty ?? 0 : 0,
+    crossedWayIds: crossedRoads.map(({ wayOsmId }) => wayOsmId)
+  };
+}
+
+/**
+ * Crossing made at a node between two consecutive edges of a route: the one
+ * made on arriving along the first, unless the second turns onto a road that
+ * would be crossed. Nothing is crossed where a route starts or ends.
+ * @param {Object|null} inEdge - Edge or link data ({wayOsmId, crossings}) arrived along
+ * @param {number} nodeIdx - Node between the two
+ * @param {Object|null} outEdge - Edge or link data left along
+ * @returns {Object|null} Crossing from classifyCrossing, or null
+ */
+export function getTurnCrossing(inEdge, nodeIdx, outEdge) {
+  if (!inEdge || !outEdge) return null;
+  const crossing = inEdge.crossings?.[nodeIdx];
+  if (!crossing || crossing.crossedWayIds.includes(outEdge.wayOsmId)) return null;
+  return crossing;
+}
@@ -0,0 +1,47 @@
+import { CROSSING_TYPE, classifyCrossing, getCrossedRoads, getTurnCrossing } from './crossings';
+
+const MAIN_ST = { wayOsmId: 1, tags: { highway: 'primary', name: 'Main St' } };
+const MAIN_ST_EAST = { wayOsmId: 2, tags: { highway: 'primary', name: 'Main St' } };
+const FOOTWAY = { id: 3, tags: { highway: 'footway' } };
+
+// Link data as buildGraph stores it: the way, and crossings keyed by node index
+const edge = (wayOsmId, crossings = null) => ({ wayOsmId, crossings });
+
+test('classifyCrossing reads signals and markings off the node', () => {
+  const signals = classifyCrossing({ highway: 'traffic_signals' }, [MAIN_ST]);
+  expect(signals).toMatchObject({ type: CROSSING_TYPE.SIGNALS, road: 'primary', wait: 30, penalty: 0, crossedWayIds: [1] });
+
+  const uncontrolled = classifyCrossing({ highway: 'crossing', crossing: 'uncontrolled' }, [MAIN_ST]);
+  expect(uncontrolled).toMatchObject({ type: CROSSING_TYPE.MARKED, wait: 5, penalty: 0 });
+});
+
+test('classifyCrossing charges crossing a major road away from a crossing', () => {
+  expect(classifyCrossing({}, [MAIN_ST])).toMatchObject({ type: CROSSING_TYPE.UNMARKED, road: 'primary', wait: 10, penalty: 180 });
+  // The busiest road decides the penalty
+  const residential = { wayOsmId: 4, tags: { highway: 'residential' } };
+  expect(classifyCrossing({}, [residential, MAIN_ST]).penalty).toBe(180);
+  // Quiet streets are crossed anywhere without a second thought
+  expect(classifyCrossing({}, [residential])).toBeNull();
+  expect(classifyCrossing({ highway: 'traffic_signals' }, [])).toBeNull();
+});
+
+test('getCrossedRoads leaves out the rest of the street being walked along', () => {
+  const roads = [MAIN_ST, MAIN_ST_EAST];
+  expect(getCrossedRoads(roads, { id: 1, tags: MAIN_ST.tags })).toEqual([]);
+  expect(getCrossedRoads(roads, FOOTWAY)).toEqual(roads);
+});
+
+test('getTurnCrossing charges going on across a road but not turning onto it', () => {
+  const crossing = classifyCrossing({ highway: 'traffic_signals' }, getCrossedRoads([MAIN_ST, MAIN_ST_EAST], FOOTWAY));
+  const arriving = edge(FOOTWAY.id, { 7: crossing });
+
+  // Straight on along the footway, and onto another footway, crosses Main St
+  expect(getTurnCrossing(arriving, 7, edge(FOOTWAY.id))).toBe(crossing);
+  expect(getTurnCrossing(arriving, 7, edge(5))).toBe(crossing);
+  // Turning onto either half of Main St crosses nothing
+  expect(getTurnCrossing(arriving, 7, edge(1))).toBeNull();
+  expect(getTurnCrossing(arriving, 7, edge(2))).toBeNull();
+  // Nor does a route that ends at the node, or passes a node with no crossing
+  expect(getTurnCrossing(arriving, 7, null)).toBeNull();
+  expect(getTurnCrossing(arriving, 8, edge(FOOTWAY.id))).toBeNull();
+});
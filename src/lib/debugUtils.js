@@ -1,9 +1,19 @@
+// Workers have no page URL to read the flag from, so the page passes it in
+let debugModeOverride = null;
+
 export function getUrlParams() {
   const params = new URLSearchParams(window.location.search);
   return Object.fromEntries(params.entries());
 }
 
+export function setDebugMode(enabled) {
+  debugModeOverride = enabled;
+}
+
 export function isDebugMode() {
+  if (debugModeOverride !== null) {
+    return debugModeOverride;
+  }
   const params = getUrlParams();
   return params.debug === 'true';
 }
@@ -40,4 +50,24 @@ export function setDebugImage(imageDataUrl) {
 
 export function getDebugImage() {
   return debugState.shadowSamplerImage;
+}
+
+export function pixelsToPngDataUrl(pixels, width, height) {
+  // Create a canvas to draw the pixel data
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  // Ensure pixels is a Uint8ClampedArray for ImageData constructor
+  const pixelArray = pixels instanceof Uint8ClampedArray
+    ? pixels
+    : new Uint8ClampedArray(pixels.buffer, pixels.byteOffset, pixels.length);
+
+  // Create ImageData from pixel array
+  const imageData = new ImageData(pixelArray, width, height);
+  ctx.putImageData(imageData, 0, 0);
+
+  // Convert canvas to PNG data URL
+  return canvas.toDataURL('image/png');
 }
\ No newline at end of file
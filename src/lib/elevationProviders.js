@@ -0,0 +1,191 @@
+import { parseGeoTiff } from './geoTiff';
+import { debugLog } from './debugUtils';
+
+// An elevation provider supplies a DEM covering a bounding box, whatever its
+// actual source:
+//   { id, name, getElevationData: async (bounds, { signal }) => ({ bounds, width, height, elevations }) }
+// Elevations are metres in a Float32Array, row by row from the north-west
+// corner, with NaN where there is no data.
+
+const TERRAIN_RGB_URL = 'https://api.mapbox.com/v4/mapbox.terrain-rgb';
+const TERRAIN_TILE_SIZE = 256;
+const MAX_TERRAIN_ZOOM = 14;
+const MAX_TERRAIN_TILES = 16;
+// Decoded tiles kept between requests, about 256 KB each
+const MAX_CACHED_TERRAIN_TILES = 64;
+
+// Terrain-RGB packs the elevation into the three color channels in 0.1 m steps
+const decodeTerrainRgb = (r, g, b) => -10000 + (r * 65536 + g * 256 + b) * 0.1;
+
+// Pixels of an image, drawn onto a canvas
+async function imagePixels(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, 0, 0);
+  return context.getImageData(0, 0, bitmap.width, bitmap.height);
+}
+
+function decodeTerrainImage({ width, height, data }) {
+  const elevations = new Float32Array(width * height);
+  for (let i = 0; i < elevations.length; i++) {
+    // Fully transparent pixels carry no elevation
+    elevations[i] = data[i * 4 + 3] === 0
+      ? NaN
+      : decodeTerrainRgb(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+  }
+  return elevations;
+}
+
+// Web Mercator position in global pixels at a zoom level
+function mercatorPixel(lat, lon, zoom) {
+  const scale = TERRAIN_TILE_SIZE * 2 ** zoom;
+  const sinLat = Math.sin(lat * Math.PI / 180);
+  return {
+    x: (lon + 180) / 360 * scale,
+    y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale
+  };
+}
+
+// Highest zoom whose tiles over the bounds stay within the tile limit
+function terrainZoom(bounds) {
+  for (let zoom = MAX_TERRAIN_ZOOM; zoom > 0; zoom--) {
+    const nw = mercatorPixel(bounds.north, bounds.west, zoom);
+    const se = mercatorPixel(bounds.south, bounds.east, zoom);
+    const tilesX = Math.floor(se.x / TERRAIN_TILE_SIZE) - Math.floor(nw.x / TERRAIN_TILE_SIZE) + 1;
+    const tilesY = Math.floor(se.y / TERRAIN_TILE_SIZE) - Math.floor(nw.y / TERRAIN_TILE_SIZE) + 1;
+    if (tilesX * tilesY <= MAX_TERRAIN_TILES) return zoom;
+  }
+  return 0;
+}
+
+/**
+ * Provider over Mapbox Terrain-RGB tiles. The Mercator tiles are resampled onto
+ * a latitude/longitude grid at roughly their own resolution. Decoded tiles are
+ * kept, so routes nearby do not fetch them again.
+ * @param {string} accessToken - Mapbox access token
+ */
+export function createTerrainRgbProvider(accessToken) {
+  const tileCache = new Map(); // "zoom/x/y" -> elevations, oldest first
+
+  const fetchTile = async (zoom, x, y, signal) => {
+    const key = `${zoom}/${x}/${y}`;
+    const cached = tileCache.get(key);
+    if (cached) {
+      // Move it to the back so the least recently used tile goes first
+      tileCache.delete(key);
+      tileCache.set(key, cached);
+      return cached;
+    }
+    const response = await fetch(`${TERRAIN_RGB_URL}/${zoom}/${x}/${y}.pngraw?access_token=${accessToken}`, { signal });
+    if (!response.ok) {
+      throw new Error(`Terrain tile request failed: ${response.status}`);
+    }
+    const tile = decodeTerrainImage(await imagePixels(await response.blob()));
+    tileCache.set(key, tile);
+    if (tileCache.size > MAX_CACHED_TERRAIN_TILES) tileCache.delete(tileCache.keys().next().value);
+    return tile;
+  };
+
+  const getElevationData = async (bounds, { signal } = {}) => {
+    const zoom = terrainZoom(bounds);
+    const nw = mercatorPixel(bounds.north, bounds.west, zoom);
+    const se = mercatorPixel(bounds.south, bounds.east, zoom);
+    const tiles = new Map();
+    const fetches = [];
+    for (let tx = Math.floor(nw.x / TERRAIN_TILE_SIZE); tx <= Math.floor(se.x / TERRAIN_TILE_SIZE); tx++) {
+      for (let ty = Math.floor(nw.y / TERRAIN_TILE_SIZE); ty <= Math.floor(se.y / TERRAIN_TILE_SIZE); ty++) {
+        fetches.push(fetchTile(zoom, tx, ty, signal).then(tile => tiles.set(`${tx}/${ty}`, tile)));
+      }
+    }
+    await Promise.all(fetches);
+
+    const width = Math.max(2, Math.ceil(se.x - nw.x));
+    const height = Math.max(2, Math.ceil(se.y - nw.y));
+    const elevations = new Float32Array(width * height);
+    for (let row = 0; row < height; row++) {
+      const lat = bounds.north - (row + 0.5) / height * (bounds.north - bounds.south);
+      for (let col = 0; col < width; col++) {
+        const lon = bounds.west + (col + 0.5) / width * (bounds.east - bounds.west);
+        const { x, y } = mercatorPixel(lat, lon, zoom);
+        const tile = tiles.get(`${Math.floor(x / TERRAIN_TILE_SIZE)}/${Math.floor(y / TERRAIN_TILE_SIZE)}`);
+        const px = Math.floor(x) % TERRAIN_TILE_SIZE;
+        const py = Math.floor(y) % TERRAIN_TILE_SIZE;
+        elevations[row * width + col] = tile ? tile[py * TERRAIN_TILE_SIZE + px] : NaN;
+      }
+    }
+    debugLog(`Resampled ${tiles.size} terrain tiles at zoom ${zoom} to a ${width}x${height} DEM`);
+    return { bounds, width, height, elevations };
+  };
+
+  return {
+    id: 'terrainRgb',
+    name: 'Mapbox Terrain-RGB',
+    getElevationData
+  };
+}
+
+// Provider over a DEM that is already in memory; the whole raster is handed
+// over and the sampler returns no data outside it. Every request gets its own
+// copy, since the elevations are transferred to the routing worker.
+export function createDemProvider(dem, name = 'Local DEM') {
+  return {
+    id: 'dem',
+    name,
+    getElevationData: async () => ({ ...dem, elevations: dem.elevations.slice() })
+  };
+}
+
+/**
+ * Provider for a Terrain-RGB encoded PNG served with the app, loaded on first use
+ * @param {string} url - Image URL
+ * @param {Object} bounds - Area the image covers ({west, south, east, north})
+ */
+export function createTerrainPngProvider(url, bounds) {
+  let demPromise = null;
+  return {
+    id: 'terrainPng',
+    name: `Terrain PNG (${url})`,
+    getElevationData: async () => {
+      if (!demPromise) {
+        demPromise = fetch(url).then(async response => {
+          if (!response.ok) throw new Error(`Failed to load terrain image: ${response.status}`);
+          const pixels = await imagePixels(await response.blob());
+          return { bounds, width: pixels.width, height: pixels.height, elevations: decodeTerrainImage(pixels) };
+        });
+      }
+      const dem = await demPromise;
+      return { ...dem, elevations: dem.elevations.slice() };
+    }
+  };
+}
+
+/**
+ * Create a provider from a user-supplied GeoTIFF
+ * @param {File} file - File picked by the user
+ * @returns {Promise<Object>} Elevation provider
+ */
+export async function createGeoTiffFileProvider(file) {
+  const dem = parseGeoTiff(await file.arrayBuffer());
+  debugLog(`Loaded a ${dem.width}x${dem.height} DEM from ${file.name}`);
+  return createDemProvider(dem, file.name);
+}
+
+const parseBounds = (text) => {
+  const [west, south, east, north] = text.split(',').map(Number);
+  return { west, south, east, north };
+};
+
+// Provider configured through the environment: a bundled Terrain-RGB PNG, or
+// Mapbox Terrain-RGB tiles when there is an access token. Null means flat streets.
+export function getDefaultElevationProvider() {
+  if (process.env.REACT_APP_DEM_PNG_URL && process.env.REACT_APP_DEM_PNG_BOUNDS) {
+    return createTerrainPngProvider(process.env.REACT_APP_DEM_PNG_URL, parseBounds(process.env.REACT_APP_DEM_PNG_BOUNDS));
+  }
+  if (process.env.REACT_APP_MAPBOX_ACCESS_TOKEN) {
+    return createTerrainRgbProvider(process.env.REACT_APP_MAPBOX_ACCESS_TOKEN);
+  }
+  return null;
+}
@@ -0,0 +1,45 @@
+// Elevation lookups on a DEM grid. A DEM is a north-up raster in plain
+// latitude/longitude: {bounds: {west, east, north, south}, width, height,
+// elevations: Float32Array (row-major, metres, NaN for no data)}.
+
+export class ElevationSampler {
+  constructor(dem) {
+    this.bounds = dem.bounds;
+    this.width = dem.width;
+    this.height = dem.height;
+    this.elevations = dem.elevations;
+  }
+
+  elevationAtPixel(x, y) {
+    const clampedX = Math.min(this.width - 1, Math.max(0, x));
+    const clampedY = Math.min(this.height - 1, Math.max(0, y));
+    return this.elevations[clampedY * this.width + clampedX];
+  }
+
+  // Bilinear interpolation between the four surrounding cells; null outside the DEM
+  sampleAt(lat, lon) {
+    const x = (lon - this.bounds.west) / (this.bounds.east - this.bounds.west) * this.width - 0.5;
+    const y = (this.bounds.north - lat) / (this.bounds.north - this.bounds.south) * this.height - 0.5;
+    if (x < -0.5 || x > this.width - 0.5 || y < -0.5 || y > this.height - 0.5) {
+      return null;
+    }
+
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const fx = x - x0;
+    const fy = y - y0;
+    const top = this.elevationAtPixel(x0, y0) * (1 - fx) + this.elevationAtPixel(x0 + 1, y0) * fx;
+    const bottom = this.elevationAtPixel(x0, y0 + 1) * (1 - fx) + this.elevationAtPixel(x0 + 1, y0 + 1) * fx;
+    const elevation = top * (1 - fy) + bottom * fy;
+    return Number.isNaN(elevation) ? null : elevation;
+  }
+}
+
+// Tobler's hiking function, relative to walking on the flat: about 1.19 on a
+// gentle 5% descent, 0.84 up 5%, 0.6 up 15%
+const TOBLER_FLAT = Math.exp(-3.5 * 0.05);
+export const MAX_TOBLER_FACTOR = 1 / TOBLER_FLAT;
+
+export function toblerSpeedFactor(grade) {
+  return Math.exp(-3.5 * Math.abs(grade + 0.05)) / TOBLER_FLAT;
+}
@@ -0,0 +1,16 @@
+import { toblerSpeedFactor, MAX_TOBLER_FACTOR } from './elevationSampler';
+
+test('Tobler speed factor is 1 on the flat and fastest on a gentle descent', () => {
+  expect(toblerSpeedFactor(0)).toBeCloseTo(1, 9);
+  expect(toblerSpeedFactor(-0.05)).toBeCloseTo(MAX_TOBLER_FACTOR, 9);
+  expect(MAX_TOBLER_FACTOR).toBeCloseTo(1.19, 2);
+});
+
+test('Tobler speed factor slows climbs and steep descents', () => {
+  expect(toblerSpeedFactor(0.05)).toBeCloseTo(0.84, 2);
+  expect(toblerSpeedFactor(0.15)).toBeCloseTo(0.6, 1);
+  expect(toblerSpeedFactor(-0.15)).toBeLessThan(1);
+  expect(toblerSpeedFactor(-0.15)).toBeGreaterThan(toblerSpeedFactor(0.15));
+  // Symmetric about the fastest grade
+  expect(toblerSpeedFactor(-0.2)).toBeCloseTo(toblerSpeedFactor(0.1), 9);
+});
@@ -0,0 +1,97 @@
+import { getTilesForBounds } from './waysCache';
+
+// Area that ways data and shade maps are fetched for: overall bounds plus the
+// rectangles that actually get fetched and rendered, {bounds, rects}. Routes
+// use a corridor of ways cache tiles along the straight line through their
+// stops, so a diagonal route does not pull in the whole rectangle around it.
+
+const METERS_PER_DEGREE = 111320;
+
+// Whether segment A-B passes through a rectangle (Liang-Barsky clipping)
+function segmentCrossesBounds([lngA, latA], [lngB, latB], bounds) {
+  const dx = lngB - lngA;
+  const dy = latB - latA;
+  let enter = 0;
+  let exit = 1;
+  const sides = [
+    [-dx, lngA - bounds.west],
+    [dx, bounds.east - lngA],
+    [-dy, latA - bounds.south],
+    [dy, bounds.north - latA]
+  ];
+  for (const [p, q] of sides) {
+    if (p === 0) {
+      if (q < 0) return false;
+      continue;
+    }
+    const t = q / p;
+    if (p < 0) {
+      if (t > exit) return false;
+      enter = Math.max(enter, t);
+    } else {
+      if (t < enter) return false;
+      exit = Math.min(exit, t);
+    }
+  }
+  return true;
+}
+
+const unionBounds = (rects) => ({
+  west: Math.min(...rects.map(rect => rect.west)),
+  east: Math.max(...rects.map(rect => rect.east)),
+  south: Math.min(...rects.map(rect => rect.south)),
+  north: Math.max(...rects.map(rect => rect.north))
+});
+
+// Region made of a single rectangle
+export const getRectangleRegion = (bounds) => ({ bounds, rects: [bounds] });
+
+/**
+ * Corridor of ways cache tiles that come within a buffer of the straight line
+ * through some points. Neighbouring tiles in a row are merged into one
+ * rectangle, so each row is fetched and rendered in one go.
+ * @param {Array<Object>} points - Points in order ({lng, lat})
+ * @param {number} bufferMeters - How far the corridor reaches either side of the line
+ * @returns {Object} Region ({bounds, rects})
+ */
+export function getCorridorRegion(points, bufferMeters) {
+  const lngs = points.map(point => point.lng);
+  const lats = points.map(point => point.lat);
+  const meanLat = lats.reduce((sum, lat) => sum + lat, 0) / lats.length;
+  const latBuffer = bufferMeters / METERS_PER_DEGREE;
+  const lngBuffer = bufferMeters / (METERS_PER_DEGREE * Math.cos(meanLat * Math.PI / 180));
+
+  const candidates = getTilesForBounds({
+    west: Math.min(...lngs) - lngBuffer,
+    east: Math.max(...lngs) + lngBuffer,
+    south: Math.min(...lats) - latBuffer,
+    north: Math.max(...lats) + latBuffer
+  });
+  const segments = points.length > 1
+    ? points.slice(1).map((point, i) => [[points[i].lng, points[i].lat], [point.lng, point.lat]])
+    : [[[points[0].lng, points[0].lat], [points[0].lng, points[0].lat]]];
+  // A tile is within the buffer when the line crosses the tile grown by it
+  const tiles = candidates.filter(({ bounds }) => {
+    const grown = {
+      west: bounds.west - lngBuffer,
+      east: bounds.east + lngBuffer,
+      south: bounds.south - latBuffer,
+      north: bounds.north + latBuffer
+    };
+    return segments.some(([from, to]) => segmentCrossesBounds(from, to, grown));
+  });
+
+  // getTilesForBounds lists tiles row by row, west to east
+  const rects = [];
+  let previous = null;
+  for (const tile of tiles) {
+    if (previous && previous.row === tile.row && previous.col === tile.col - 1) {
+      rects[rects.length - 1] = { ...rects[rects.length - 1], east: tile.bounds.east };
+    } else {
+      rects.push({ ...tile.bounds });
+    }
+    previous = tile;
+  }
+
+  return { bounds: unionBounds(rects), rects };
+}
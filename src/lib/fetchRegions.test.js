@@ -0,0 +1,38 @@
+import { getCorridorRegion, getRectangleRegion } from './fetchRegions';
+import { TILE_SIZE } from './waysCache';
+
+const tileCount = (rects) => rects.reduce(
+  (sum, rect) => sum + Math.round((rect.east - rect.west) / TILE_SIZE) * Math.round((rect.north - rect.south) / TILE_SIZE), 0);
+const contains = (rect, { lng, lat }) => rect.west <= lng && lng <= rect.east && rect.south <= lat && lat <= rect.north;
+
+test('a diagonal route fetches a corridor, one rectangle per row of tiles', () => {
+  // Five tiles north and five east: the rectangle around it would be 25 tiles
+  const start = { lng: -74.045, lat: 40.705 };
+  const goal = { lng: -74.005, lat: 40.745 };
+  const { bounds, rects } = getCorridorRegion([start, goal], 100);
+
+  expect(rects).toHaveLength(5);
+  rects.forEach(rect => expect(rect.north - rect.south).toBeCloseTo(TILE_SIZE, 9));
+  expect(tileCount(rects)).toBeLessThan(25);
+  expect(rects.some(rect => contains(rect, start))).toBe(true);
+  expect(rects.some(rect => contains(rect, goal))).toBe(true);
+  expect(bounds.west).toBeLessThanOrEqual(start.lng);
+  expect(bounds.north).toBeGreaterThanOrEqual(goal.lat);
+});
+
+test('the corridor bends through waypoints and widens with the buffer', () => {
+  // East along one row, then north up one column
+  const points = [{ lng: -74.045, lat: 40.705 }, { lng: -74.005, lat: 40.705 }, { lng: -74.005, lat: 40.745 }];
+  const narrow = getCorridorRegion(points, 100);
+  const wide = getCorridorRegion(points, 1500);
+
+  expect(tileCount(narrow.rects)).toBe(9);
+  expect(narrow.rects.find(rect => contains(rect, points[0])).east).toBeGreaterThanOrEqual(points[1].lng);
+  expect(tileCount(wide.rects)).toBeGreaterThan(tileCount(narrow.rects));
+});
+
+test('a single point gets the tiles around it', () => {
+  const { rects } = getCorridorRegion([{ lng: -74.005, lat: 40.705 }], 100);
+  expect(tileCount(rects)).toBe(1);
+  expect(getRectangleRegion(rects[0]).rects).toEqual([rects[0]]);
+});
@@ -0,0 +1,183 @@
+// Minimal GeoTIFF reader for single-band elevation rasters in plain
+// latitude/longitude (EPSG:4326). Only uncompressed, strip-organized files are
+// supported, which is what `gdal_translate -of GTiff -co COMPRESS=NONE` writes.
+
+const TAG = {
+  IMAGE_WIDTH: 256,
+  IMAGE_LENGTH: 257,
+  BITS_PER_SAMPLE: 258,
+  COMPRESSION: 259,
+  STRIP_OFFSETS: 273,
+  SAMPLES_PER_PIXEL: 277,
+  ROWS_PER_STRIP: 278,
+  STRIP_BYTE_COUNTS: 279,
+  TILE_OFFSETS: 324,
+  SAMPLE_FORMAT: 339,
+  MODEL_PIXEL_SCALE: 33550,
+  MODEL_TIEPOINT: 33922,
+  GEO_KEY_DIRECTORY: 34735,
+  GDAL_NODATA: 42113
+};
+
+const GEO_KEY = {
+  MODEL_TYPE: 1024,
+  GEOGRAPHIC_TYPE: 2048
+};
+const MODEL_TYPE_GEOGRAPHIC = 2;
+const EPSG_WGS84 = 4326;
+
+const SAMPLE_FORMAT = {
+  UINT: 1,
+  INT: 2,
+  FLOAT: 3
+};
+
+// Byte size of each TIFF field type
+const FIELD_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+function readFieldValues(view, type, count, offset, littleEndian) {
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    const at = offset + i * FIELD_TYPE_SIZES[type];
+    switch (type) {
+      case 1: case 2: case 7: values.push(view.getUint8(at)); break;
+      case 6: values.push(view.getInt8(at)); break;
+      case 3: values.push(view.getUint16(at, littleEndian)); break;
+      case 8: values.push(view.getInt16(at, littleEndian)); break;
+      case 4: values.push(view.getUint32(at, littleEndian)); break;
+      case 9: values.push(view.getInt32(at, littleEndian)); break;
+      case 11: values.push(view.getFloat32(at, littleEndian)); break;
+      case 12: values.push(view.getFloat64(at, littleEndian)); break;
+      case 5: values.push(view.getUint32(at, littleEndian) / view.getUint32(at + 4, littleEndian)); break;
+      case 10: values.push(view.getInt32(at, littleEndian) / view.getInt32(at + 4, littleEndian)); break;
+      default: throw new Error(`Unsupported TIFF field type ${type}`);
+    }
+  }
+  return values;
+}
+
+// Tags of the first image file directory, as arrays of values
+function readFirstIfd(view, littleEndian) {
+  const ifdOffset = view.getUint32(4, littleEndian);
+  const entryCount = view.getUint16(ifdOffset, littleEndian);
+  const tags = new Map();
+  for (let i = 0; i < entryCount; i++) {
+    const entry = ifdOffset + 2 + i * 12;
+    const tag = view.getUint16(entry, littleEndian);
+    const type = view.getUint16(entry + 2, littleEndian);
+    const count = view.getUint32(entry + 4, littleEndian);
+    if (!FIELD_TYPE_SIZES[type]) continue;
+    // Values that fit in four bytes are stored inline
+    const valueOffset = FIELD_TYPE_SIZES[type] * count <= 4
+      ? entry + 8
+      : view.getUint32(entry + 8, littleEndian);
+    tags.set(tag, readFieldValues(view, type, count, valueOffset, littleEndian));
+  }
+  return tags;
+}
+
+function readGeoKeys(directory = []) {
+  const keys = new Map();
+  // Header of four shorts, then four shorts per key: id, location, count, value
+  for (let i = 4; i + 3 < directory.length; i += 4) {
+    if (directory[i + 1] === 0) keys.set(directory[i], directory[i + 3]);
+  }
+  return keys;
+}
+
+// GDAL stores the nodata value as text, which once parsed rarely equals a
+// float32 sample bit for bit; round it to the sample type before comparing
+function parseNodata(text, bitsPerSample, sampleFormat) {
+  const value = parseFloat(text);
+  if (sampleFormat !== SAMPLE_FORMAT.FLOAT) return Math.round(value);
+  return bitsPerSample === 32 ? Math.fround(value) : value;
+}
+
+function sampleReader(view, bitsPerSample, sampleFormat, littleEndian) {
+  const key = `${sampleFormat}:${bitsPerSample}`;
+  switch (key) {
+    case '1:8': return (at) => view.getUint8(at);
+    case '2:8': return (at) => view.getInt8(at);
+    case '1:16': return (at) => view.getUint16(at, littleEndian);
+    case '2:16': return (at) => view.getInt16(at, littleEndian);
+    case '1:32': return (at) => view.getUint32(at, littleEndian);
+    case '2:32': return (at) => view.getInt32(at, littleEndian);
+    case '3:32': return (at) => view.getFloat32(at, littleEndian);
+    case '3:64': return (at) => view.getFloat64(at, littleEndian);
+    default: throw new Error(`Unsupported GeoTIFF sample type (format ${sampleFormat}, ${bitsPerSample} bits)`);
+  }
+}
+
+/**
+ * Parse a GeoTIFF elevation raster
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Object} DEM ({bounds, width, height, elevations}) for ElevationSampler
+ */
+export function parseGeoTiff(buffer) {
+  const view = new DataView(buffer);
+  const byteOrder = view.getUint16(0, false);
+  if (byteOrder !== 0x4949 && byteOrder !== 0x4d4d) {
+    throw new Error('Not a TIFF file');
+  }
+  const littleEndian = byteOrder === 0x4949;
+  if (view.getUint16(2, littleEndian) !== 42) {
+    throw new Error('BigTIFF files are not supported');
+  }
+
+  const tags = readFirstIfd(view, littleEndian);
+  const tag = (id, fallback) => tags.get(id)?.[0] ?? fallback;
+
+  if (tag(TAG.COMPRESSION, 1) !== 1) {
+    throw new Error('Compressed GeoTIFFs are not supported; export with COMPRESS=NONE');
+  }
+  if (tags.has(TAG.TILE_OFFSETS)) {
+    throw new Error('Tiled GeoTIFFs are not supported; export with TILED=NO');
+  }
+  if (tag(TAG.SAMPLES_PER_PIXEL, 1) !== 1) {
+    throw new Error('Only single-band GeoTIFFs are supported');
+  }
+
+  const geoKeys = readGeoKeys(tags.get(TAG.GEO_KEY_DIRECTORY));
+  if (geoKeys.get(GEO_KEY.MODEL_TYPE) !== MODEL_TYPE_GEOGRAPHIC ||
+      (geoKeys.has(GEO_KEY.GEOGRAPHIC_TYPE) && geoKeys.get(GEO_KEY.GEOGRAPHIC_TYPE) !== EPSG_WGS84)) {
+    throw new Error('Only GeoTIFFs in EPSG:4326 (latitude/longitude) are supported');
+  }
+
+  const width = tag(TAG.IMAGE_WIDTH);
+  const height = tag(TAG.IMAGE_LENGTH);
+  const [scaleX, scaleY] = tags.get(TAG.MODEL_PIXEL_SCALE) ?? [];
+  const [, , , originX, originY] = tags.get(TAG.MODEL_TIEPOINT) ?? [];
+  if (!width || !height || scaleX === undefined || originX === undefined) {
+    throw new Error('GeoTIFF is missing its size or georeferencing');
+  }
+
+  const bitsPerSample = tag(TAG.BITS_PER_SAMPLE, 8);
+  const sampleFormat = tag(TAG.SAMPLE_FORMAT, SAMPLE_FORMAT.UINT);
+  const readSample = sampleReader(view, bitsPerSample, sampleFormat, littleEndian);
+  const bytesPerSample = bitsPerSample / 8;
+  const stripOffsets = tags.get(TAG.STRIP_OFFSETS);
+  const rowsPerStrip = tag(TAG.ROWS_PER_STRIP, height);
+  const nodataText = tags.has(TAG.GDAL_NODATA) ? String.fromCharCode(...tags.get(TAG.GDAL_NODATA)) : null;
+  const nodata = nodataText === null ? null : parseNodata(nodataText, bitsPerSample, sampleFormat);
+
+  const elevations = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const rowStart = stripOffsets[Math.floor(y / rowsPerStrip)] + (y % rowsPerStrip) * width * bytesPerSample;
+    for (let x = 0; x < width; x++) {
+      const value = readSample(rowStart + x * bytesPerSample);
+      elevations[y * width + x] = value === nodata ? NaN : value;
+    }
+  }
+
+  return {
+    bounds: {
+      west: originX,
+      east: originX + width * scaleX,
+      north: originY,
+      south: originY - height * scaleY
+    },
+    width,
+    height,
+    elevations
+  };
+}
@@ -0,0 +1,79 @@
+import { parseGeoTiff } from './geoTiff';
+
+// Little-endian, uncompressed, one strip, in EPSG:4326: the smallest file
+// parseGeoTiff accepts
+function buildGeoTiff({ samples, bitsPerSample, sampleFormat, nodata }) {
+  const buffer = new ArrayBuffer(1024);
+  const view = new DataView(buffer);
+  const entries = [
+    [256, 3, [samples.length]], // width
+    [257, 3, [1]], // height
+    [258, 3, [bitsPerSample]],
+    [259, 3, [1]], // no compression
+    [273, 4, null], // strip offset, filled in below
+    [277, 3, [1]], // one band
+    [278, 3, [1]], // rows per strip
+    [339, 3, [sampleFormat]],
+    [33550, 12, [0.001, 0.001, 0]], // pixel scale
+    [33922, 12, [0, 0, 0, -74, 40.7, 0]], // tie point
+    [34735, 3, [1, 1, 0, 1, 1024, 0, 1, 2]], // geographic model
+    [42113, 2, [...nodata].map(char => char.charCodeAt(0)).concat(0)]
+  ];
+  view.setUint16(0, 0x4949);
+  view.setUint16(2, 42, true);
+  view.setUint32(4, 8, true);
+  view.setUint16(8, entries.length, true);
+  let dataOffset = 8 + 2 + entries.length * 12 + 4;
+  const write = (type, values, at) => values.forEach((value, i) => {
+    if (type === 2) view.setUint8(at + i, value);
+    if (type === 3) view.setUint16(at + i * 2, value, true);
+    if (type === 4) view.setUint32(at + i * 4, value, true);
+    if (type === 12) view.setFloat64(at + i * 8, value, true);
+  });
+  const sizes = { 2: 1, 3: 2, 4: 4, 12: 8 };
+  entries.forEach(([tag, type, values], i) => {
+    const entry = 10 + i * 12;
+    const count = values ? values.length : 1;
+    view.setUint16(entry, tag, true);
+    view.setUint16(entry + 2, type, true);
+    view.setUint32(entry + 4, count, true);
+    if (!values) return;
+    if (sizes[type] * count <= 4) {
+      write(type, values, entry + 8);
+    } else {
+      view.setUint32(entry + 8, dataOffset, true);
+      write(type, values, dataOffset);
+      dataOffset += sizes[type] * count;
+    }
+  });
+  view.setUint32(10 + 4 * 12 + 8, dataOffset, true);
+  const bytes = bitsPerSample / 8;
+  samples.forEach((sample, i) => {
+    const at = dataOffset + i * bytes;
+    if (sampleFormat === 3) view.setFloat32(at, sample, true);
+    else if (bitsPerSample === 16) view.setInt16(at, sample, true);
+    else view.setInt32(at, sample, true);
+  });
+  return buffer;
+}
+
+test('integer rasters drop the samples that equal nodata', () => {
+  const { elevations } = parseGeoTiff(buildGeoTiff({
+    samples: [12, -9999, 30], bitsPerSample: 16, sampleFormat: 2, nodata: '-9999.0'
+  }));
+  expect([...elevations]).toEqual([12, NaN, 30]);
+});
+
+test('float rasters compare nodata at float32 precision', () => {
+  // GDAL writes the float32 minimum with fewer digits than it takes to match
+  const lowest = parseGeoTiff(buildGeoTiff({
+    samples: [-3.4028234663852886e38, 5.5], bitsPerSample: 32, sampleFormat: 3, nodata: '-3.40282346638529e+38'
+  }));
+  expect([...lowest.elevations]).toEqual([NaN, 5.5]);
+
+  const fraction = parseGeoTiff(buildGeoTiff({
+    samples: [0.1, 0.2], bitsPerSample: 32, sampleFormat: 3, nodata: '0.1'
+  }));
+  expect(Number.isNaN(fraction.elevations[0])).toBe(true);
+  expect(fraction.elevations[1]).toBeCloseTo(0.2, 6);
+});
@@ -1,42 +1,60 @@
-export const exportRouteAsGPX = (routeData, routeStats) => {
+import { distance } from '@turf/distance';
+import { TRAVEL_MODE, getTravelMode } from './travelModes';
+
+// Track point times, from the departure at the route's average pace
+const trackPointTimes = (routeData, departure) => {
+  const secondsPerMeter = routeData.distance > 0 ? routeData.duration / routeData.distance : 0;
+  let elapsed = 0;
+  return routeData.coordinates.map((coord, index) => {
+    if (index > 0) {
+      elapsed += distance(routeData.coordinates[index - 1], coord, { units: 'meters' }) * secondsPerMeter;
+    }
+    return new Date(departure.getTime() + elapsed * 1000);
+  });
+};
+
+export const exportRouteAsGPX = (routeData, routeStats, { departure = new Date(), travelMode = TRAVEL_MODE.WALK } = {}) => {
   if (!routeData || !routeData.coordinates || routeData.coordinates.length === 0) {
     throw new Error('No route data available for export');
   }
 
+  const mode = getTravelMode(travelMode);
   const now = new Date().toISOString();
-  const routeName = `Shade Route ${new Date().toLocaleDateString()}`;
+  const routeName = `Shade ${mode.name} ${departure.toLocaleDateString()}`;
   
   let gpxContent = `<?xml version="1.0" encoding="UTF-8"?>
 <gpx version="1.1" creator="Shade Map" xmlns="http://www.topografix.com/GPX/1/1">
   <metadata>
     <name>${routeName}</name>
-    <desc>Walking route optimized for shade</desc>
+    <desc>${mode.name} route optimized for shade</desc>
     <time>${now}</time>`;
 
   if (routeStats) {
     gpxContent += `
-    <keywords>shade,walking,${routeStats.shadedPercentage}% shaded</keywords>`;
+    <keywords>shade,${mode.activity},${routeStats.shadedPercentage}% shaded</keywords>`;
   }
 
   gpxContent += `
   </metadata>
   <trk>
-    <name>${routeName}</name>`;
+    <name>${routeName}</name>
+    <type>${mode.activity}</type>`;
 
   if (routeStats) {
     gpxContent += `
-    <desc>Distance: ${(routeData.distance / 1000).toFixed(2)} km, Duration: ${Math.round(routeData.duration / 60)} min, Shaded: ${routeStats.shadedPercentage}%, Sunny: ${routeStats.sunnyPercentage}%</desc>`;
+    <desc>Distance: ${(routeData.distance / 1000).toFixed(2)} km, Duration: ${Math.round(routeData.duration / 60)} min, Shaded: ${routeStats.shadedPercentage}%, Covered: ${routeStats.coveredPercentage ?? 0}%, Sunny: ${routeStats.sunnyPercentage}%</desc>`;
   }
 
   gpxContent += `
     <trkseg>`;
 
-  // Add each coordinate as a track point
+  // Add each coordinate as a track point, timed as the route would be travelled
+  const times = trackPointTimes(routeData, departure);
   routeData.coordinates.forEach((coord, index) => {
     const [lng, lat] = coord;
     gpxContent += `
       <trkpt lat="${lat}" lon="${lng}">
-        <time>${new Date(Date.now() + index * 1000).toISOString()}</time>
+        <time>${times[index].toISOString()}</time>
       </trkpt>`;
   });
 
@@ -50,7 +68,7 @@ export const exportRouteAsGPX = (routeData, routeStats) => {
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
-  a.download = `shade-route-${new Date().toISOString().split('T')[0]}.gpx`;
+  a.download = `shade-${mode.id}-${departure.toISOString().split('T')[0]}.gpx`;
   document.body.appendChild(a);
   a.click();
   document.body.removeChild(a);
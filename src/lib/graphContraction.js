@@ -0,0 +1,130 @@
+// Degree-2 chain contraction. Most nodes of a street network just join two
+// edges of the same street; the searches step over each run of such nodes as
+// one compound edge instead of queueing every node on the way. A compound edge
+// keeps its member links in walking order, so routes still come out edge by
+// edge with their geometry and shade.
+
+import { canTraverse } from './travelModes';
+
+/**
+ * Split a graph into core nodes and the chains of degree-2 nodes between them
+ * @param {Object} ngraph - Graph instance from buildGraph, with eids on its links
+ * @param {number} nodeCount - Number of nodes
+ * @param {number} edgeCount - Number of edges (eids)
+ * @returns {Object} {nodeCount, isCore, chains, chainsByNode, chainByEdge, chainOfNode}
+ *   plus networkNodeCount (nodes with edges) and coreNodeCount for reporting.
+ *   Each chain is {id, nodes, links, length, shadedLength, steps} with steps[0]
+ *   walking it from nodes[0] and steps[1] the other way round; a step against a
+ *   one-way link on the chain is marked blocked.
+ */
+export function contractGraph(ngraph, nodeCount, edgeCount) {
+  // One link per edge is enough: costs are worked out from the walking direction,
+  // and a one-way edge has only the one link
+  const edgeLinks = new Array(edgeCount);
+  const incident = new Array(nodeCount); // idx -> [eid]
+  ngraph.forEachLink(link => {
+    const { eid } = link.data;
+    if (edgeLinks[eid]) return;
+    edgeLinks[eid] = link;
+    for (const nodeIdx of [link.fromId, link.toId]) {
+      if (!incident[nodeIdx]) incident[nodeIdx] = [];
+      incident[nodeIdx].push(eid);
+    }
+  });
+
+  const otherEnd = (eid, nodeIdx) => {
+    const link = edgeLinks[eid];
+    return link.fromId === nodeIdx ? link.toId : link.fromId;
+  };
+
+  // Core nodes end chains: dead ends, junctions, and nodes whose two edges lead
+  // to the same neighbour
+  const isCore = new Uint8Array(nodeCount);
+  for (let nodeIdx = 0; nodeIdx < nodeCount; nodeIdx++) {
+    const eids = incident[nodeIdx];
+    isCore[nodeIdx] = !eids || eids.length !== 2 || otherEnd(eids[0], nodeIdx) === otherEnd(eids[1], nodeIdx)
+      ? 1
+      : 0;
+  }
+
+  const chains = [];
+  const chainByEdge = new Int32Array(edgeCount).fill(-1);
+  const chainOfNode = new Int32Array(nodeCount).fill(-1);
+  const chainsByNode = new Map(); // core idx -> [chain id]
+
+  const walkChain = (startIdx, firstEid) => {
+    const id = chains.length;
+    const nodes = [startIdx];
+    const links = [];
+    let length = 0;
+    let shadedLength = 0;
+    let forwardOpen = true;
+    let backwardOpen = true;
+    let eid = firstEid;
+    let current = startIdx;
+    for (;;) {
+      const link = edgeLinks[eid];
+      chainByEdge[eid] = id;
+      links.push(link);
+      length += link.data.length;
+      shadedLength += link.data.length * (link.data.shade ?? 0);
+      const next = otherEnd(eid, current);
+      forwardOpen = forwardOpen && canTraverse(link, current);
+      backwardOpen = backwardOpen && canTraverse(link, next);
+      current = next;
+      nodes.push(current);
+      if (isCore[current]) break;
+      chainOfNode[current] = id;
+      const [eidA, eidB] = incident[current];
+      eid = eidA === eid ? eidB : eidA;
+    }
+
+    const chain = { id, nodes, links, length, shadedLength };
+    const last = nodes[nodes.length - 1];
+    chain.steps = [
+      { chain, from: startIdx, to: last, reversed: false, blocked: !forwardOpen },
+      { chain, from: last, to: startIdx, reversed: true, blocked: !backwardOpen }
+    ];
+    chains.push(chain);
+    // A chain that comes back to where it started never shortens a route
+    if (last !== startIdx) {
+      for (const end of [startIdx, last]) {
+        if (!chainsByNode.has(end)) chainsByNode.set(end, []);
+        chainsByNode.get(end).push(id);
+      }
+    }
+  };
+
+  for (let nodeIdx = 0; nodeIdx < nodeCount; nodeIdx++) {
+    if (!isCore[nodeIdx] || !incident[nodeIdx]) continue;
+    for (const eid of incident[nodeIdx]) {
+      if (chainByEdge[eid] === -1) walkChain(nodeIdx, eid);
+    }
+  }
+
+  // Rings with no junction on them have no core node yet; promote one
+  for (let nodeIdx = 0; nodeIdx < nodeCount; nodeIdx++) {
+    if (isCore[nodeIdx] || chainOfNode[nodeIdx] !== -1) continue;
+    isCore[nodeIdx] = 1;
+    walkChain(nodeIdx, incident[nodeIdx][0]);
+  }
+
+  let networkNodeCount = 0;
+  let coreNodeCount = 0;
+  for (let nodeIdx = 0; nodeIdx < nodeCount; nodeIdx++) {
+    if (!incident[nodeIdx]) continue;
+    networkNodeCount++;
+    if (isCore[nodeIdx]) coreNodeCount++;
+  }
+
+  return {
+    nodeCount,
+    networkNodeCount,
+    coreNodeCount,
+    isCore,
+    chains,
+    chainsByNode,
+    chainByEdge,
+    chainOfNode
+  };
+}
@@ -0,0 +1,152 @@
+import { distance } from '@turf/distance';
+
+// Turn-by-turn directions built from a route's edges. Consecutive edges of the
+// same street are merged into one step; a new step starts wherever the street
+// changes, with the turn taken from the bearings on either side of the junction.
+
+export const STEP_TYPE = {
+  DEPART: 'depart',
+  TURN: 'turn',
+  ARRIVE: 'arrive'
+};
+
+// Turn angle thresholds in degrees, checked in order
+const TURN_MODIFIERS = [
+  { maxAngle: 20, modifier: 'straight' },
+  { maxAngle: 60, modifier: 'slight' },
+  { maxAngle: 135, modifier: '' },
+  { maxAngle: 170, modifier: 'sharp' }
+];
+
+const COMPASS_DIRECTIONS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+
+const HIGHWAY_DESCRIPTIONS = {
+  footway: 'the footpath',
+  path: 'the path',
+  pedestrian: 'the pedestrian street',
+  steps: 'the steps',
+  elevator: 'the elevator',
+  cycleway: 'the cycle path',
+  service: 'the service road',
+  track: 'the track'
+};
+
+// Initial compass bearing from one [lon, lat] point to another, in degrees
+function bearing([lon1, lat1], [lon2, lat2]) {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLon = toRadians(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(toRadians(lat2));
+  const x = Math.cos(toRadians(lat1)) * Math.sin(toRadians(lat2)) -
+    Math.sin(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.cos(dLon);
+  return Math.atan2(y, x) * 180 / Math.PI;
+}
+
+// Signed turn from one bearing to the next, in (-180, 180]; positive is right
+function turnAngle(fromBearing, toBearing) {
+  const angle = ((toBearing - fromBearing) % 360 + 540) % 360 - 180;
+  return angle === -180 ? 180 : angle;
+}
+
+function describeTurn(angle) {
+  const magnitude = Math.abs(angle);
+  const side = angle > 0 ? 'right' : 'left';
+  const match = TURN_MODIFIERS.find(({ maxAngle }) => magnitude <= maxAngle);
+  if (!match) return 'Make a U-turn';
+  if (match.modifier === 'straight') return 'Continue straight';
+  return match.modifier ? `Turn ${match.modifier} ${side}` : `Turn ${side}`;
+}
+
+const describeStreet = (edge) => edge?.name ?? HIGHWAY_DESCRIPTIONS[edge?.highway] ?? 'the street';
+
+// Unnamed ways are only merged with the rest of the same OSM way
+const streetKey = (edge) => (edge.name ? `name:${edge.name}` : `way:${edge.wayOsmId}`);
+
+/**
+ * Build walking directions for a route
+ * @param {Array} coordinates - Route coordinates ([lon, lat])
+ * @param {Array} edges - Edge id per coordinate segment; null for connectors off the street network
+ * @param {Array} shade - Shade value per coordinate segment
+ * @param {Array} edgesMeta - Graph edge metadata, indexed by edge id
+ * @returns {Array<Object>} Steps with type, text, street name, distance (m),
+ *   shadeFraction and the coordinate range [startIndex, endIndex] they cover
+ */
+export function buildInstructions(coordinates, edges, shade, edgesMeta) {
+  if (coordinates.length < 2) return [];
+
+  // Group segments into runs along the same street. Connectors have no street
+  // and join whichever run they touch.
+  const runs = [];
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    const edge = edges[i] === null || edges[i] === undefined ? null : edgesMeta[edges[i]];
+    const segmentDistance = distance(coordinates[i], coordinates[i + 1], { units: 'meters' });
+    const shadedDistance = segmentDistance * shade[i];
+    const last = runs[runs.length - 1];
+
+    if (last && (!edge || !last.edge || streetKey(edge) === streetKey(last.edge))) {
+      last.endIndex = i + 1;
+      last.distance += segmentDistance;
+      last.shadedDistance += shadedDistance;
+      last.edge = last.edge ?? edge;
+    } else {
+      runs.push({ edge, startIndex: i, endIndex: i + 1, distance: segmentDistance, shadedDistance });
+    }
+  }
+
+  const steps = runs.map((run, index) => {
+    const street = describeStreet(run.edge);
+    let type = STEP_TYPE.TURN;
+    let text;
+    if (index === 0) {
+      type = STEP_TYPE.DEPART;
+      // Take the heading from the street itself, not the connector leading onto it
+      const headingIndex = Math.max(run.startIndex, edges.findIndex(eid => eid !== null && eid !== undefined));
+      const heading = bearing(coordinates[headingIndex], coordinates[headingIndex + 1]);
+      const direction = COMPASS_DIRECTIONS[Math.round(((heading + 360) % 360) / 45) % 8];
+      text = `Head ${direction} on ${street}`;
+    } else {
+      const previous = runs[index - 1];
+      const inBearing = bearing(coordinates[previous.endIndex - 1], coordinates[previous.endIndex]);
+      const outBearing = bearing(coordinates[run.startIndex], coordinates[run.startIndex + 1]);
+      text = `${describeTurn(turnAngle(inBearing, outBearing))} onto ${street}`;
+    }
+
+    return {
+      type,
+      text,
+      name: run.edge?.name ?? null,
+      distance: run.distance,
+      shadeFraction: run.distance > 0 ? run.shadedDistance / run.distance : 0,
+      startIndex: run.startIndex,
+      endIndex: run.endIndex
+    };
+  });
+
+  const lastIndex = coordinates.length - 1;
+  steps.push({
+    type: STEP_TYPE.ARRIVE,
+    text: 'Arrive at your destination',
+    name: null,
+    distance: 0,
+    shadeFraction: 0,
+    startIndex: lastIndex,
+    endIndex: lastIndex
+  });
+  return steps;
+}
+
+export function describeShadeFraction(fraction) {
+  if (fraction >= 0.75) return 'mostly shaded';
+  if (fraction >= 0.25) return 'partly shaded';
+  return 'mostly sunny';
+}
+
+export function formatStepDistance(meters) {
+  if (meters >= 1000) return `${(meters / 1000).toFixed(1)} km`;
+  return `${Math.max(10, Math.round(meters / 10) * 10)} m`;
+}
+
+// "Turn left onto Broadway, 240 m, mostly shaded"
+export function formatStep(step) {
+  if (step.type === STEP_TYPE.ARRIVE) return step.text;
+  return `${step.text}, ${formatStepDistance(step.distance)}, ${describeShadeFraction(step.shadeFraction)}`;
+}
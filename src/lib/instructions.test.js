@@ -0,0 +1,31 @@
+import { STEP_TYPE, buildInstructions } from './instructions';
+
+test('buildInstructions merges a street and describes each turn off it', () => {
+  // North along Main St (two ways), right onto Oak St, straight on into
+  // Pine St, then left onto an unnamed footpath
+  const coordinates = [
+    [-74, 40.7], [-74, 40.701], [-74, 40.702],
+    [-73.999, 40.702], [-73.998, 40.702], [-73.998, 40.703]
+  ];
+  const edgesMeta = [
+    { wayOsmId: 1, name: 'Main St', highway: 'residential' },
+    { wayOsmId: 2, name: 'Main St', highway: 'residential' },
+    { wayOsmId: 3, name: 'Oak St', highway: 'residential' },
+    { wayOsmId: 4, name: 'Pine St', highway: 'residential' },
+    { wayOsmId: 5, highway: 'footway' }
+  ];
+  const steps = buildInstructions(coordinates, [0, 1, 2, 3, 4], [1, 0.5, 0, 0.25, 1], edgesMeta);
+
+  expect(steps.map(step => [step.type, step.text, step.startIndex, step.endIndex])).toEqual([
+    [STEP_TYPE.DEPART, 'Head north on Main St', 0, 2],
+    [STEP_TYPE.TURN, 'Turn right onto Oak St', 2, 3],
+    [STEP_TYPE.TURN, 'Continue straight onto Pine St', 3, 4],
+    [STEP_TYPE.TURN, 'Turn left onto the footpath', 4, 5],
+    [STEP_TYPE.ARRIVE, 'Arrive at your destination', 5, 5]
+  ]);
+  // Shade counts in proportion to how shaded each stretch is
+  expect(steps.map(step => step.shadeFraction)).toEqual([
+    expect.closeTo(0.75, 3), 0, 0.25, 1, 0
+  ]);
+  expect(steps[0].distance).toBeCloseTo(222, 0);
+});
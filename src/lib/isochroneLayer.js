@@ -0,0 +1,129 @@
+import { concave, convex, distance, featureCollection, point } from '@turf/turf';
+import { debugWarn } from './debugUtils';
+
+const AREA_SOURCE_ID = 'isochrone-area';
+const AREA_LAYER_ID = 'isochrone-area-fill';
+const STREETS_SOURCE_ID = 'isochrone-streets';
+const STREETS_LAYER_ID = 'isochrone-streets-line';
+
+// Reachable areas are drawn as nested bands, each a fraction of the time budget
+const BAND_FRACTIONS = [1 / 3, 2 / 3, 1];
+
+// Longest hull edge before the concave hull cuts inwards; keeps the hull from
+// spanning parks and rivers nobody can walk across
+const HULL_MAX_EDGE_KM = 0.25;
+
+// Outline of a set of reachable points
+function reachablePolygon(coordinates) {
+  if (coordinates.length < 3) return null;
+  const points = featureCollection(coordinates.map(coord => point(coord)));
+  try {
+    return concave(points, { maxEdge: HULL_MAX_EDGE_KM, units: 'kilometers' }) ?? convex(points);
+  } catch (error) {
+    debugWarn('Concave hull failed, falling back to convex hull:', error);
+    return convex(points);
+  }
+}
+
+/**
+ * Polygons of the area reachable within each time band, largest first so the
+ * smaller bands are drawn on top
+ * @param {Object} isochrone - Result of findIsochrone
+ * @returns {Object} GeoJSON FeatureCollection with a `minutes` property per polygon
+ */
+export function buildIsochroneBands(isochrone) {
+  const features = BAND_FRACTIONS.map(fraction => {
+    const bandTime = isochrone.timeBudget * fraction;
+    const polygon = reachablePolygon(isochrone.nodes
+      .filter(node => node.time <= bandTime)
+      .map(node => node.coordinates));
+    if (!polygon) return null;
+    polygon.properties = { minutes: Math.round(bandTime / 60), fraction };
+    return polygon;
+  }).filter(Boolean);
+  return featureCollection(features.reverse());
+}
+
+/**
+ * Shaded share of the reachable streets
+ * @param {Object} isochrone - Result of findIsochrone
+ * @returns {{totalDistance: number, shadedPercentage: number}} Distance in metres
+ */
+export function getIsochroneStats(isochrone) {
+  let totalDistance = 0;
+  let shadedDistance = 0;
+  for (const edge of isochrone.edges) {
+    const length = distance(edge.coordinates[0], edge.coordinates[1], { units: 'meters' });
+    totalDistance += length;
+    shadedDistance += length * edge.shade;
+  }
+  return {
+    totalDistance: Math.round(totalDistance),
+    shadedPercentage: totalDistance > 0 ? Math.round((shadedDistance / totalDistance) * 100) : 0
+  };
+}
+
+export function clearIsochrone(map) {
+  if (!map) return;
+  [STREETS_LAYER_ID, AREA_LAYER_ID].forEach(layerId => {
+    if (map.getLayer(layerId)) {
+      map.removeLayer(layerId);
+    }
+  });
+  [STREETS_SOURCE_ID, AREA_SOURCE_ID].forEach(sourceId => {
+    if (map.getSource(sourceId)) {
+      map.removeSource(sourceId);
+    }
+  });
+}
+
+/**
+ * Draw the reachable area bands and every reachable street colored by its shade
+ * @param {Object} isochrone - Result of findIsochrone
+ * @param {Object} map - Mapbox map instance
+ */
+export function drawIsochrone(isochrone, map) {
+  if (!map) return;
+  clearIsochrone(map);
+
+  map.addSource(AREA_SOURCE_ID, {
+    type: 'geojson',
+    data: buildIsochroneBands(isochrone)
+  });
+  map.addLayer({
+    id: AREA_LAYER_ID,
+    type: 'fill',
+    source: AREA_SOURCE_ID,
+    paint: {
+      'fill-color': '#3887be',
+      'fill-opacity': 0.12
+    }
+  }, '3d-buildings');
+
+  map.addSource(STREETS_SOURCE_ID, {
+    type: 'geojson',
+    data: featureCollection(isochrone.edges.map(edge => ({
+      type: 'Feature',
+      properties: { shade: edge.shade },
+      geometry: {
+        type: 'LineString',
+        coordinates: edge.coordinates
+      }
+    })))
+  });
+  map.addLayer({
+    id: STREETS_LAYER_ID,
+    type: 'line',
+    source: STREETS_SOURCE_ID,
+    layout: {
+      'line-join': 'round',
+      'line-cap': 'round'
+    },
+    paint: {
+      // Same yellow (sunny) to purple (shaded) as the route segments
+      'line-color': ['interpolate', ['linear'], ['get', 'shade'], 0, '#fbbf24', 1, '#8b5cf6'],
+      'line-width': 4,
+      'line-opacity': 0.9
+    }
+  }, '3d-buildings');
+}
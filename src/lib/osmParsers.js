@@ -0,0 +1,299 @@
+import { isCanopyWay, isTreeNode } from './canopyShadows';
+
+// Parsers that turn local OSM extracts into the Overpass JSON element shape
+// ({type: 'node', id, lat, lon, tags} / {type: 'way', id, nodes, tags}) that buildGraph reads.
+
+export function parseOsmXml(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid OSM XML file');
+  }
+
+  const readTags = (el) => {
+    const tags = {};
+    for (const tag of el.getElementsByTagName('tag')) {
+      tags[tag.getAttribute('k')] = tag.getAttribute('v');
+    }
+    return tags;
+  };
+
+  const elements = [];
+  for (const node of doc.getElementsByTagName('node')) {
+    elements.push({
+      type: 'node',
+      id: Number(node.getAttribute('id')),
+      lat: Number(node.getAttribute('lat')),
+      lon: Number(node.getAttribute('lon')),
+      tags: readTags(node)
+    });
+  }
+  for (const way of doc.getElementsByTagName('way')) {
+    elements.push({
+      type: 'way',
+      id: Number(way.getAttribute('id')),
+      nodes: Array.from(way.getElementsByTagName('nd'), nd => Number(nd.getAttribute('ref'))),
+      tags: readTags(way)
+    });
+  }
+  return { elements };
+}
+
+// GeoJSON lines become ways; coordinates shared between lines become shared nodes.
+// Every line gets a way id of its own, since the lines of a MultiLineString, or
+// features sharing an osm_id, would otherwise be merged away as duplicates; the
+// feature's own id is kept in the source_id tag.
+export function parseGeoJson(geojson) {
+  const features = geojson.type === 'FeatureCollection' ? geojson.features : [geojson];
+  const elements = [];
+  const nodeIds = new Map(); // "lon,lat" -> synthetic node id
+  let nextNodeId = -1;
+  let nextWayId = -1;
+
+  const nodeIdFor = ([lon, lat]) => {
+    const key = `${lon},${lat}`;
+    if (!nodeIds.has(key)) {
+      nodeIds.set(key, nextNodeId);
+      elements.push({ type: 'node', id: nextNodeId, lat, lon });
+      nextNodeId--;
+    }
+    return nodeIds.get(key);
+  };
+
+  for (const feature of features) {
+    const geometry = feature.geometry;
+    if (!geometry) continue;
+    const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+      : geometry.type === 'MultiLineString' ? geometry.coordinates
+      : [];
+    const sourceId = feature.properties?.osm_id ?? feature.id;
+    const tags = sourceId === undefined ? { ...feature.properties } : { ...feature.properties, source_id: String(sourceId) };
+    for (const line of lines) {
+      elements.push({
+        type: 'way',
+        id: nextWayId--,
+        nodes: line.map(nodeIdFor),
+        tags: { ...tags }
+      });
+    }
+  }
+  return { elements };
+}
+
+// Minimal protobuf reader for the subset of the OSM PBF format we need
+class ProtoReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.pos = 0;
+  }
+
+  get done() {
+    return this.pos >= this.bytes.length;
+  }
+
+  // Varints are accumulated with multiplication so 64-bit ids stay exact up to 2^53
+  varint() {
+    let result = 0;
+    let multiplier = 1;
+    let byte;
+    do {
+      byte = this.bytes[this.pos++];
+      result += (byte & 0x7f) * multiplier;
+      multiplier *= 128;
+    } while (byte & 0x80);
+    return result;
+  }
+
+  svarint() {
+    const n = this.varint();
+    return n % 2 === 1 ? -(n + 1) / 2 : n / 2;
+  }
+
+  bytesField() {
+    const length = this.varint();
+    const value = this.bytes.subarray(this.pos, this.pos + length);
+    this.pos += length;
+    return value;
+  }
+
+  string() {
+    return new TextDecoder().decode(this.bytesField());
+  }
+
+  packed(readValue) {
+    const reader = new ProtoReader(this.bytesField());
+    const values = [];
+    while (!reader.done) values.push(readValue(reader));
+    return values;
+  }
+
+  skip(wireType) {
+    if (wireType === 0) this.varint();
+    else if (wireType === 1) this.pos += 8;
+    else if (wireType === 2) this.pos += this.varint();
+    else if (wireType === 5) this.pos += 4;
+    else throw new Error(`Unsupported protobuf wire type ${wireType}`);
+  }
+
+  // Calls onField(fieldNumber, wireType) for every field; it must consume or skip it
+  readFields(onField) {
+    while (!this.done) {
+      const key = this.varint();
+      const handled = onField(Math.floor(key / 8), key % 8);
+      if (handled === false) this.skip(key % 8);
+    }
+  }
+}
+
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function decodeTags(keys, vals, strings) {
+  if (keys.length === 0) return undefined;
+  const tags = {};
+  keys.forEach((key, i) => {
+    tags[strings[key]] = strings[vals[i]];
+  });
+  return tags;
+}
+
+function parsePrimitiveGroup(groupBytes, strings, toLat, toLon, elements) {
+  const group = new ProtoReader(groupBytes);
+  group.readFields((field) => {
+    if (field === 1) {
+      const node = new ProtoReader(group.bytesField());
+      let id = 0, lat = 0, lon = 0, keys = [], vals = [];
+      node.readFields((nodeField) => {
+        if (nodeField === 1) id = node.svarint();
+        else if (nodeField === 2) keys = node.packed(r => r.varint());
+        else if (nodeField === 3) vals = node.packed(r => r.varint());
+        else if (nodeField === 8) lat = node.svarint();
+        else if (nodeField === 9) lon = node.svarint();
+        else return false;
+      });
+      elements.push({
+        type: 'node', id, lat: toLat(lat), lon: toLon(lon),
+        tags: decodeTags(keys, vals, strings)
+      });
+    } else if (field === 2) {
+      const dense = new ProtoReader(group.bytesField());
+      let ids = [], lats = [], lons = [], keysVals = [];
+      dense.readFields((denseField) => {
+        if (denseField === 1) ids = dense.packed(r => r.svarint());
+        else if (denseField === 8) lats = dense.packed(r => r.svarint());
+        else if (denseField === 9) lons = dense.packed(r => r.svarint());
+        else if (denseField === 10) keysVals = dense.packed(r => r.varint());
+        else return false;
+      });
+      // Ids and coordinates are delta coded; tags are key/value pairs separated by 0
+      let id = 0, lat = 0, lon = 0, kv = 0;
+      for (let i = 0; i < ids.length; i++) {
+        id += ids[i];
+        lat += lats[i];
+        lon += lons[i];
+        let tags;
+        while (kv < keysVals.length && keysVals[kv] !== 0) {
+          tags = tags || {};
+          tags[strings[keysVals[kv]]] = strings[keysVals[kv + 1]];
+          kv += 2;
+        }
+        kv++;
+        elements.push({ type: 'node', id, lat: toLat(lat), lon: toLon(lon), tags });
+      }
+    } else if (field === 3) {
+      const way = new ProtoReader(group.bytesField());
+      let id = 0, keys = [], vals = [], refs = [];
+      way.readFields((wayField) => {
+        if (wayField === 1) id = way.varint();
+        else if (wayField === 2) keys = way.packed(r => r.varint());
+        else if (wayField === 3) vals = way.packed(r => r.varint());
+        else if (wayField === 8) refs = way.packed(r => r.svarint());
+        else return false;
+      });
+      let ref = 0;
+      const nodes = refs.map(delta => (ref += delta));
+      elements.push({ type: 'way', id, nodes, tags: decodeTags(keys, vals, strings) });
+    } else {
+      return false;
+    }
+  });
+}
+
+function parsePrimitiveBlock(bytes, elements) {
+  const block = new ProtoReader(bytes);
+  let strings = [];
+  const groups = [];
+  let granularity = 100;
+  let latOffset = 0;
+  let lonOffset = 0;
+
+  block.readFields((field) => {
+    if (field === 1) {
+      const table = new ProtoReader(block.bytesField());
+      strings = [];
+      table.readFields((tableField) => {
+        if (tableField !== 1) return false;
+        strings.push(new TextDecoder().decode(table.bytesField()));
+      });
+    } else if (field === 2) groups.push(block.bytesField());
+    else if (field === 17) granularity = block.varint();
+    else if (field === 19) latOffset = block.varint();
+    else if (field === 20) lonOffset = block.varint();
+    else return false;
+  });
+
+  const toLat = (value) => 1e-9 * (latOffset + granularity * value);
+  const toLon = (value) => 1e-9 * (lonOffset + granularity * value);
+
+  for (const groupBytes of groups) {
+    parsePrimitiveGroup(groupBytes, strings, toLat, toLon, elements);
+  }
+}
+
+export async function parseOsmPbf(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer);
+  const view = new DataView(arrayBuffer);
+  const elements = [];
+  let pos = 0;
+
+  while (pos < bytes.length) {
+    const headerLength = view.getUint32(pos);
+    pos += 4;
+    const header = new ProtoReader(bytes.subarray(pos, pos + headerLength));
+    let type = '';
+    let dataSize = 0;
+    header.readFields((field) => {
+      if (field === 1) type = header.string();
+      else if (field === 3) dataSize = header.varint();
+      else return false;
+    });
+    pos += headerLength;
+
+    const blob = new ProtoReader(bytes.subarray(pos, pos + dataSize));
+    pos += dataSize;
+    if (type !== 'OSMData') continue;
+
+    let data = null;
+    let compressed = null;
+    blob.readFields((field) => {
+      if (field === 1) data = blob.bytesField();
+      else if (field === 3) compressed = blob.bytesField();
+      else return false;
+    });
+    if (!data && compressed) data = await inflate(compressed);
+    if (!data) throw new Error('Unsupported PBF blob compression');
+    parsePrimitiveBlock(data, elements);
+  }
+
+  // Extracts carry far more than streets; keep highways, the vegetation that
+  // shades them and the nodes they use
+  const ways = elements.filter(el => el.type === 'way' && (el.tags?.highway || isCanopyWay(el.tags)));
+  const usedNodes = new Set(ways.flatMap(way => way.nodes));
+  return {
+    elements: [
+      ...elements.filter(el => el.type === 'node' && (usedNodes.has(el.id) || isTreeNode(el.tags))),
+      ...ways
+    ]
+  };
+}
@@ -0,0 +1,35 @@
+import { parseGeoJson } from './osmParsers';
+import { mergeElements } from './waysCache';
+
+const ways = (elements) => elements.filter(element => element.type === 'way');
+
+test('parseGeoJson keeps every line of a MultiLineString', () => {
+  const { elements } = parseGeoJson({
+    type: 'Feature',
+    id: 42,
+    properties: { highway: 'footway' },
+    geometry: {
+      type: 'MultiLineString',
+      coordinates: [
+        [[-74, 40.7], [-74, 40.701]],
+        [[-74.001, 40.7], [-74.001, 40.701]]
+      ]
+    }
+  });
+
+  const merged = ways(mergeElements([elements]));
+  expect(merged).toHaveLength(2);
+  expect(new Set(merged.map(way => way.id)).size).toBe(2);
+  merged.forEach(way => expect(way.tags).toEqual({ highway: 'footway', source_id: '42' }));
+});
+
+test('parseGeoJson keeps features that share an osm_id apart', () => {
+  const feature = (lon) => ({
+    type: 'Feature',
+    properties: { highway: 'residential', osm_id: 7 },
+    geometry: { type: 'LineString', coordinates: [[lon, 40.7], [lon, 40.701]] }
+  });
+  const { elements } = parseGeoJson({ type: 'FeatureCollection', features: [feature(-74), feature(-74.001)] });
+
+  expect(ways(mergeElements([elements]))).toHaveLength(2);
+});
@@ -1,5 +1,6 @@
 import { distance } from '@turf/turf';
 import { debugLog } from './debugUtils';
+import { computeSunExposure } from './sunExposure';
 
 /**
  * Draw shaded and sunny route segments on the map
@@ -103,11 +104,17 @@ function drawRouteSegments(shadedSegments, sunnySegments, map) {
  * @param {Object} route - Route data with coordinates
  * @param {Object} shadowLayer - Shadow layer instance
  * @param {Object} map - Mapbox map instance
+ * @param {Date} departure - When the walk starts, for its sun exposure
  */
-export function updateRouteShade(route, shadowLayer, map) {
+export function updateRouteShade(route, shadowLayer, map, departure) {
   const { shadedSegments, sunnySegments, stats } = computeSegmentsAndStats(route);
   drawRouteSegments(shadedSegments, sunnySegments, map);
-  debugLog(`Route analysis: ${stats.shadedPercentage}% shaded (${stats.shadedDistance}m), ${stats.sunnyPercentage}% sunny (${stats.sunnyDistance}m), total: ${stats.totalDistance}m`);
+  debugLog(`Route analysis: ${stats.shadedPercentage}% shaded (${stats.shadedDistance}m), ${stats.coveredPercentage}% covered (${stats.coveredDistance}m), ${stats.sunnyPercentage}% sunny (${stats.sunnyDistance}m), total: ${stats.totalDistance}m`);
+  // Without a shadow map every metre would count as sunny
+  stats.exposure = route.shadeUnknown ? null : computeSunExposure(route, departure);
+  if (stats.exposure) {
+    debugLog(`Sun exposure: ${stats.exposure.sunSeconds}s direct sun, ${stats.exposure.irradianceDose} kJ/m², ${stats.exposure.uvDose} SED, peak UV ${stats.exposure.peakUvIndex}`);
+  }
   return stats;
 }
 
@@ -116,13 +123,18 @@ function computeSegmentsAndStats(route) {
   const sunnySegments = [];
   let totalDistance = 0;
   let totalShadedDistance = 0;
+  // Covered ways are drawn as shaded but counted on their own
+  let totalCoveredDistance = 0;
   route.coordinates.map((e, i) => {
     if (i > 0) {
       const start = route.coordinates[i - 1];
       const end = route.coordinates[i];
       const shade = route.shade[i - 1];
       const dist = distance([start[0], start[1]], [end[0], end[1]], { units: 'meters' });
-      if (shade > 0) {
+      if (route.cover?.[i - 1]) {
+        shadedSegments.push({ coordinates: [start, end] });
+        totalCoveredDistance += dist;
+      } else if (shade > 0) {
         shadedSegments.push({ coordinates: [start, end] });
         totalShadedDistance += dist;
       } else {
@@ -132,17 +144,20 @@ function computeSegmentsAndStats(route) {
     }
     return null;
   });
-  const totalSunnyDistance = totalDistance - totalShadedDistance;
+  const totalSunnyDistance = totalDistance - totalShadedDistance - totalCoveredDistance;
   const shadedPercentage = totalDistance > 0 ? Math.round((totalShadedDistance / totalDistance) * 100) : 0;
+  const coveredPercentage = totalDistance > 0 ? Math.round((totalCoveredDistance / totalDistance) * 100) : 0;
   const sunnyPercentage = totalDistance > 0 ? Math.round((totalSunnyDistance / totalDistance) * 100) : 0;
   return {
     shadedSegments,
     sunnySegments,
     stats: {
       shadedPercentage,
+      coveredPercentage,
       sunnyPercentage,
       totalDistance: Math.round(totalDistance),
       shadedDistance: Math.round(totalShadedDistance),
+      coveredDistance: Math.round(totalCoveredDistance),
       sunnyDistance: Math.round(totalSunnyDistance)
     }
   }
@@ -0,0 +1,34 @@
+import { DEFAULT_PROFILES } from './routingProfiles';
+
+// Route type enum, derived from the built-in routing profiles
+export const ROUTE_TYPE = Object.fromEntries(
+  DEFAULT_PROFILES.map(profile => [profile.key, profile.id])
+);
+
+// Route computed under a detour budget rather than from a profile
+export const DETOUR_ROUTE_ID = 'detourBudgetPath';
+
+// Route whose shade preference is picked per trip from how warm it feels
+export const AUTO_ROUTE_ID = 'autoPath';
+
+// Round trips are keyed `loop-1`, `loop-2`, ... next to the profile routes
+export const LOOP_ROUTE_PREFIX = 'loop';
+export const isLoopRouteId = (routeId) => typeof routeId === 'string' && routeId.startsWith(`${LOOP_ROUTE_PREFIX}-`);
+
+// What a click on the map does: plan a route or show the area reachable from it
+export const MAP_MODE = {
+  ROUTE: 'route',
+  ISOCHRONE: 'isochrone'
+};
+
+// Progress status enum
+export const ROUTE_PROGRESS_STATUS = {
+  GETTING_WAYS_DATA: 'GETTING_WAYS_DATA',
+  COMPUTING_SHADE_MAP: 'COMPUTING_SHADE_MAP',
+  BUILDING_GRAPH: 'BUILDING_GRAPH',
+  APPLYING_SHADE_DATA: 'APPLYING_SHADE_DATA',
+  FINDING_ROUTE: 'FINDING_ROUTE',
+  EXPLORING_AREA: 'EXPLORING_AREA',
+  SCORING_DEPARTURES: 'SCORING_DEPARTURES',
+  ROUTE_COMPLETED: 'ROUTE_COMPLETED'
+};
@@ -0,0 +1,28 @@
+// Errors a route request can fail with, each with a code the UI can explain.
+// Codes survive the trip back from the routing worker, where the class does not.
+
+export const ROUTE_ERROR_CODE = {
+  NETWORK: 'network',               // ways data could not be fetched
+  RATE_LIMITED: 'rateLimited',      // every Overpass server turned us away
+  TIMEOUT: 'timeout',               // the Overpass query ran out of time
+  NO_SNAP_NODE: 'noSnapNode',       // a stop is too far from any street
+  NO_PATH: 'noPath',                // the streets do not connect the stops
+  SHADE_UNAVAILABLE: 'shadeUnavailable'
+};
+
+// Worth trying again, possibly against another server
+const TRANSIENT_CODES = new Set([
+  ROUTE_ERROR_CODE.NETWORK,
+  ROUTE_ERROR_CODE.RATE_LIMITED,
+  ROUTE_ERROR_CODE.TIMEOUT
+]);
+
+export class RouteError extends Error {
+  constructor(code, message, options) {
+    super(message, options);
+    this.name = 'RouteError';
+    this.code = code;
+  }
+}
+
+export const isTransientRouteError = (error) => TRANSIENT_CODES.has(error?.code);
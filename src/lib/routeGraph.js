@@ -0,0 +1,1214 @@
+import { distance } from '@turf/distance';
+import { createShadowSampler } from './shadowSampler';
+import { ElevationSampler } from './elevationSampler';
+import { debugLog, debugWarn } from './debugUtils';
+import { optimizeStopOrder } from './stopOrder';
+import { buildInstructions } from './instructions';
+import { PriorityQueue } from './priorityQueue';
+import { EdgeIndex, offsetPoint } from './spatialIndex';
+import { getWayAccessibility, getNodeBarriers } from './accessibility';
+import { classifyCrossing, getCrossedRoads, getTurnCrossing, isVehicleRoad } from './crossings';
+import { getWayCover } from './coveredWays';
+import { contractGraph } from './graphContraction';
+import { SEARCH_MODE, createSearchContext, searchRoute, edgeCost, edgeTime, turnCrossing, crossingCost, searchState, turnsBack } from './routeSearch';
+import { DEFAULT_PROFILES, getDefaultProfile } from './routingProfiles';
+import { throwIfAborted, yieldForAbort } from './abort';
+import { ROUTE_TYPE, DETOUR_ROUTE_ID, LOOP_ROUTE_PREFIX, ROUTE_PROGRESS_STATUS } from './routeConstants';
+import { RouteError, ROUTE_ERROR_CODE } from './routeErrors';
+import { TRAVEL_MODE, getTravelMode, getOnewayDirection, canTraverse } from './travelModes';
+import createGraph from 'ngraph.graph';
+
+// Graph construction and shade-aware search. Nothing in here touches the DOM,
+// so it runs both in the routing worker and on the main thread.
+
+// How long the graph build in the worker runs between looking for an abort
+const ABORT_CHECK_INTERVAL_MS = 50;
+
+// Helper function to yield to main thread. In the worker it only yields now
+// and then, when there is an abort signal whose message has to get through.
+function createYielder(yieldToEventLoop, signal) {
+  let lastYield = performance.now();
+  return async () => {
+    if (yieldToEventLoop || (signal && performance.now() - lastYield > ABORT_CHECK_INTERVAL_MS)) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      lastYield = performance.now();
+    }
+    throwIfAborted(signal);
+  };
+}
+
+// Shade of every edge from a shade map, and from each later shade map into the
+// links' shadeSlices so the search can look up shade at arrival time. Without a
+// shade map only covered edges are shaded and the graph is shadeUnknown.
+async function sampleShade(graph, shadeData, shadeSlices, yieldToMainThread) {
+  const { ngraph: ngraphInstance, coords, edgesMeta } = graph;
+  const shadeByEdgeId = new Map();
+  const shadeSliceOffsets = [0]; // seconds after departure of each shade map
+  const shadowSampler = shadeData ? createShadowSampler(shadeData) : null;
+  const sampleEdgeShade = (sampler, { a, b, cover }) => {
+    if (cover) return 1;
+    const [latA, lonA] = coords[a];
+    const [latB, lonB] = coords[b];
+    return sampler.sampleAlongLine(latA, lonA, latB, lonB);
+  };
+  ngraphInstance.forEachLink(link => {
+    delete link.data.shadeSlices;
+  });
+  if (shadeData) {
+    for (let edgeIdx = 0; edgeIdx < edgesMeta.length; edgeIdx++) {
+      const edge = edgesMeta[edgeIdx];
+      shadeByEdgeId.set(edge.eid, sampleEdgeShade(shadowSampler, edge));
+
+      // Yield every 100 edges to prevent blocking
+      if (edgeIdx % 100 === 0) {
+        await yieldToMainThread();
+      }
+    }
+
+    // Update ngraph links with shade data
+    ngraphInstance.forEachLink(link => {
+      const shade = shadeByEdgeId.get(link.data.eid) ?? 0;
+      link.data.shade = shade;
+    });
+
+    // Sample the later shade maps so the search can look up shade at arrival time
+    if (shadeSlices.length > 0) {
+      ngraphInstance.forEachLink(link => {
+        link.data.shadeSlices = [link.data.shade];
+      });
+      for (const slice of shadeSlices) {
+        const sliceSampler = createShadowSampler(slice.shadeData);
+        const sliceShadeByEdgeId = new Map();
+        for (let edgeIdx = 0; edgeIdx < edgesMeta.length; edgeIdx++) {
+          const edge = edgesMeta[edgeIdx];
+          sliceShadeByEdgeId.set(edge.eid, sampleEdgeShade(sliceSampler, edge));
+
+          if (edgeIdx % 100 === 0) {
+            await yieldToMainThread();
+          }
+        }
+        ngraphInstance.forEachLink(link => {
+          link.data.shadeSlices.push(sliceShadeByEdgeId.get(link.data.eid) ?? 0);
+        });
+        shadeSliceOffsets.push(slice.offset);
+      }
+    }
+  } else {
+    // If no shade data, only covered edges are shaded
+    ngraphInstance.forEachLink(link => {
+      const shade = edgesMeta[link.data.eid].cover ? 1 : 0.0;
+      link.data.shade = shade;
+      shadeByEdgeId.set(link.data.eid, shade);
+    });
+  }
+
+  graph.shadeByEdgeId = shadeByEdgeId;
+  graph.shadeSliceOffsets = shadeSliceOffsets;
+  graph.shadowSampler = shadowSampler;
+  // Without a shade map every street counts as sunny; results say so
+  graph.shadeUnknown = !shadeData;
+}
+
+/**
+ * Replace the shade of a built graph with that of other shade maps, such as
+ * the ones for another departure, without building it again
+ * @param {Object} graph - Graph from buildGraph
+ * @param {Object|null} shadeData - Shade map at departure
+ * @param {Object} options - shadeSlices, yieldToEventLoop and signal, as for buildGraph
+ */
+export async function reshadeGraph(graph, shadeData, options = {}) {
+  const { shadeSlices = [], yieldToEventLoop = true, signal } = options;
+  const startTime = performance.now();
+  await sampleShade(graph, shadeData, shadeSlices, createYielder(yieldToEventLoop, signal));
+  graph.adj.forEach(entries => entries.forEach(entry => {
+    entry.shade = graph.shadeByEdgeId.get(entry.eid) ?? 0;
+  }));
+  for (const chain of graph.contraction.chains) {
+    chain.shadedLength = chain.links.reduce((sum, link) => sum + link.data.length * link.data.shade, 0);
+  }
+  debugLog(`Graph reshaded with ${graph.shadeSliceOffsets.length} shade map(s) in ${(performance.now() - startTime).toFixed(1)} ms`);
+}
+
+export async function buildGraph(waysData, shadeData = null, onProgress, options = {}) {
+  const { shadeSlices = [], elevationData = null, yieldToEventLoop = true, travelMode = TRAVEL_MODE.WALK, signal } = options;
+  const mode = getTravelMode(travelMode);
+  if (onProgress) onProgress(ROUTE_PROGRESS_STATUS.BUILDING_GRAPH);
+  const startTime = performance.now();
+  const elements = waysData.elements;
+  const nodes = new Map(); // osmNodeId -> {lat, lon, idx}
+  let idxCounter = 0;
+
+  const yieldToMainThread = createYielder(yieldToEventLoop, signal);
+
+  for (let i = 0; i < elements.length; i++) {
+    const el = elements[i];
+    if (el.type === "node") {
+      nodes.set(el.id, {
+        lat: el.lat,
+        lon: el.lon,
+        idx: idxCounter++,
+        osmId: el.id,
+        tags: el.tags
+      });
+    }
+    // Yield every 100 elements to prevent blocking
+    if (i % 100 === 0) {
+      await yieldToMainThread();
+    }
+  }
+
+  // Ways the travel mode may use, by highway type and access tags
+  const isWalkable = (way) => {
+    const tags = way.tags || {};
+
+    // Must have highway tag
+    if (!tags.highway) return false;
+
+    return mode.isWayAllowed(tags);
+  };
+
+  // Create ngraph instance and initialize metadata structures
+  const ngraphInstance = createGraph();
+  const coords = new Array(nodes.size);     // idx -> [lat, lon]
+  const nodeOsmIds = new Array(nodes.size); // idx -> osmId for debugging
+
+  // Add nodes to ngraph and fill coordinate arrays
+  let nodeCount = 0;
+  for (const [osmId, nodeData] of nodes) {
+    if (nodeData.idx >= coords.length) {
+      continue;
+    }
+    coords[nodeData.idx] = [nodeData.lat, nodeData.lon];
+    nodeOsmIds[nodeData.idx] = osmId;
+    
+    // Add node to ngraph with coordinate data
+    ngraphInstance.addNode(nodeData.idx, { 
+      coords: [nodeData.lat, nodeData.lon],
+      osmId: osmId
+    });
+    
+    // Yield every 100 nodes to prevent blocking
+    if (nodeCount % 100 === 0) {
+      await yieldToMainThread();
+    }
+    nodeCount++;
+  }
+
+  // Node elevations from the DEM, when there is one; null where it has no data
+  const elevationSampler = elevationData ? new ElevationSampler(elevationData) : null;
+  const elevations = elevationSampler
+    ? coords.map(([lat, lon]) => elevationSampler.sampleAt(lat, lon))
+    : null;
+  const riseBetween = (idxA, idxB) => (
+    elevations && elevations[idxA] !== null && elevations[idxB] !== null
+      ? elevations[idxB] - elevations[idxA]
+      : 0
+  );
+
+  // Roads through each node, walkable or not, to tell where walkers cross them.
+  // The Overpass query fetches them all, including the roads left out of the
+  // network because their sidewalks are ways of their own.
+  const roadsByNode = new Map(); // osmNodeId -> [{wayOsmId, tags}]
+  for (const el of elements) {
+    if (el.type !== "way" || !isVehicleRoad(el.tags)) continue;
+    for (const nodeId of el.nodes) {
+      if (!roadsByNode.has(nodeId)) roadsByNode.set(nodeId, []);
+      roadsByNode.get(nodeId).push({ wayOsmId: el.id, tags: el.tags });
+    }
+  }
+
+  // Crossing made by entering a node along a way and going on past it
+  const crossingAt = (node, way) => {
+    const crossing = classifyCrossing(node.tags, getCrossedRoads(roadsByNode.get(node.osmId) ?? [], way));
+    return crossing && { ...crossing, osmId: node.osmId, lat: node.lat, lon: node.lon };
+  };
+
+  // Build edges from walkable ways
+  let edgeSeq = 0;
+  const edgesMeta = [];
+  let waysProcessed = 0;
+  let edgesCreated = 0;
+
+  for (let elementIdx = 0; elementIdx < elements.length; elementIdx++) {
+    const el = elements[elementIdx];
+    if (el.type !== "way" || !isWalkable(el)) continue;
+
+    waysProcessed++;
+
+    // Filter way nodes to only include those we have coordinates for
+    const validNodes = el.nodes.filter(nodeId => nodes.has(nodeId));
+
+    if (validNodes.length < 2) {
+      debugWarn(`Way ${el.id} has fewer than 2 valid nodes, skipping`);
+      continue;
+    }
+
+    const wayAccessibility = getWayAccessibility(el.tags);
+    // Roofed ways are shaded whatever the shade map says; the reason is kept
+    // so routes can tell covered metres from shadow
+    const cover = getWayCover(el.tags);
+
+    // Create edges between consecutive nodes in the way
+    for (let i = 0; i < validNodes.length - 1; i++) {
+      const nodeAId = validNodes[i];
+      const nodeBId = validNodes[i + 1];
+
+      const nodeA = nodes.get(nodeAId);
+      const nodeB = nodes.get(nodeBId);
+
+      // Safety check (should not happen with filtered nodes)
+      if (!nodeA || !nodeB) {
+        continue;
+      }
+
+      // Additional safety check for node indices
+      if (nodeA.idx === undefined || nodeB.idx === undefined) {
+        continue;
+      }
+
+      if (nodeA.idx >= coords.length || nodeB.idx >= coords.length || nodeA.idx < 0 || nodeB.idx < 0) {
+        continue;
+      }
+
+      // Calculate edge length
+      const length = distance([nodeA.lon, nodeA.lat], [nodeB.lon, nodeB.lat], { units: 'meters' });
+
+      if (length === 0) {
+        debugWarn(`Zero-length edge in way ${el.id} between nodes ${nodeAId} and ${nodeBId}`);
+        continue;
+      }
+
+      // Barriers on this edge, located so they can be pointed out on the map
+      const accessibility = {
+        penalty: wayAccessibility.penalty,
+        barriers: [
+          ...wayAccessibility.barriers.map(type => ({
+            type, osmType: 'way', osmId: el.id, lat: (nodeA.lat + nodeB.lat) / 2, lon: (nodeA.lon + nodeB.lon) / 2
+          })),
+          ...[nodeA, nodeB].flatMap(node => getNodeBarriers(node.tags).map(type => ({
+            type, osmType: 'node', osmId: node.osmId, lat: node.lat, lon: node.lon
+          })))
+        ]
+      };
+
+      // Elevation change from A to B; the reverse link gets the opposite sign
+      const rise = riseBetween(nodeA.idx, nodeB.idx);
+
+      // Crossings made on arriving at either end and going on across, keyed by
+      // node index; the search charges them only when the route does go on
+      const crossingAtA = crossingAt(nodeA, el);
+      const crossingAtB = crossingAt(nodeB, el);
+      let crossings = null;
+      if (crossingAtA || crossingAtB) {
+        crossings = {};
+        if (crossingAtA) crossings[nodeA.idx] = crossingAtA;
+        if (crossingAtB) crossings[nodeB.idx] = crossingAtB;
+      }
+
+      // Pedestrians go both ways along any street; cyclists follow one-way
+      // tags, and the link of a one-way edge only goes from its fromId
+      const direction = getOnewayDirection(el.tags ?? {}, travelMode);
+      const oneway = direction !== 0;
+
+      const eid = edgeSeq++;
+      edgesMeta.push({
+        eid,
+        a: nodeA.idx,
+        b: nodeB.idx,
+        wayOsmId: el.id,
+        length,
+        rise,
+        highway: el.tags?.highway,
+        name: el.tags?.name,
+        accessibility,
+        crossings,
+        cover,
+        direction
+      });
+
+      // Add forward direction edge to ngraph
+      if (direction >= 0) {
+        ngraphInstance.addLink(nodeA.idx, nodeB.idx, {
+          eid: eid,
+          length: length,
+          rise,
+          wayOsmId: el.id,
+          highway: el.tags?.highway,
+          name: el.tags?.name,
+          accessibility,
+          crossings,
+          oneway
+        });
+        edgesCreated++;
+      }
+
+      // Add reverse direction
+      if (direction <= 0) {
+        ngraphInstance.addLink(nodeB.idx, nodeA.idx, {
+          eid: eid,
+          length: length,
+          rise: -rise,
+          wayOsmId: el.id,
+          highway: el.tags?.highway,
+          name: el.tags?.name,
+          accessibility,
+          crossings,
+          oneway
+        });
+        edgesCreated++;
+      }
+    }
+
+    // Yield every 100 ways to prevent blocking
+    if (waysProcessed % 100 === 0) {
+      await yieldToMainThread();
+    }
+  }
+
+  // Return enhanced graph structure with both ngraph instance and legacy compatibility
+  const graph = {
+    ngraph: ngraphInstance,
+    coords: coords,
+    nodeOsmIds: nodeOsmIds,
+    shadeByEdgeId: new Map(),
+    shadeSliceOffsets: [0],
+    edgesMeta: edgesMeta,
+    // Grid over the edges for snapping clicked points onto the network
+    edgeIndex: new EdgeIndex(edgesMeta, coords),
+    elevations,
+    elevationSampler,
+    shadowSampler: null,
+    shadeUnknown: true,
+    // Decides how gradients change the speed and which highways are preferred
+    travelMode,
+    // Legacy adjacency list for backward compatibility if needed
+    adj: Array.from({ length: nodes.size }, () => [])
+  };
+  await sampleShade(graph, shadeData, shadeSlices, yieldToMainThread);
+
+  // Fill legacy adjacency list for backward compatibility
+  ngraphInstance.forEachLink(link => {
+    if (!graph.adj[link.fromId]) graph.adj[link.fromId] = [];
+    graph.adj[link.fromId].push({
+      to: link.toId,
+      length: link.data.length,
+      eid: link.data.eid,
+      wayOsmId: link.data.wayOsmId,
+      highway: link.data.highway,
+      shade: link.data.shade ?? 0
+    });
+  });
+
+  // Runs of degree-2 nodes become compound edges for the searches; shade has
+  // to be on the links first so the chains can sum it
+  const contractionStart = performance.now();
+  graph.contraction = contractGraph(ngraphInstance, coords.length, edgesMeta.length);
+  const { chains, networkNodeCount, coreNodeCount } = graph.contraction;
+  const chainLength = chains.reduce((sum, chain) => sum + chain.length, 0);
+  const chainShadedLength = chains.reduce((sum, chain) => sum + chain.shadedLength, 0);
+  debugLog(`Contracted ${networkNodeCount} nodes and ${edgesMeta.length} edges to ${coreNodeCount} nodes and ` +
+    `${chains.length} compound edges, ${Math.round(chainShadedLength / Math.max(chainLength, 1) * 100)}% shaded, ` +
+    `in ${(performance.now() - contractionStart).toFixed(1)} ms`);
+
+  const endTime = performance.now() - startTime;
+  debugLog(`Graph built: ${nodes.size} nodes, ${edgesCreated} edges from ${waysProcessed} ways`);
+  debugLog(`Graph generation time: ${endTime.toFixed(1)} ms`);
+
+  return graph;
+}
+
+// Clicks closer than this to the end of an edge snap to the existing node
+// instead of splitting the edge
+const SNAP_NODE_TOLERANCE_M = 1;
+
+// Project every stop onto its closest edge and splice temporary nodes into the
+// graph there. Stops that land on the same edge are chained in order along it.
+// Returns the snaps ({point, nodeIdx, lat, lon}), the ids of the edges that were
+// split and a function that takes the temporary nodes out again.
+function insertSnapNodes(graph, stops) {
+  const ngraphInstance = graph.ngraph;
+  const originalNodeCount = graph.coords.length;
+  const originalEdgeCount = graph.edgesMeta.length;
+  const snapsByEdge = new Map();
+
+  const snaps = stops.map(stop => {
+    const nearest = graph.edgeIndex.nearestEdge(stop.latitude, stop.longitude);
+    if (!nearest) {
+      throw new RouteError(ROUTE_ERROR_CODE.NO_SNAP_NODE, "Could not find nearby nodes for start or goal coordinates");
+    }
+    const edge = graph.edgesMeta[nearest.eid];
+    const snap = { point: stop, ...nearest };
+    if (nearest.t * edge.length < SNAP_NODE_TOLERANCE_M) {
+      snap.nodeIdx = edge.a;
+    } else if ((1 - nearest.t) * edge.length < SNAP_NODE_TOLERANCE_M) {
+      snap.nodeIdx = edge.b;
+    } else {
+      if (!snapsByEdge.has(nearest.eid)) snapsByEdge.set(nearest.eid, []);
+      snapsByEdge.get(nearest.eid).push(snap);
+    }
+    return snap;
+  });
+
+  for (const [eid, edgeSnaps] of snapsByEdge) {
+    const edge = graph.edgesMeta[eid];
+    // Sub-edges keep the edge's directions, so one-way tags still apply
+    const forward = ngraphInstance.getLink(edge.a, edge.b);
+    const backward = ngraphInstance.getLink(edge.b, edge.a);
+    const linkData = (forward ?? backward).data;
+
+    // Elevation is taken as linear along the edge, so every part climbs its share
+    const edgeRise = edge.rise ?? 0;
+    const addSubEdge = (fromIdx, toIdx, fraction) => {
+      const subEid = graph.edgesMeta.length;
+      const length = edge.length * fraction;
+      const rise = edgeRise * fraction;
+      graph.edgesMeta.push({ ...edge, eid: subEid, a: fromIdx, b: toIdx, length, rise, splitOf: eid });
+      graph.shadeByEdgeId.set(subEid, graph.shadeByEdgeId.get(eid));
+      if (forward) ngraphInstance.addLink(fromIdx, toIdx, { ...linkData, eid: subEid, length, rise });
+      if (backward) ngraphInstance.addLink(toIdx, fromIdx, { ...linkData, eid: subEid, length, rise: -rise });
+    };
+
+    edgeSnaps.sort((x, y) => x.t - y.t);
+    let prevIdx = edge.a;
+    let prevT = 0;
+    for (const snap of edgeSnaps) {
+      // Stops projecting onto the same spot share a node
+      if (prevIdx !== edge.a && (snap.t - prevT) * edge.length < SNAP_NODE_TOLERANCE_M) {
+        snap.nodeIdx = prevIdx;
+        continue;
+      }
+      const nodeIdx = graph.coords.length;
+      graph.coords.push([snap.lat, snap.lon]);
+      if (graph.elevations) {
+        const elevationA = graph.elevations[edge.a];
+        graph.elevations.push(elevationA === null ? null : elevationA + edgeRise * snap.t);
+      }
+      ngraphInstance.addNode(nodeIdx, { coords: [snap.lat, snap.lon] });
+      addSubEdge(prevIdx, nodeIdx, snap.t - prevT);
+      snap.nodeIdx = nodeIdx;
+      prevIdx = nodeIdx;
+      prevT = snap.t;
+    }
+    addSubEdge(prevIdx, edge.b, 1 - prevT);
+  }
+
+  const removeSnapNodes = () => {
+    // Removing a node also removes its links
+    for (let nodeIdx = originalNodeCount; nodeIdx < graph.coords.length; nodeIdx++) {
+      ngraphInstance.removeNode(nodeIdx);
+    }
+    for (let eid = originalEdgeCount; eid < graph.edgesMeta.length; eid++) {
+      graph.shadeByEdgeId.delete(eid);
+    }
+    graph.coords.length = originalNodeCount;
+    if (graph.elevations) graph.elevations.length = originalNodeCount;
+    graph.edgesMeta.length = originalEdgeCount;
+  };
+
+  return { snaps, splitEdgeIds: new Set(snapsByEdge.keys()), removeSnapNodes };
+}
+
+// Straight segment from a clicked point to where it joins the graph
+function snapConnector(graph, snap) {
+  const { latitude, longitude } = snap.point;
+  const [lat, lon] = graph.coords[snap.nodeIdx];
+  const connectorDistance = distance([longitude, latitude], [lon, lat], { units: 'meters' });
+  const shade = graph.shadowSampler
+    ? graph.shadowSampler.sampleAlongLine(latitude, longitude, lat, lon)
+    : 0;
+  return { distance: connectorDistance, shade };
+}
+
+// Search options for a routing profile
+const profileSearchOptions = (profile) => ({
+  walkSpeed: profile.walkSpeed,
+  shadePreference: profile.shadePreference,
+  pedestrianPathPreference: profile.pedestrianPathPreference,
+  climbWeight: profile.climbWeight ?? 0
+});
+
+// Pairwise shade-weighted costs between stops, used to reorder the middle stops
+function buildStopCostMatrix(context, stopIdxs, scenarioOpts) {
+  return stopIdxs.map((fromIdx, i) => stopIdxs.map((toIdx, j) => {
+    if (i === j) return 0;
+    // Nothing ever leaves the goal or enters the start
+    if (i === stopIdxs.length - 1 || j === 0) return Infinity;
+    return searchRoute(context, fromIdx, toIdx, scenarioOpts).cost ?? Infinity;
+  }));
+}
+
+// Shaded metres of a search result, each edge weighted by how shaded it is
+const shadedLength = (graph, scenarioResult) => scenarioResult.edges.reduce(
+  (sum, eid, i) => sum + graph.edgesMeta[eid].length * scenarioResult.shade[i], 0);
+
+// Run one scenario leg by leg through the ordered stops and join the legs
+function routeThroughStops(context, orderedStopIdxs, scenarioOpts) {
+  const { graph } = context;
+  const { departureOffset = 0 } = scenarioOpts;
+  const path = [orderedStopIdxs[0]];
+  const edges = [];
+  const shade = [];
+  const legs = [];
+  let totalDistance = 0;
+  let totalTime = 0;
+  // With avoidReuse, later legs steer clear of the edges earlier legs walked
+  const avoidEdges = scenarioOpts.avoidReuse ? new Set() : null;
+
+  for (let i = 0; i < orderedStopIdxs.length - 1; i++) {
+    const legResult = searchRoute(context, orderedStopIdxs[i], orderedStopIdxs[i + 1], {
+      ...scenarioOpts,
+      avoidEdges,
+      departureOffset: departureOffset + totalTime
+    });
+
+    if (legResult.path.length === 0) {
+      debugWarn(`No route found for leg ${i + 1}`);
+      throw new RouteError(ROUTE_ERROR_CODE.NO_PATH, "No route found between the specified points");
+    }
+
+    // Each leg starts where the previous one ended, so drop the shared node
+    path.push(...legResult.path.slice(1));
+    edges.push(...legResult.edges);
+    if (avoidEdges) legResult.edges.forEach(eid => avoidEdges.add(eid));
+    shade.push(...legResult.shade);
+
+    const shadedDistance = shadedLength(graph, legResult);
+
+    legs.push({
+      distance: legResult.distance,
+      duration: legResult.time_s,
+      shadedDistance,
+      pathStartIndex: path.length - legResult.path.length,
+      pathEndIndex: path.length - 1
+    });
+    totalDistance += legResult.distance;
+    totalTime += legResult.time_s;
+  }
+
+  return { path, edges, shade, legs, distance: totalDistance, time_s: totalTime };
+}
+
+// Accessibility barriers along a route, each reported once even when it
+// touches several of the route's edges
+function collectBarriers(graph, edges) {
+  const barriers = new Map();
+  for (const eid of edges) {
+    for (const barrier of graph.edgesMeta[eid].accessibility?.barriers ?? []) {
+      const key = `${barrier.osmType}/${barrier.osmId}/${barrier.type}`;
+      if (!barriers.has(key)) barriers.set(key, barrier);
+    }
+  }
+  return [...barriers.values()];
+}
+
+// Road crossings along a route, in walking order
+function collectCrossings(graph, path, edges) {
+  return edges.flatMap((eid, i) => {
+    const crossing = getTurnCrossing(graph.edgesMeta[eid], path[i + 1], graph.edgesMeta[edges[i + 1]]);
+    if (!crossing) return [];
+    const { type, road, osmId, lat, lon } = crossing;
+    return [{ type, road, osmId, lat, lon }];
+  });
+}
+
+// Elevation along a route: cumulative distance and height at every point that
+// has elevation data, plus the total climb and descent. Null without a DEM.
+function buildElevationProfile(coordinates, elevations) {
+  if (!elevations) return { elevationProfile: null, elevationGain: null, elevationLoss: null };
+
+  const elevationProfile = [];
+  let elevationGain = 0;
+  let elevationLoss = 0;
+  let routeDistance = 0;
+  let previousElevation = null;
+  coordinates.forEach((coord, i) => {
+    if (i > 0) routeDistance += distance(coordinates[i - 1], coord, { units: 'meters' });
+    const elevation = elevations[i];
+    if (elevation === null || elevation === undefined) return;
+    if (previousElevation !== null) {
+      const change = elevation - previousElevation;
+      if (change > 0) elevationGain += change;
+      else elevationLoss -= change;
+    }
+    elevationProfile.push({ distance: routeDistance, elevation });
+    previousElevation = elevation;
+  });
+  return { elevationProfile, elevationGain, elevationLoss };
+}
+
+// Route object handed to the UI for one search result. The connectors from the
+// clicked start and goal onto the graph are part of the geometry and the stats;
+// their `edges` entries are null since they follow no street.
+function toRouteResult(graph, scenarioResult, snaps, walkSpeed, extra) {
+  // Convert path indices to coordinates (GeoJSON format: [lon, lat])
+  const coordinates = scenarioResult.path.map(idx => {
+    const [lat, lon] = graph.coords[idx];
+    return [lon, lat]; // GeoJSON expects [longitude, latitude]
+  });
+  // Report split edges by the edge they were split from, which outlives the search
+  const edges = scenarioResult.edges.map(eid => graph.edgesMeta[eid].splitOf ?? eid);
+  const shade = [...scenarioResult.shade];
+  // Why each segment is roofed over, or null; connectors are open to the sky
+  const cover = scenarioResult.edges.map(eid => graph.edgesMeta[eid].cover ?? null);
+  const legs = scenarioResult.legs.map(leg => ({ ...leg }));
+  const elevations = graph.elevations && scenarioResult.path.map(idx => graph.elevations[idx]);
+  const sampleElevation = ({ latitude, longitude }) => graph.elevationSampler.sampleAt(latitude, longitude);
+  let connectorDistance = 0;
+  const addConnectorToLeg = (leg, connector) => {
+    leg.distance += connector.distance;
+    leg.duration += connector.distance / walkSpeed;
+    leg.shadedDistance += connector.distance * connector.shade;
+  };
+
+  const startSnap = snaps[0];
+  const goalSnap = snaps[snaps.length - 1];
+  const startConnector = snapConnector(graph, startSnap);
+  if (startConnector.distance > 0) {
+    coordinates.unshift([startSnap.point.longitude, startSnap.point.latitude]);
+    edges.unshift(null);
+    shade.unshift(startConnector.shade);
+    cover.unshift(null);
+    elevations?.unshift(sampleElevation(startSnap.point));
+    connectorDistance += startConnector.distance;
+    addConnectorToLeg(legs[0], startConnector);
+  }
+  const goalConnector = snapConnector(graph, goalSnap);
+  if (goalConnector.distance > 0) {
+    coordinates.push([goalSnap.point.longitude, goalSnap.point.latitude]);
+    edges.push(null);
+    shade.push(goalConnector.shade);
+    cover.push(null);
+    elevations?.push(sampleElevation(goalSnap.point));
+    connectorDistance += goalConnector.distance;
+    addConnectorToLeg(legs[legs.length - 1], goalConnector);
+  }
+
+  return {
+    coordinates,
+    barriers: collectBarriers(graph, scenarioResult.edges),
+    crossings: collectCrossings(graph, scenarioResult.path, scenarioResult.edges),
+    distance: scenarioResult.distance + connectorDistance,
+    duration: scenarioResult.time_s + connectorDistance / walkSpeed,
+    path: scenarioResult.path,
+    edges,
+    shade,
+    cover,
+    legs,
+    instructions: buildInstructions(coordinates, edges, shade, graph.edgesMeta),
+    ...buildElevationProfile(coordinates, elevations),
+    shadeUnknown: graph.shadeUnknown,
+    ...extra
+  };
+}
+
+// Binary search steps over the shade preference when fitting a detour budget
+const DETOUR_SEARCH_STEPS = 7;
+const MAX_DETOUR_SHADE_PREFERENCE = 0.9;
+
+// Shadiest route within the budget of the shortest one: a minutes budget is
+// extra walking time, a percent budget extra distance. Raising the shade
+// preference trades distance for shade monotonically, so we look for the
+// strongest preference whose route still fits the budget. Everything but the
+// shade preference comes from the profile's search options.
+function solveDetourBudget(context, orderedStopIdxs, budget, searchOpts) {
+  const { graph } = context;
+  const searchOptions = (shadePreference) => ({ ...searchOpts, shadePreference });
+
+  const shortest = routeThroughStops(context, orderedStopIdxs, searchOptions(0));
+  const byTime = budget.minutes !== undefined;
+  const measure = (route) => (byTime ? route.time_s : route.distance);
+  const limit = byTime
+    ? shortest.time_s + budget.minutes * 60
+    : shortest.distance * (1 + budget.percent / 100);
+
+  let best = shortest;
+  let bestShadedLength = shadedLength(graph, shortest);
+  let low = 0;
+  let high = MAX_DETOUR_SHADE_PREFERENCE;
+
+  for (let step = 0; step < DETOUR_SEARCH_STEPS; step++) {
+    // Try the strongest preference first; if it fits there is nothing to search
+    const shadePreference = step === 0 ? high : (low + high) / 2;
+    const candidate = routeThroughStops(context, orderedStopIdxs, searchOptions(shadePreference));
+
+    if (measure(candidate) <= limit) {
+      const candidateShadedLength = shadedLength(graph, candidate);
+      if (candidateShadedLength > bestShadedLength) {
+        best = candidate;
+        bestShadedLength = candidateShadedLength;
+      }
+      if (step === 0) break;
+      low = shadePreference;
+    } else {
+      high = shadePreference;
+    }
+  }
+
+  const unit = byTime ? 's' : 'm';
+  debugLog(`Detour budget route: ${measure(best).toFixed(0)}${unit} of max ${limit.toFixed(0)}${unit}, ${bestShadedLength.toFixed(0)}m shaded`);
+  return {
+    ...best,
+    shortestDistance: shortest.distance,
+    shortestDuration: shortest.time_s,
+    maxDistance: byTime ? undefined : limit,
+    maxDuration: byTime ? limit : undefined
+  };
+}
+
+// Detour budget route over stops that are already snapped onto the graph
+function detourBudgetRouteForSnaps(context, snaps, stopOrder, budget, searchOpts) {
+  const { graph } = context;
+  const { timeDependent, walkSpeed } = searchOpts;
+  const scenarioResult = solveDetourBudget(context, stopOrder.map(i => snaps[i].nodeIdx), budget, searchOpts);
+
+  return toRouteResult(graph, scenarioResult, snaps, walkSpeed, {
+    profileId: DETOUR_ROUTE_ID,
+    stopOrder,
+    shadeSliceCount: timeDependent ? graph.shadeSliceOffsets.length : 1,
+    detourBudget: budget,
+    shortestDistance: scenarioResult.shortestDistance,
+    shortestDuration: scenarioResult.shortestDuration,
+    // Only the bound the budget is in is set
+    maxDistance: scenarioResult.maxDistance,
+    maxDuration: scenarioResult.maxDuration
+  });
+}
+
+// Default walking speed, scaled to the graph's travel mode
+const travelSpeed = (graph) => 1.4 * getTravelMode(graph.travelMode).speedScale;
+
+// The shady profile orders the stops and fits detour budgets; without one
+// among the profiles, the default one at the graph's travel speed
+const shadyProfile = (graph, profiles) => profiles.find(profile => profile.id === ROUTE_TYPE.SHADY)
+  ?? { ...getDefaultProfile(ROUTE_TYPE.SHADY), walkSpeed: travelSpeed(graph) };
+
+/**
+ * Find the shadiest route that is at most a given detour longer than the shortest one
+ * @param {Object} graph - Graph from buildGraph
+ * @param {Object} start - Start point ({latitude, longitude})
+ * @param {Object} goal - Goal point ({latitude, longitude})
+ * @param {Object} budget - Either {percent} extra distance or {minutes} extra walking time
+ * @param {Object} options - waypoints, stopOrder, timeDependent, accessible,
+ *   departureOffset, sunWeights and the profiles, whose shady one the search
+ *   options but the shade preference come from
+ * @returns {Object} Route with the same shape as the findRoutes results
+ */
+export function findDetourBudgetRoute(graph, start, goal, budget, options = {}) {
+  const {
+    waypoints = [],
+    stopOrder,
+    timeDependent = false,
+    accessible = false,
+    profiles = DEFAULT_PROFILES,
+    departureOffset = 0,
+    sunWeights = null
+  } = options;
+  const { snaps, splitEdgeIds, removeSnapNodes } = insertSnapNodes(graph, [start, ...waypoints, goal]);
+  try {
+    const order = stopOrder ?? snaps.map((_, i) => i);
+    // Every shade preference tried runs over the same legs
+    const context = createSearchContext(graph, {
+      splitEdgeIds,
+      stopIdxs: snaps.map(snap => snap.nodeIdx),
+      reuseGoalTrees: true
+    });
+    return detourBudgetRouteForSnaps(context, snaps, order, budget, {
+      ...profileSearchOptions(shadyProfile(graph, profiles)),
+      timeDependent,
+      accessible,
+      departureOffset,
+      sunWeights
+    });
+  } finally {
+    removeSnapNodes();
+  }
+}
+
+// Main route finding function. With a signal it yields before each scenario,
+// so an aborted request stops between searches.
+export async function findRoutes(graph, start, goal, options = {}) {
+  const {
+    waypoints = [],
+    optimizeOrder = false,
+    timeDependent = false,
+    accessible = false,
+    profiles = DEFAULT_PROFILES,
+    detourBudget = null,
+    searchMode = SEARCH_MODE.CONTRACTED,
+    searchStats = null,
+    departureOffset = 0,
+    sunWeights = null,
+    signal
+  } = options;
+  const startTime = performance.now();
+  debugLog(`Finding route from (${start.latitude}, ${start.longitude}) to (${goal.latitude}, ${goal.longitude}) via ${waypoints.length} waypoints`);
+
+  const stops = [start, ...waypoints, goal];
+  const { snaps, splitEdgeIds, removeSnapNodes } = insertSnapNodes(graph, stops);
+  const result = {};
+
+  try {
+    const stopIdxs = snaps.map(snap => snap.nodeIdx);
+    // The scenarios search the same legs, so they can share goal trees
+    const context = createSearchContext(graph, {
+      splitEdgeIds,
+      stopIdxs,
+      mode: searchMode,
+      reuseGoalTrees: profiles.length > 1 || detourBudget !== null || (optimizeOrder && waypoints.length > 1),
+      stats: searchStats
+    });
+
+    // Order is expressed as indices into `stops`; start and goal never move
+    let stopOrder = stops.map((_, i) => i);
+    if (optimizeOrder && waypoints.length > 1) {
+      const costMatrix = buildStopCostMatrix(context, stopIdxs, { ...profileSearchOptions(shadyProfile(graph, profiles)), accessible });
+      stopOrder = optimizeStopOrder(costMatrix);
+      debugLog('Optimized stop order:', stopOrder);
+    }
+    const orderedStopIdxs = stopOrder.map(i => stopIdxs[i]);
+
+    for (const profile of profiles) {
+      await yieldForAbort(signal);
+      const scenarioResult = routeThroughStops(context, orderedStopIdxs, {
+        ...profileSearchOptions(profile),
+        timeDependent,
+        accessible,
+        departureOffset,
+        // Shade-seeking scenarios care less about shade when the sun is weak
+        sunWeights: profile.shadePreference > 0 ? sunWeights : null
+      });
+
+      result[profile.id] = toRouteResult(graph, scenarioResult, snaps, profile.walkSpeed, {
+        profileId: profile.id,
+        stopOrder,
+        shadeSliceCount: timeDependent ? graph.shadeSliceOffsets.length : 1,
+      });
+    }
+
+    if (detourBudget) {
+      await yieldForAbort(signal);
+      result[DETOUR_ROUTE_ID] = detourBudgetRouteForSnaps(context, snaps, stopOrder, detourBudget, {
+        ...profileSearchOptions(shadyProfile(graph, profiles)),
+        timeDependent,
+        accessible,
+        departureOffset,
+        sunWeights
+      });
+    }
+  } finally {
+    removeSnapNodes();
+  }
+
+  const endTime = performance.now() - startTime;
+  debugLog(`Route found`);
+  debugLog(`Route computation time: ${endTime.toFixed(1)} ms`);
+  return result
+}
+
+/**
+ * Find the route for one profile again for each of a series of departures, on
+ * a graph whose shade slices are the shade maps at those departures
+ * @param {Object} graph - Graph from buildGraph, with shade slices
+ * @param {Object} start - Start point ({latitude, longitude})
+ * @param {Object} goal - Goal point ({latitude, longitude})
+ * @param {Object} options - departureOffsets (seconds after the first shade map),
+ *   profile, waypoints, accessible and signal
+ * @returns {Promise<Array>} [{departureOffset, distance, duration, shadedDistance}]
+ */
+export async function scoreDepartures(graph, start, goal, options = {}) {
+  const { departureOffsets, profile = getDefaultProfile(ROUTE_TYPE.SHADY), waypoints = [], accessible = false, signal } = options;
+  const scores = [];
+  for (const departureOffset of departureOffsets) {
+    const routes = await findRoutes(graph, start, goal, {
+      waypoints,
+      accessible,
+      profiles: [profile],
+      timeDependent: graph.shadeSliceOffsets.length > 1,
+      departureOffset,
+      signal
+    });
+    const route = routes[profile.id];
+    scores.push({
+      departureOffset,
+      distance: route.distance,
+      duration: route.duration,
+      shadedDistance: route.legs.reduce((sum, leg) => sum + leg.shadedDistance, 0)
+    });
+  }
+  return scores;
+}
+
+/**
+ * Run the same route request over the full graph with plain A* and over the
+ * contracted graph, for the debug panel
+ * @param {Object} graph - Graph from buildGraph
+ * @param {Object} start - Start point ({latitude, longitude})
+ * @param {Object} goal - Goal point ({latitude, longitude})
+ * @param {Object} options - Same as findRoutes
+ * @returns {Promise<Object>} {graph: {nodes, edges, coreNodes, compoundEdges}, runs: [{mode, time,
+ *   searches, settled, relaxed}]} with the time in ms and counts summed over all searches
+ */
+export async function benchmarkRoutes(graph, start, goal, options = {}) {
+  const { networkNodeCount, coreNodeCount, chains } = graph.contraction;
+  const runs = [];
+  for (const searchMode of [SEARCH_MODE.PLAIN, SEARCH_MODE.CONTRACTED]) {
+    const searchStats = { searches: 0, settled: 0, relaxed: 0 };
+    const runStart = performance.now();
+    await findRoutes(graph, start, goal, { ...options, searchMode, searchStats });
+    runs.push({ mode: searchMode, time: performance.now() - runStart, ...searchStats });
+  }
+  debugLog('Routing benchmark:', runs);
+  return {
+    graph: {
+      nodes: networkNodeCount,
+      edges: graph.edgesMeta.length,
+      coreNodes: coreNodeCount,
+      compoundEdges: chains.length
+    },
+    runs
+  };
+}
+
+// Point a fraction of the way along an edge, as [lon, lat]
+function pointAlongEdge(graph, edge, fraction) {
+  const [latA, lonA] = graph.coords[edge.a];
+  const [latB, lonB] = graph.coords[edge.b];
+  return [lonA + (lonB - lonA) * fraction, latA + (latB - latA) * fraction];
+}
+
+/**
+ * Everything reachable from an origin within a walking time budget. The
+ * expansion follows the same shade-weighted costs as the route search, so each
+ * street is reached the way the profile would walk there, and the budget
+ * applies to the actual walking time along those paths.
+ * @param {Object} graph - Graph from buildGraph
+ * @param {Object} origin - Origin point ({latitude, longitude})
+ * @param {Object} options - timeBudget (seconds), profile and accessible
+ * @returns {Object} {nodes: [{coordinates, time}], edges: [{coordinates, shade, time}]}
+ *   with coordinates as [lon, lat] and times in seconds from the origin
+ */
+export function computeIsochrone(graph, origin, options = {}) {
+  const { timeBudget = 15 * 60, profile = getDefaultProfile(ROUTE_TYPE.SHADY), accessible = false } = options;
+  const costOpts = { ...profileSearchOptions(profile), accessible, travelMode: graph.travelMode };
+  const { walkSpeed, travelMode } = costOpts;
+  const { gradeFactor } = getTravelMode(travelMode);
+  const startTime = performance.now();
+
+  const { snaps, splitEdgeIds, removeSnapNodes } = insertSnapNodes(graph, [origin]);
+  try {
+    // Dijkstra on the shade-weighted cost, pruned by walking time
+    const originIdx = snaps[0].nodeIdx;
+    const root = searchState(originIdx, null);
+    const labels = new Map([[root, { nodeIdx: originIdx, cost: 0, time: 0, link: null }]]);
+    const settled = new Set();
+    const open = new PriorityQueue();
+    open.push(root, 0);
+    // Earliest time each node is reached, along whichever way
+    const timeByNode = new Map();
+
+    while (open.size > 0) {
+      const { value: state } = open.pop();
+      if (settled.has(state)) continue;
+      settled.add(state);
+
+      const label = labels.get(state);
+      const { nodeIdx } = label;
+      timeByNode.set(nodeIdx, Math.min(timeByNode.get(nodeIdx) ?? Infinity, label.time));
+      graph.ngraph.forEachLinkedNode(nodeIdx, (otherNode, link) => {
+        const next = searchState(otherNode.id, link);
+        if (settled.has(next) || !canTraverse(link, nodeIdx) || turnsBack(label.link, link)) return;
+        const crossing = turnCrossing(label.link, nodeIdx, link);
+        const time = label.time + (crossing?.wait ?? 0) + edgeTime(link, nodeIdx, walkSpeed, travelMode);
+        if (time > timeBudget) return;
+        const cost = label.cost + crossingCost(crossing) + edgeCost(link, link.data.shade ?? 0, nodeIdx, costOpts);
+        const previous = labels.get(next);
+        if (previous && previous.cost <= cost) return;
+        labels.set(next, { nodeIdx: otherNode.id, cost, time, link });
+        open.push(next, cost);
+      });
+    }
+
+    const nodes = [...timeByNode].map(([nodeIdx, time]) => {
+      const [lat, lon] = graph.coords[nodeIdx];
+      return { coordinates: [lon, lat], time };
+    });
+
+    // Streets are reachable in full when the time left at their two ends covers
+    // them, otherwise only as far in from each end as that time allows
+    const edges = [];
+    for (const edge of graph.edgesMeta) {
+      if (splitEdgeIds.has(edge.eid)) continue;
+      const timeA = timeByNode.get(edge.a);
+      const timeB = timeByNode.get(edge.b);
+      const grade = (edge.rise ?? 0) / edge.length;
+      const speedFromA = walkSpeed * gradeFactor(grade);
+      const speedFromB = walkSpeed * gradeFactor(-grade);
+      // One-way streets are only entered from the end traffic starts at
+      const reachA = timeA === undefined || edge.direction < 0 ? 0 : Math.min(1, (timeBudget - timeA) * speedFromA / edge.length);
+      const reachB = timeB === undefined || edge.direction > 0 ? 0 : Math.min(1, (timeBudget - timeB) * speedFromB / edge.length);
+      const shade = graph.shadeByEdgeId.get(edge.eid) ?? 0;
+
+      if (reachA + reachB >= 1) {
+        edges.push({
+          coordinates: [pointAlongEdge(graph, edge, 0), pointAlongEdge(graph, edge, 1)],
+          shade,
+          time: Math.min(timeA ?? Infinity, timeB ?? Infinity)
+        });
+        continue;
+      }
+      if (reachA > 0) {
+        const end = pointAlongEdge(graph, edge, reachA);
+        edges.push({ coordinates: [pointAlongEdge(graph, edge, 0), end], shade, time: timeA });
+        nodes.push({ coordinates: end, time: timeBudget });
+      }
+      if (reachB > 0) {
+        const end = pointAlongEdge(graph, edge, 1 - reachB);
+        edges.push({ coordinates: [end, pointAlongEdge(graph, edge, 1)], shade, time: timeB });
+        nodes.push({ coordinates: end, time: timeBudget });
+      }
+    }
+
+    debugLog(`Isochrone: ${timeByNode.size} nodes and ${edges.length} street segments within ${Math.round(timeBudget / 60)} min in ${(performance.now() - startTime).toFixed(1)} ms`);
+    return { timeBudget, nodes, edges, shadeUnknown: graph.shadeUnknown };
+  } finally {
+    removeSnapNodes();
+  }
+}
+
+// Loops are triangles from the start through two via points, tried in this many
+// directions around the start
+const LOOP_DIRECTIONS = 8;
+// Street distance over straight-line distance, used to size the triangles
+const LOOP_DETOUR_FACTOR = 1.3;
+// Two loops sharing more than this share of their length count as the same loop
+const MAX_LOOP_OVERLAP = 0.6;
+
+// Node closest to a point, for via points that need not be exact
+function nearestGraphNode(graph, lat, lon) {
+  const nearest = graph.edgeIndex.nearestEdge(lat, lon);
+  if (!nearest) return null;
+  const edge = graph.edgesMeta[nearest.eid];
+  return nearest.t < 0.5 ? edge.a : edge.b;
+}
+
+// Length walked more than once in a route
+function repeatedLength(graph, edges) {
+  const seen = new Set();
+  let repeated = 0;
+  for (const eid of edges) {
+    if (seen.has(eid)) repeated += graph.edgesMeta[eid].length;
+    seen.add(eid);
+  }
+  return repeated;
+}
+
+/**
+ * Generate round trips from a start point of roughly a target length, favouring
+ * shade and avoiding walking the same street twice
+ * @param {Object} graph - Graph from buildGraph
+ * @param {Object} start - Start and end point ({latitude, longitude})
+ * @param {Object} options - targetDistance (m), count, profile, timeDependent and accessible
+ * @returns {Object} Loops keyed by route id (`loop-1`, ...), best first, each
+ *   with the same shape as the findRoutes results plus a `loop` summary
+ */
+export function findLoops(graph, start, options = {}) {
+  const {
+    targetDistance,
+    count = 3,
+    profile = getDefaultProfile(ROUTE_TYPE.SHADY),
+    timeDependent = false,
+    accessible = false
+  } = options;
+  const startTime = performance.now();
+  const side = targetDistance / (3 * LOOP_DETOUR_FACTOR);
+
+  const { snaps, splitEdgeIds, removeSnapNodes } = insertSnapNodes(graph, [start, start]);
+  try {
+    const startIdx = snaps[0].nodeIdx;
+    // Every loop goes through different via points and avoids its own edges,
+    // so there are no legs to share
+    const context = createSearchContext(graph, { splitEdgeIds, stopIdxs: [startIdx] });
+    const candidates = [];
+
+    for (let direction = 0; direction < LOOP_DIRECTIONS; direction++) {
+      // Equilateral triangle pointing away from the start in this direction
+      const heading = direction * 360 / LOOP_DIRECTIONS;
+      const viaIdxs = [heading - 30, heading + 30].map(bearing => {
+        const [lat, lon] = offsetPoint(start.latitude, start.longitude, side, bearing);
+        return nearestGraphNode(graph, lat, lon);
+      });
+      if (viaIdxs.some(idx => idx === null || idx === startIdx) || viaIdxs[0] === viaIdxs[1]) continue;
+
+      let scenarioResult;
+      try {
+        scenarioResult = routeThroughStops(context, [startIdx, ...viaIdxs, startIdx], {
+          ...profileSearchOptions(profile),
+          timeDependent,
+          accessible,
+          avoidReuse: true
+        });
+      } catch (error) {
+        // Via points on a disconnected island; try the next direction
+        if (error.code === ROUTE_ERROR_CODE.NO_PATH) continue;
+        throw error;
+      }
+
+      const shadedDistance = scenarioResult.legs.reduce((sum, leg) => sum + leg.shadedDistance, 0);
+      const shadedFraction = shadedDistance / scenarioResult.distance;
+      const reuseFraction = repeatedLength(graph, scenarioResult.edges) / scenarioResult.distance;
+      const lengthError = Math.abs(scenarioResult.distance / targetDistance - 1);
+      candidates.push({
+        scenarioResult,
+        shadedFraction,
+        score: shadedFraction - reuseFraction - 2 * lengthError,
+        edgeSet: new Set(scenarioResult.edges)
+      });
+    }
+
+    // Best first, skipping loops that mostly retrace a better one
+    candidates.sort((a, b) => b.score - a.score);
+    const chosen = [];
+    for (const candidate of candidates) {
+      if (chosen.length >= count) break;
+      const overlapsChosen = chosen.some(other => {
+        const shared = [...candidate.edgeSet].filter(eid => other.edgeSet.has(eid)).length;
+        return shared / Math.min(candidate.edgeSet.size, other.edgeSet.size) > MAX_LOOP_OVERLAP;
+      });
+      if (!overlapsChosen) chosen.push(candidate);
+    }
+    if (chosen.length === 0) {
+      throw new RouteError(ROUTE_ERROR_CODE.NO_PATH, "No loop found from the specified point");
+    }
+
+    const result = {};
+    chosen.forEach((candidate, i) => {
+      const { scenarioResult } = candidate;
+      const routeId = `${LOOP_ROUTE_PREFIX}-${i + 1}`;
+      // The via points are not stops, so the loop is reported as a single leg
+      const singleLeg = {
+        ...scenarioResult,
+        legs: [{
+          distance: scenarioResult.distance,
+          duration: scenarioResult.time_s,
+          shadedDistance: scenarioResult.legs.reduce((sum, leg) => sum + leg.shadedDistance, 0),
+          pathStartIndex: 0,
+          pathEndIndex: scenarioResult.path.length - 1
+        }]
+      };
+      result[routeId] = toRouteResult(graph, singleLeg, snaps, profile.walkSpeed, {
+        profileId: routeId,
+        stopOrder: [0, 1],
+        shadeSliceCount: timeDependent ? graph.shadeSliceOffsets.length : 1,
+        loop: {
+          targetDistance,
+          shadedFraction: candidate.shadedFraction
+        }
+      });
+    });
+
+    debugLog(`Loops: ${chosen.length} of ${candidates.length} candidates in ${(performance.now() - startTime).toFixed(1)} ms`);
+    return result;
+  } finally {
+    removeSnapNodes();
+  }
+}
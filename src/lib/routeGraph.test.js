@@ -0,0 +1,71 @@
+import { buildGraph, findRoutes } from './routeGraph';
+import { getDefaultProfile } from './routingProfiles';
+import { ROUTE_TYPE, DETOUR_ROUTE_ID } from './routeConstants';
+
+const node = (id, lat, lon, tags) => ({ type: 'node', id, lat, lon, ...(tags && { tags }) });
+const way = (id, nodes, tags) => ({ type: 'way', id, nodes, tags });
+
+test('a signalled footway crossing over a road with separate sidewalks counts once', async () => {
+  const ROAD_ID = 100;
+  const elements = [
+    node(1, 40.7, -74.001), node(2, 40.7, -74, { highway: 'crossing', crossing: 'traffic_signals' }), node(3, 40.7, -73.999),
+    node(5, 40.70005, -74), node(6, 40.69995, -74),
+    node(7, 40.70005, -74.001), node(8, 40.70005, -73.999),
+    node(9, 40.69995, -74.001), node(10, 40.69995, -73.999),
+    way(ROAD_ID, [1, 2, 3], { highway: 'primary', name: 'Broadway', sidewalk: 'separate' }),
+    way(101, [5, 2, 6], { highway: 'footway', footway: 'crossing' }),
+    way(102, [7, 5, 8], { highway: 'footway', footway: 'sidewalk' }),
+    way(103, [9, 6, 10], { highway: 'footway', footway: 'sidewalk' })
+  ];
+  const graph = await buildGraph({ elements }, null, null, { yieldToEventLoop: false });
+  const routes = await findRoutes(graph, { latitude: 40.70005, longitude: -74.001 }, { latitude: 40.69995, longitude: -73.999 });
+
+  const route = Object.values(routes)[0];
+  expect(route.crossings.map(crossing => crossing.type)).toEqual(['signals']);
+  expect(route.crossings[0].road).toBe('primary');
+  // The road is only there to be crossed, not walked along
+  expect(graph.edgesMeta.some(edge => edge.wayOsmId === ROAD_ID)).toBe(false);
+});
+
+test('turning onto a road crosses nothing, going on across it does', async () => {
+  // A footway from the south meets Main St at node 2 and goes on north
+  const elements = [
+    node(1, 40.701, -74.001), node(2, 40.701, -74), node(3, 40.701, -73.999),
+    node(4, 40.7, -74), node(5, 40.702, -74),
+    way(100, [1, 2, 3], { highway: 'primary', name: 'Main St' }),
+    way(101, [4, 2, 5], { highway: 'footway' })
+  ];
+  const graph = await buildGraph({ elements }, null, null, { yieldToEventLoop: false });
+  const from = { latitude: 40.7, longitude: -74 };
+  const [turn] = Object.values(await findRoutes(graph, from, { latitude: 40.701, longitude: -73.999 }));
+  const [across] = Object.values(await findRoutes(graph, from, { latitude: 40.702, longitude: -74 }));
+
+  expect(turn.crossings).toEqual([]);
+  expect(across.crossings.map(crossing => crossing.type)).toEqual(['unmarked']);
+});
+
+test('a minutes detour budget is extra walking time at the profile\'s own speed', async () => {
+  // A sunny footway straight across, or a covered one looping north (~110m longer)
+  const elements = [
+    node(1, 40.7, -74.001), node(2, 40.7, -73.999),
+    node(3, 40.7005, -74.001), node(4, 40.7005, -73.999),
+    way(100, [1, 2], { highway: 'footway' }),
+    way(101, [1, 3, 4, 2], { highway: 'footway', covered: 'yes' })
+  ];
+  const graph = await buildGraph({ elements }, null, null, { yieldToEventLoop: false });
+  const detourRoute = async (walkSpeed, minutes) => (await findRoutes(graph,
+    { latitude: 40.7, longitude: -74.001 }, { latitude: 40.7, longitude: -73.999 }, {
+      profiles: [{ ...getDefaultProfile(ROUTE_TYPE.SHADY), walkSpeed }],
+      detourBudget: { minutes }
+    }))[DETOUR_ROUTE_ID];
+
+  const brisk = await detourRoute(1.4, 2);
+  expect(brisk.cover.every(Boolean)).toBe(true);
+  expect(brisk.duration).toBeLessThanOrEqual(brisk.maxDuration);
+  expect(brisk.maxDuration).toBeCloseTo(brisk.shortestDistance / 1.4 + 120, 0);
+  expect(brisk.maxDistance).toBeUndefined();
+  // At half the speed the loop takes longer than two extra minutes
+  const slow = await detourRoute(0.7, 2);
+  expect(slow.cover.every(cover => cover === null)).toBe(true);
+  expect(slow.duration).toBeCloseTo(slow.shortestDuration, 5);
+});
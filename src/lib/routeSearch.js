@@ -0,0 +1,541 @@
+import { distance } from '@turf/distance';
+import { TRAVEL_MODE, getTravelMode, canTraverse } from './travelModes';
+import { getAccessibilityMultiplier } from './accessibility';
+import { PriorityQueue } from './priorityQueue';
+import { getTurnCrossing } from './crossings';
+
+// Point-to-point searches over the graph from buildGraph, and the edge costs
+// they share with the isochrone. Searches step over the compound edges of the
+// contracted graph; static ones meet in the middle, time-dependent ones run
+// forward from the start since shade depends on when each street is reached.
+
+export const SEARCH_MODE = {
+  CONTRACTED: 'contracted', // compound edges, bidirectional A*, shared goal trees
+  PLAIN: 'plain'            // A* over every node, kept for benchmarking
+};
+
+// Walking an edge again costs this much more when a route should not double back
+const EDGE_REUSE_PENALTY = 4;
+
+// Extra cost per metre climbed at a climb weight of 1, from Naismith's rule
+// (an extra minute per 10 m of ascent)
+const CLIMB_COST_S_PER_M = 6;
+
+// Rise along a link when walking it away from fromIdx
+const linkRise = (link, fromIdx) => ((link.fromId === fromIdx ? 1 : -1) * (link.data.rise ?? 0));
+
+// Crossing made at nodeIdx when going from one link on to the next; none
+// where either is missing, at the start or end of a route
+export const turnCrossing = (inLink, nodeIdx, outLink) => getTurnCrossing(inLink?.data, nodeIdx, outLink?.data);
+
+// Cost of a crossing in seconds: the wait plus the penalty for an unmarked one
+export const crossingCost = (crossing) => (crossing ? crossing.wait + crossing.penalty : 0);
+
+// Searches label the end of a link rather than a node: what going on from a
+// node costs depends on the link it was reached by (or, searching backwards,
+// is left by), since that decides the crossing. Where a search starts there is
+// no link, and the node is a state of its own.
+export const searchState = (nodeIdx, link) => (
+  link ? link.data.eid * 2 + (nodeIdx === Math.min(link.fromId, link.toId) ? 0 : 1) : -1 - nodeIdx
+);
+
+// Routes never turn back along the link they came by; that would only ever
+// step onto a road and off it again to dodge a crossing
+export const turnsBack = (inLink, outLink) => Boolean(inLink && outLink) && inLink.data.eid === outLink.data.eid;
+
+// Travel time of one edge, slowed down uphill and sped up on descents as suits
+// the travel mode
+export function edgeTime(link, fromIdx, walkSpeed, travelMode = TRAVEL_MODE.WALK) {
+  const grade = linkRise(link, fromIdx) / link.data.length;
+  return link.data.length / (walkSpeed * getTravelMode(travelMode).gradeFactor(grade));
+}
+
+// Shade-aware cost of walking one edge from fromIdx, in preference-weighted
+// seconds. sunWeight (0-1) scales the shade preference by how strong the sun is.
+export function edgeCost(link, shadeValue, fromIdx, opts, sunWeight = 1) {
+  const {
+    walkSpeed,
+    shadePreference,
+    pedestrianPathPreference,
+    accessible = false,
+    avoidEdges = null,
+    climbWeight = 0,
+    travelMode = TRAVEL_MODE.WALK
+  } = opts;
+
+  // Preference for paths kept for the travel mode, footpaths on foot and
+  // cycleways on a bike (lower cost multiplier = higher preference)
+  const isPedestrianOnly = getTravelMode(travelMode).preferredHighways.includes(link.data.highway);
+  const pathTypeMultiplier = isPedestrianOnly ? (1 - pedestrianPathPreference) : 1.0;
+
+  const edgeSunShadeScore = (shadeValue - 0.5) * 2;
+  const edgeShadePreference = shadePreference * edgeSunShadeScore * sunWeight;
+  const shadeMultiplier = 1.0 - edgeShadePreference;
+
+  // Step-free routing steers around barriers and rough ground
+  const accessibilityMultiplier = accessible ? getAccessibilityMultiplier(link.data.accessibility) : 1;
+
+  const reuseMultiplier = avoidEdges && avoidEdges.has(link.data.eid) ? EDGE_REUSE_PENALTY : 1;
+
+  const baseTime = edgeTime(link, fromIdx, walkSpeed, travelMode);
+  const climbCost = climbWeight * Math.max(0, linkRise(link, fromIdx)) * CLIMB_COST_S_PER_M;
+  return baseTime * pathTypeMultiplier * shadeMultiplier * accessibilityMultiplier * reuseMultiplier + climbCost;
+}
+
+// Index of the shade map closest to a time after departure
+function nearestSlice(elapsed_s, shadeSliceOffsets) {
+  let bestSlice = 0;
+  for (let i = 1; i < shadeSliceOffsets.length; i++) {
+    if (Math.abs(shadeSliceOffsets[i] - elapsed_s) < Math.abs(shadeSliceOffsets[bestSlice] - elapsed_s)) {
+      bestSlice = i;
+    }
+  }
+  return bestSlice;
+}
+
+// Shade of an edge from the shade map closest to the time the walker reaches it
+function getShadeAtTime(link, elapsed_s, shadeSliceOffsets) {
+  const slices = link.data.shadeSlices;
+  if (!slices) return link.data.shade ?? 0;
+  return slices[nearestSlice(elapsed_s, shadeSliceOffsets)] ?? 0;
+}
+
+const withDefaults = ({
+  walkSpeed = 1.4,   // m/s (~5.0 km/h)
+  shadePreference = 0.0, // 0 = no preference, 1 = strong shade preference, -1 = strong sun preference
+  pedestrianPathPreference = 0.2, // 0 = no preference, 1 = strong pedestrian path preference
+  accessible = false, // avoid steps, raised kerbs and other wheelchair barriers
+  avoidEdges = null, // edge ids that are penalized, e.g. already walked
+  climbWeight = 0, // extra cost per metre climbed, relative to Naismith's rule
+  timeDependent = false, // score each edge against the shade map for when it is reached
+  departureOffset = 0, // seconds already walked before this leg starts
+  sunWeights = null, // sun strength (0-1) at each shade map's time; null weighs the sun equally
+  travelMode = TRAVEL_MODE.WALK // gradient response and preferred paths; searches default to the graph's mode
+}) => ({
+  walkSpeed, shadePreference, pedestrianPathPreference, accessible, avoidEdges, climbWeight, timeDependent, departureOffset,
+  sunWeights, travelMode
+});
+
+const noPath = () => ({ path: [], time_s: Infinity, edges: [], distance: 0 });
+
+/**
+ * State shared by the searches of one routing request: the compound edges that
+ * have to be walked link by link because a stop lies inside them, and the goal
+ * trees that scenarios over the same legs reuse
+ * @param {Object} graph - Graph from buildGraph, with the stops snapped in
+ * @param {Object} options - splitEdgeIds and stopIdxs from snapping; mode (SEARCH_MODE);
+ *   reuseGoalTrees when several scenarios will search the same legs; stats, an
+ *   object whose searches, settled and relaxed counts are incremented
+ * @returns {Object} Search context for searchRoute
+ */
+export function createSearchContext(graph, options = {}) {
+  const {
+    splitEdgeIds = new Set(),
+    stopIdxs = [],
+    mode = SEARCH_MODE.CONTRACTED,
+    reuseGoalTrees = false,
+    stats = null
+  } = options;
+  const contraction = mode === SEARCH_MODE.CONTRACTED ? graph.contraction ?? null : null;
+  const context = {
+    graph,
+    contraction,
+    openChains: new Set(),
+    reuseGoalTrees: contraction !== null && reuseGoalTrees,
+    goalTrees: new Map(),
+    stats
+  };
+  if (contraction) {
+    for (const eid of splitEdgeIds) context.openChains.add(contraction.chainByEdge[eid]);
+  }
+  stopIdxs.forEach(nodeIdx => openChainAround(context, nodeIdx));
+  return context;
+}
+
+// A search can only start or end inside a compound edge that is walked link by link
+function openChainAround(context, nodeIdx) {
+  const { contraction, openChains } = context;
+  if (!contraction || nodeIdx >= contraction.nodeCount) return;
+  const chainId = contraction.chainOfNode[nodeIdx];
+  if (chainId === -1 || openChains.has(chainId)) return;
+  openChains.add(chainId);
+  // Trees grown before missed the nodes inside the chain
+  context.goalTrees.clear();
+}
+
+// Chain of an edge, going by the edge it was split from for snap sub-edges
+function chainOfLink(context, link) {
+  const { chainByEdge } = context.contraction;
+  const { eid } = link.data;
+  return eid < chainByEdge.length
+    ? chainByEdge[eid]
+    : chainByEdge[context.graph.edgesMeta[eid].splitOf];
+}
+
+// Every step out of a node, or with `arriving` every step into it. A step is a
+// whole compound edge ({chain, from, to, reversed}) from a core node, or a
+// single link ({link, from, to}) inside opened chains and in plain mode.
+// Steps against one-way links are left out.
+function forEachStep(context, nodeIdx, visit, arriving = false) {
+  const { contraction, openChains } = context;
+  const isCore = contraction !== null && nodeIdx < contraction.nodeCount && contraction.isCore[nodeIdx] === 1;
+  if (isCore) {
+    for (const chainId of contraction.chainsByNode.get(nodeIdx) ?? []) {
+      if (openChains.has(chainId)) continue;
+      const [forward, backward] = contraction.chains[chainId].steps;
+      const leavesForward = forward.from === nodeIdx;
+      const step = leavesForward !== arriving ? forward : backward;
+      if (!step.blocked) visit(step);
+    }
+    if (openChains.size === 0) return;
+  }
+  context.graph.ngraph.forEachLinkedNode(nodeIdx, (otherNode, link) => {
+    if (isCore && !openChains.has(chainOfLink(context, link))) return;
+    if (!canTraverse(link, arriving ? otherNode.id : nodeIdx)) return;
+    visit(arriving
+      ? { link, from: otherNode.id, to: nodeIdx }
+      : { link, from: nodeIdx, to: otherNode.id });
+  });
+}
+
+// Calls fn(link, fromIdx) for the links of a step in walking order
+function forEachStepLink(step, fn) {
+  if (step.link) {
+    fn(step.link, step.from);
+    return;
+  }
+  const { nodes, links } = step.chain;
+  if (step.reversed) {
+    for (let i = links.length - 1; i >= 0; i--) fn(links[i], nodes[i + 1]);
+  } else {
+    for (let i = 0; i < links.length; i++) fn(links[i], nodes[i]);
+  }
+}
+
+// First and last links of a step in walking order
+const firstLinkOf = (step) => {
+  if (!step) return null;
+  if (step.link) return step.link;
+  const { links } = step.chain;
+  return step.reversed ? links[links.length - 1] : links[0];
+};
+const lastLinkOf = (step) => {
+  if (!step) return null;
+  if (step.link) return step.link;
+  const { links } = step.chain;
+  return step.reversed ? links[0] : links[links.length - 1];
+};
+
+const linkShade = (context, link, time, opts) => (
+  opts.timeDependent ? getShadeAtTime(link, time, context.graph.shadeSliceOffsets) : link.data.shade ?? 0
+);
+
+const sunWeightAt = (context, time, opts) => {
+  if (!opts.sunWeights) return 1;
+  return opts.timeDependent ? opts.sunWeights[nearestSlice(time, context.graph.shadeSliceOffsets)] ?? 1 : opts.sunWeights[0];
+};
+
+// Cost of a step started at a time, and the time it ends at. Crossings are
+// charged by the pair of links either side of a node, so the link the step is
+// entered from and the one it is left by count when known; null when the step
+// turns back along either.
+function walkStep(context, step, time, opts, arrivedBy = null, leavesBy = null) {
+  if (turnsBack(arrivedBy, firstLinkOf(step)) || turnsBack(lastLinkOf(step), leavesBy)) return null;
+  let cost = 0;
+  let previous = arrivedBy;
+  const cross = (nodeIdx, next) => {
+    const crossing = turnCrossing(previous, nodeIdx, next);
+    cost += crossingCost(crossing);
+    time += crossing?.wait ?? 0;
+  };
+  forEachStepLink(step, (link, fromIdx) => {
+    cross(fromIdx, link);
+    cost += edgeCost(link, linkShade(context, link, time, opts), fromIdx, opts, sunWeightAt(context, time, opts));
+    time += edgeTime(link, fromIdx, opts.walkSpeed, opts.travelMode);
+    previous = link;
+  });
+  cross(step.to, leavesBy);
+  return { cost, time };
+}
+
+// Search result for steps in walking order, unpacked into single edges
+function stepsToResult(context, startIdx, steps, opts) {
+  const path = [startIdx];
+  const edges = [];
+  const shade = [];
+  let totalDistance = 0;
+  let cost = 0;
+  let time = opts.departureOffset;
+  let previous = null;
+  const walkLink = (link, fromIdx) => {
+    const crossing = turnCrossing(previous, fromIdx, link);
+    cost += crossingCost(crossing);
+    time += crossing?.wait ?? 0;
+    previous = link;
+    const shadeValue = linkShade(context, link, time, opts);
+    cost += edgeCost(link, shadeValue, fromIdx, opts, sunWeightAt(context, time, opts));
+    time += edgeTime(link, fromIdx, opts.walkSpeed, opts.travelMode);
+    path.push(link.fromId === fromIdx ? link.toId : link.fromId);
+    edges.push(link.data.eid);
+    shade.push(shadeValue);
+    totalDistance += link.data.length;
+  };
+  steps.forEach(step => forEachStepLink(step, walkLink));
+  return { path, edges, shade, distance: totalDistance, time_s: time - opts.departureOffset, cost };
+}
+
+const countSettled = (context) => {
+  if (context.stats) context.stats.settled++;
+};
+const countRelaxed = (context) => {
+  if (context.stats) context.stats.relaxed++;
+};
+
+// Straight-line lower bound on the cost between two nodes: the best walking
+// speed at the most favourable multipliers. Consistent, so it suits A*.
+function straightLineBound(graph, opts) {
+  const costPerMeter = (1 - Math.max(opts.pedestrianPathPreference, 0)) * (1 - Math.abs(opts.shadePreference)) /
+    (opts.walkSpeed * (graph.elevations ? getTravelMode(opts.travelMode).maxGradeFactor : 1));
+  return (fromIdx, toIdx) => {
+    const [latA, lonA] = graph.coords[fromIdx];
+    const [latB, lonB] = graph.coords[toIdx];
+    return distance([lonA, latA], [lonB, latB], { units: 'meters' }) * costPerMeter;
+  };
+}
+
+// A* from the start, scoring every edge when the walker reaches it
+function forwardAstar(context, startIdx, goalIdx, opts, heuristic) {
+  const root = searchState(startIdx, null);
+  const labels = new Map([[root, { nodeIdx: startIdx, cost: 0, time: opts.departureOffset, step: null, previous: null }]]);
+  const closed = new Set();
+  const open = new PriorityQueue();
+  open.push(root, heuristic(startIdx));
+  let goalLabel = null;
+
+  while (open.size > 0) {
+    const { value: state } = open.pop();
+    if (closed.has(state)) continue;
+    closed.add(state);
+    countSettled(context);
+
+    const label = labels.get(state);
+    if (label.nodeIdx === goalIdx) {
+      goalLabel = label;
+      break;
+    }
+    forEachStep(context, label.nodeIdx, step => {
+      const next = searchState(step.to, lastLinkOf(step));
+      if (closed.has(next)) return;
+      countRelaxed(context);
+      const walked = walkStep(context, step, label.time, opts, lastLinkOf(label.step));
+      if (!walked) return;
+      const { time } = walked;
+      const cost = label.cost + walked.cost;
+      const previous = labels.get(next);
+      if (previous && previous.cost <= cost) return;
+      const estimate = heuristic(step.to);
+      if (estimate === Infinity) return;
+      labels.set(next, { nodeIdx: step.to, cost, time, step, previous: state });
+      open.push(next, cost + estimate);
+    });
+  }
+
+  if (!goalLabel) return noPath();
+  const steps = [];
+  for (let label = goalLabel; label.step; label = labels.get(label.previous)) steps.push(label.step);
+  return stepsToResult(context, startIdx, steps.reverse(), opts);
+}
+
+// A* from both ends at once, with the average of the two straight-line bounds
+// as potential so both halves work on the same reduced costs. Stops once the
+// two queue heads together cannot beat the best meeting found. Static shade only.
+function bidirectionalAstar(context, startIdx, goalIdx, opts) {
+  const bound = straightLineBound(context.graph, opts);
+  const potential = (nodeIdx) => (bound(nodeIdx, goalIdx) - bound(startIdx, nodeIdx)) / 2;
+  const createSide = (rootIdx, arriving, sign) => {
+    const root = searchState(rootIdx, null);
+    const rootLabel = { nodeIdx: rootIdx, cost: 0, step: null, previous: null };
+    const side = {
+      arriving,
+      rootLabel,
+      key: (nodeIdx, cost) => cost + sign * potential(nodeIdx),
+      labels: new Map([[root, rootLabel]]),
+      // States labelled at each node, for meeting the other half there
+      statesByNode: new Map([[rootIdx, [root]]]),
+      closed: new Set(),
+      open: new PriorityQueue()
+    };
+    side.open.push(root, side.key(rootIdx, 0));
+    return side;
+  };
+  const forward = createSide(startIdx, false, 1);
+  const backward = createSide(goalIdx, true, -1);
+
+  // Best route through a node both halves have reached
+  const meeting = startIdx === goalIdx
+    ? { cost: 0, forwardLabel: forward.rootLabel, backwardLabel: backward.rootLabel }
+    : { cost: Infinity, forwardLabel: null, backwardLabel: null };
+
+  while (forward.open.size > 0 && backward.open.size > 0) {
+    const forwardTop = forward.open.peek().priority;
+    const backwardTop = backward.open.peek().priority;
+    if (forwardTop + backwardTop >= meeting.cost) break;
+
+    const side = forwardTop <= backwardTop ? forward : backward;
+    const other = side === forward ? backward : forward;
+    const { value: state } = side.open.pop();
+    if (side.closed.has(state)) continue;
+    side.closed.add(state);
+    countSettled(context);
+
+    const label = side.labels.get(state);
+    forEachStep(context, label.nodeIdx, step => {
+      const nextIdx = side.arriving ? step.from : step.to;
+      const next = searchState(nextIdx, side.arriving ? firstLinkOf(step) : lastLinkOf(step));
+      if (side.closed.has(next)) return;
+      countRelaxed(context);
+      const walked = side.arriving
+        ? walkStep(context, step, 0, opts, null, firstLinkOf(label.step))
+        : walkStep(context, step, 0, opts, lastLinkOf(label.step));
+      if (!walked) return;
+      const cost = label.cost + walked.cost;
+      const previous = side.labels.get(next);
+      if (previous && previous.cost <= cost) return;
+      const nextLabel = { nodeIdx: nextIdx, cost, step, previous: state };
+      side.labels.set(next, nextLabel);
+      if (!previous) {
+        if (!side.statesByNode.has(nextIdx)) side.statesByNode.set(nextIdx, []);
+        side.statesByNode.get(nextIdx).push(next);
+      }
+      side.open.push(next, side.key(nextIdx, cost));
+      // The two halves meet between the forward half's last link and the
+      // backward half's first, which may cross a road
+      for (const otherState of other.statesByNode.get(nextIdx) ?? []) {
+        const otherLabel = other.labels.get(otherState);
+        const [forwardLabel, backwardLabel] = side.arriving ? [otherLabel, nextLabel] : [nextLabel, otherLabel];
+        const inLink = lastLinkOf(forwardLabel.step);
+        const outLink = firstLinkOf(backwardLabel.step);
+        if (turnsBack(inLink, outLink)) continue;
+        const meetingCost = cost + otherLabel.cost + crossingCost(turnCrossing(inLink, nextIdx, outLink));
+        if (meetingCost < meeting.cost) Object.assign(meeting, { cost: meetingCost, forwardLabel, backwardLabel });
+      }
+    }, side.arriving);
+  }
+
+  if (!meeting.forwardLabel) return noPath();
+  const steps = [];
+  for (let label = meeting.forwardLabel; label.step; label = forward.labels.get(label.previous)) steps.push(label.step);
+  steps.reverse();
+  for (let label = meeting.backwardLabel; label.step; label = backward.labels.get(label.previous)) steps.push(label.step);
+  return stepsToResult(context, startIdx, steps, opts);
+}
+
+// Scenarios that only differ in shade preference share a lower bound: without
+// the shade term no edge costs less than (1 - |shadePreference|) times its
+// shade-free cost. A goal tree is a Dijkstra search backwards from a goal on
+// those shade-free costs. It is grown until it reaches a leg's start and then
+// gives every later search towards that goal an exact-where-settled heuristic;
+// the shade-neutral scenario can read its route straight off it.
+function growGoalTree(context, goalIdx, opts, untilIdx) {
+  const key = [goalIdx, opts.walkSpeed, opts.pedestrianPathPreference, opts.climbWeight, opts.accessible].join('|');
+  let tree = context.goalTrees.get(key);
+  if (!tree) {
+    tree = {
+      opts: { ...opts, shadePreference: 0, avoidEdges: null, timeDependent: false, departureOffset: 0 },
+      labels: new Map([[searchState(goalIdx, null), { nodeIdx: goalIdx, cost: 0, step: null, previous: null }]]),
+      closed: new Set(),
+      // Cheapest settled label at each node
+      settled: new Map(),
+      open: new PriorityQueue(),
+      radius: 0
+    };
+    tree.open.push(searchState(goalIdx, null), 0);
+    context.goalTrees.set(key, tree);
+  }
+
+  while (!tree.settled.has(untilIdx)) {
+    if (tree.open.size === 0) {
+      // Everything reachable is settled; whatever is left is out of reach
+      tree.radius = Infinity;
+      break;
+    }
+    const { value: state, priority } = tree.open.pop();
+    if (tree.closed.has(state)) continue;
+    tree.closed.add(state);
+    tree.radius = priority;
+    countSettled(context);
+
+    const label = tree.labels.get(state);
+    if (!tree.settled.has(label.nodeIdx)) tree.settled.set(label.nodeIdx, label);
+    forEachStep(context, label.nodeIdx, step => {
+      const next = searchState(step.from, firstLinkOf(step));
+      if (tree.closed.has(next)) return;
+      countRelaxed(context);
+      const walked = walkStep(context, step, 0, tree.opts, null, firstLinkOf(label.step));
+      if (!walked) return;
+      const cost = label.cost + walked.cost;
+      const previous = tree.labels.get(next);
+      if (previous && previous.cost <= cost) return;
+      tree.labels.set(next, { nodeIdx: step.from, cost, step, previous: state });
+      tree.open.push(next, cost);
+    }, true);
+  }
+  return tree;
+}
+
+function goalTreeRoute(context, tree, startIdx, opts) {
+  const steps = [];
+  for (let label = tree.settled.get(startIdx); label.step; label = tree.labels.get(label.previous)) {
+    steps.push(label.step);
+  }
+  return stepsToResult(context, startIdx, steps, opts);
+}
+
+function goalTreeHeuristic(context, tree, goalIdx, opts) {
+  const bound = straightLineBound(context.graph, opts);
+  const factor = 1 - Math.abs(opts.shadePreference);
+  return (nodeIdx) => {
+    const treeBound = tree.settled.get(nodeIdx)?.cost ?? tree.radius;
+    return Math.max(bound(nodeIdx, goalIdx), factor * treeBound);
+  };
+}
+
+/**
+ * Best route between two nodes for one set of search options
+ * @param {Object} context - Search context from createSearchContext
+ * @param {number} startIdx - Start node
+ * @param {number} goalIdx - Goal node
+ * @param {Object} options - walkSpeed, shadePreference, pedestrianPathPreference,
+ *   accessible, avoidEdges, climbWeight, timeDependent, departureOffset, sunWeights
+ *   and travelMode (the graph's by default)
+ * @returns {Object} {path, edges, shade, distance, time_s, cost} with an empty
+ *   path when the goal cannot be reached
+ */
+export function searchRoute(context, startIdx, goalIdx, options = {}) {
+  const { graph } = context;
+  const opts = withDefaults({ travelMode: graph.travelMode, ...options });
+  if (!graph.coords[startIdx] || !graph.coords[goalIdx]) return noPath();
+  if (context.stats) context.stats.searches++;
+  openChainAround(context, startIdx);
+  openChainAround(context, goalIdx);
+
+  if (!context.contraction) {
+    const bound = straightLineBound(graph, opts);
+    return forwardAstar(context, startIdx, goalIdx, opts, nodeIdx => bound(nodeIdx, goalIdx));
+  }
+
+  if (context.reuseGoalTrees) {
+    const tree = growGoalTree(context, goalIdx, opts, startIdx);
+    if (!tree.settled.has(startIdx)) return noPath();
+    if (opts.shadePreference === 0 && !opts.avoidEdges) {
+      return goalTreeRoute(context, tree, startIdx, opts);
+    }
+    return forwardAstar(context, startIdx, goalIdx, opts, goalTreeHeuristic(context, tree, goalIdx, opts));
+  }
+
+  if (opts.timeDependent) {
+    const bound = straightLineBound(graph, opts);
+    return forwardAstar(context, startIdx, goalIdx, opts, nodeIdx => bound(nodeIdx, goalIdx));
+  }
+  return bidirectionalAstar(context, startIdx, goalIdx, opts);
+}
@@ -0,0 +1,64 @@
+import { buildGraph } from './routeGraph';
+import { SEARCH_MODE, createSearchContext, searchRoute } from './routeSearch';
+
+// 3x3 blocks of streets, each split into three edges by two nodes in between,
+// so the contracted graph has a chain along every block. Node ids are their
+// indices in the graph.
+function blockGrid() {
+  const elements = [];
+  const addNode = (lat, lon) => {
+    const id = elements.length;
+    elements.push({ type: 'node', id, lat, lon });
+    return id;
+  };
+  const corners = [];
+  for (let r = 0; r < 4; r++) {
+    for (let c = 0; c < 4; c++) corners.push(addNode(40.7 + r * 0.001, -74 + c * 0.001));
+  }
+  const highways = ['footway', 'residential', 'primary'];
+  const ways = [];
+  const addStreet = (a, b, i) => {
+    const [A, B] = [elements[a], elements[b]];
+    // Kinked a little differently each time so no two routes tie
+    const between = [1, 2].map(k => addNode(
+      A.lat + (B.lat - A.lat) * k / 3 + ((i * 7 + k) % 5) * 0.00002,
+      A.lon + (B.lon - A.lon) * k / 3 + ((i * 3 + k) % 4) * 0.00002
+    ));
+    ways.push({ type: 'way', id: 1000 + i, nodes: [a, ...between, b], tags: { highway: highways[i % 3] } });
+  };
+  let i = 0;
+  for (let r = 0; r < 4; r++) {
+    for (let c = 0; c < 4; c++) {
+      if (c < 3) addStreet(corners[r * 4 + c], corners[r * 4 + c + 1], i++);
+      if (r < 3) addStreet(corners[r * 4 + c], corners[(r + 1) * 4 + c], i++);
+    }
+  }
+  return { elements: [...elements, ...ways] };
+}
+
+const search = (graph, mode, startIdx, goalIdx) => searchRoute(
+  createSearchContext(graph, { mode, stopIdxs: [startIdx, goalIdx] }), startIdx, goalIdx, { shadePreference: 0.5 }
+);
+
+test('contracted bidirectional search finds the same routes as plain A*', async () => {
+  const graph = await buildGraph(blockGrid(), null, null, { yieldToEventLoop: false });
+  const { isCore } = graph.contraction;
+
+  const cases = [
+    [5, 10], // junction to junction
+    [3, 12], // between the outer corners, which only join two streets
+    [16, 15], // from inside a chain
+    [0, 60], // to inside a chain
+    [17, 62] // between two chains
+  ];
+  for (const [startIdx, goalIdx] of cases) {
+    const plain = search(graph, SEARCH_MODE.PLAIN, startIdx, goalIdx);
+    const contracted = search(graph, SEARCH_MODE.CONTRACTED, startIdx, goalIdx);
+    expect(plain.path.length).toBeGreaterThan(1);
+    expect(contracted.cost).toBeCloseTo(plain.cost, 9);
+    expect(contracted.path).toEqual(plain.path);
+    expect(contracted.edges).toEqual(plain.edges);
+  }
+  expect(isCore[5] && isCore[10]).toBeTruthy();
+  expect([3, 12, 16, 60, 17, 62].every(nodeIdx => isCore[nodeIdx] === 0)).toBe(true);
+});
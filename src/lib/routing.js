@@ -1,26 +1,26 @@
 import { distance } from '@turf/distance';
 import { generateShadeMap, SHADE_TYPE } from './shadowShader';
-import { ShadowSampler } from './shadowSampler';
-import { debugLog, debugWarn, debugError, setDebugImage, isDebugMode } from './debugUtils';
-import path from 'ngraph.path';
-import createGraph from 'ngraph.graph';
-
-// Route type enum
-export const ROUTE_TYPE = {
-  SHADY: 'shadyPath', 
-  SUNNY: 'sunnyPath',
-  FAST: 'fastPath',
-};
-
-// Progress status enum
-export const ROUTE_PROGRESS_STATUS = {
-  GETTING_WAYS_DATA: 'GETTING_WAYS_DATA',
-  COMPUTING_SHADE_MAP: 'COMPUTING_SHADE_MAP',
-  BUILDING_GRAPH: 'BUILDING_GRAPH',
-  APPLYING_SHADE_DATA: 'APPLYING_SHADE_DATA',
-  FINDING_ROUTE: 'FINDING_ROUTE',
-  ROUTE_COMPLETED: 'ROUTE_COMPLETED'
-};
+import { debugLog, debugWarn, debugError, setDebugImage, isDebugMode, pixelsToPngDataUrl } from './debugUtils';
+import { DEFAULT_PROFILES } from './routingProfiles';
+import { getDefaultWaysProvider } from './waysProviders';
+import { getDefaultElevationProvider } from './elevationProviders';
+import { TREE_SHADE_MODE, isLeafOff } from './canopyShadows';
+import { mergeElements } from './waysCache';
+import { getCorridorRegion, getRectangleRegion } from './fetchRegions';
+import { ROUTE_PROGRESS_STATUS, ROUTE_TYPE, AUTO_ROUTE_ID } from './routeConstants';
+import { isAbortError, throwIfAborted } from './abort';
+import { RouteError, ROUTE_ERROR_CODE } from './routeErrors';
+import { runRoutingTask } from './routingWorkerClient';
+import { getSunWeight } from './sunExposure';
+import { chooseShadePreference } from './thermalComfort';
+import { TRAVEL_MODE, adaptProfile } from './travelModes';
+
+export { TREE_SHADE_MODE } from './canopyShadows';
+export { TRAVEL_MODE } from './travelModes';
+export { isAbortError } from './abort';
+export { RouteError, ROUTE_ERROR_CODE, isTransientRouteError } from './routeErrors';
+export { ROUTE_TYPE, DETOUR_ROUTE_ID, AUTO_ROUTE_ID, LOOP_ROUTE_PREFIX, isLoopRouteId, MAP_MODE, ROUTE_PROGRESS_STATUS } from './routeConstants';
+export { buildGraph, findRoutes, findDetourBudgetRoute, computeIsochrone, findLoops, benchmarkRoutes } from './routeGraph';
 
 // Progress status to message mapping
 export const getProgressMessage = (status) => {
@@ -29,486 +29,547 @@ export const getProgressMessage = (status) => {
     [ROUTE_PROGRESS_STATUS.COMPUTING_SHADE_MAP]: 'Computing shade map...',
     [ROUTE_PROGRESS_STATUS.BUILDING_GRAPH]: 'Building graph...',
     [ROUTE_PROGRESS_STATUS.FINDING_ROUTE]: 'Finding route...',
+    [ROUTE_PROGRESS_STATUS.EXPLORING_AREA]: 'Exploring reachable area...',
+    [ROUTE_PROGRESS_STATUS.SCORING_DEPARTURES]: 'Comparing departure times...',
     [ROUTE_PROGRESS_STATUS.ROUTE_COMPLETED]: 'Route completed'
   };
   return messageMap[status] || 'Processing...';
 };
 
-async function getWaysData(bounds, onProgress) {
+// Corridors reach this far either side of the straight line through the stops,
+// doubling whenever no route fits inside
+const CORRIDOR_BUFFER_M = 300;
+const MAX_CORRIDOR_WIDENINGS = 2;
+
+async function getWaysData(region, onProgress, waysProvider, signal, travelMode) {
   if (onProgress) onProgress(ROUTE_PROGRESS_STATUS.GETTING_WAYS_DATA);
-  const bbox = `${bounds.south},${bounds.west},${bounds.north},${bounds.east}`;
-  const query = `[out:json][timeout:180];(way["highway"]["area"!~"yes"]["access"!~"private"]["highway"!~"abandoned|bus_guideway|construction|cycleway|motor|no|planned|platform|proposed|raceway|razed|rest_area|services"]["foot"!~"no"]["service"!~"private"]["sidewalk"!~"separate"]["sidewalk:both"!~"separate"]["sidewalk:left"!~"separate"]["sidewalk:right"!~"separate"](${bbox});>;);out;`;
-  const overpassUrl = 'https://overpass-api.de/api/interpreter';
-  const response = await fetch(overpassUrl, {
-    method: 'POST',
-    body: query,
-    headers: {
-      'Content-Type': 'text/plain'
-    }
-  });
-  if (!response.ok) {
-    throw new Error(`Overpass API request failed: ${response.status}`);
+  const startTime = performance.now();
+  // One request per rectangle of the region; ways crossing between them come back twice
+  const elementLists = [];
+  for (const rect of region.rects) {
+    const { elements } = await waysProvider.getWaysData(rect, { signal, travelMode });
+    throwIfAborted(signal);
+    elementLists.push(elements);
   }
-  return await response.json();
+  const waysData = { elements: mergeElements(elementLists) };
+  debugLog(`Ways data from ${waysProvider.name}: ${waysData.elements.length} elements for ${region.rects.length} rectangle(s) in ${(performance.now() - startTime).toFixed(1)} ms`);
+  return waysData;
 }
 
-async function getShadeData(bounds, date, onProgress) {
-  if (!bounds) return;
-
+// Elevation is optional: without it every street is treated as flat
+async function getElevationData(bounds, elevationProvider, signal) {
+  if (!elevationProvider) return null;
   try {
-    if (onProgress) onProgress(ROUTE_PROGRESS_STATUS.COMPUTING_SHADE_MAP);
     const startTime = performance.now();
-    const shadeMapResult = await generateShadeMap(bounds, date, SHADE_TYPE.IMAGE);
-    debugLog('Shade map generated:', shadeMapResult);
-    const endTime = performance.now() - startTime;
-    debugLog(`Shade map computation time: ${endTime.toFixed(1)} ms`);
-    return shadeMapResult;
+    const elevationData = await elevationProvider.getElevationData(bounds, { signal });
+    debugLog(`Elevation data from ${elevationProvider.name}: ${elevationData.width}x${elevationData.height} in ${(performance.now() - startTime).toFixed(1)} ms`);
+    return elevationData;
   } catch (error) {
-    debugError('Error generating shade map:', error);
+    if (isAbortError(error)) throw error;
+    debugWarn('Elevation data unavailable, routing as if flat:', error);
+    return null;
   }
-};
-
-function getBboxForPoints(start, end) {
-  const padding = 0.005; // roughly 500 meters
-  return {
-    west: Math.min(start.lng, end.lng) - padding,
-    east: Math.max(start.lng, end.lng) + padding,
-    north: Math.max(start.lat, end.lat) + padding,
-    south: Math.min(start.lat, end.lat) - padding
-  };
 }
 
-export async function findWalkingRoutes(start, end, date, options = {}) {
-  const { onProgress } = options;
-  
-  const bounds = getBboxForPoints(start, end);
-  const waysData = await getWaysData(bounds, onProgress);
-  const shadeData = await getShadeData(bounds, date, onProgress);
-  const graph = await buildGraph(waysData, shadeData, onProgress);
-  
-  if (onProgress) onProgress(ROUTE_PROGRESS_STATUS.FINDING_ROUTE);
-  const routes = findRoutes(graph, {
-    latitude: start.lat,
-    longitude: start.lng
-  }, {
-    latitude: end.lat,
-    longitude: end.lng
-  });
-  
-  if (onProgress) onProgress(ROUTE_PROGRESS_STATUS.ROUTE_COMPLETED);
-  return routes;
-};
-
-export async function buildGraph(waysData, shadeData = null, onProgress) {
-  if (onProgress) onProgress(ROUTE_PROGRESS_STATUS.BUILDING_GRAPH);
+// Buffers handed over to the routing worker instead of being copied
+const transferables = (shadeMaps, elevationData) => [
+  ...shadeMaps.filter(Boolean).flatMap(data => data.tiles ?? [data]).map(data => data.image.pixels.buffer),
+  ...(elevationData ? [elevationData.elevations.buffer] : [])
+];
+
+// One shade map per rectangle of the region. A region of several rectangles
+// gives a mosaic, {bounds, date, tiles}, that createShadowSampler understands.
+// Throws SHADE_UNAVAILABLE when not a single rectangle could be rendered.
+async function getShadeData(region, date, onProgress, signal) {
+  if (onProgress) onProgress(ROUTE_PROGRESS_STATUS.COMPUTING_SHADE_MAP);
   const startTime = performance.now();
-  const elements = waysData.elements;
-  const nodes = new Map(); // osmNodeId -> {lat, lon, idx}
-  let idxCounter = 0;
-
-  // Helper function to yield to main thread
-  const yieldToMainThread = () => new Promise(resolve => setTimeout(resolve, 0));
-
-  for (let i = 0; i < elements.length; i++) {
-    const el = elements[i];
-    if (el.type === "node") {
-      nodes.set(el.id, {
-        lat: el.lat,
-        lon: el.lon,
-        idx: idxCounter++,
-        osmId: el.id
-      });
-    }
-    // Yield every 100 elements to prevent blocking
-    if (i % 100 === 0) {
-      await yieldToMainThread();
+  const tiles = [];
+  let lastError = null;
+  for (const rect of region.rects) {
+    try {
+      tiles.push(await generateShadeMap(rect, date, SHADE_TYPE.IMAGE, { signal }));
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      debugError('Error generating shade map:', error);
+      lastError = error;
     }
   }
-
-  // Define walkable way filter
-  const isWalkable = (way) => {
-    const tags = way.tags || {};
-
-    // Must have highway tag
-    if (!tags.highway) return false;
-
-    // Check access restrictions
-    if (tags.access === "private" && tags.foot !== "yes") return false;
-    if (tags.access === "no" && tags.foot !== "yes") return false;
-    if (tags.foot === "no") return false;
-
-    // Walkable highway types
-    const walkableHighways = [
-      'footway', 'path', 'pedestrian', 'steps', 'cycleway',
-      'residential', 'living_street', 'service', 'track',
-      'primary', 'secondary', 'tertiary', 'unclassified',
-      'primary_link', 'secondary_link', 'tertiary_link'
-    ];
-
-    return walkableHighways.includes(tags.highway);
-  };
-
-  // Create ngraph instance and initialize metadata structures
-  const ngraphInstance = createGraph();
-  const coords = new Array(nodes.size);     // idx -> [lat, lon]
-  const nodeOsmIds = new Array(nodes.size); // idx -> osmId for debugging
-
-  // Add nodes to ngraph and fill coordinate arrays
-  let nodeCount = 0;
-  for (const [osmId, nodeData] of nodes) {
-    if (nodeData.idx >= coords.length) {
-      continue;
-    }
-    coords[nodeData.idx] = [nodeData.lat, nodeData.lon];
-    nodeOsmIds[nodeData.idx] = osmId;
-    
-    // Add node to ngraph with coordinate data
-    ngraphInstance.addNode(nodeData.idx, { 
-      coords: [nodeData.lat, nodeData.lon],
-      osmId: osmId
-    });
-    
-    // Yield every 100 nodes to prevent blocking
-    if (nodeCount % 100 === 0) {
-      await yieldToMainThread();
-    }
-    nodeCount++;
+  if (tiles.length === 0) {
+    throw new RouteError(ROUTE_ERROR_CODE.SHADE_UNAVAILABLE, 'The shade map could not be rendered', { cause: lastError });
   }
 
-  // Build edges from walkable ways
-  let edgeSeq = 0;
-  const edgesMeta = [];
-  let waysProcessed = 0;
-  let edgesCreated = 0;
-
-  for (let elementIdx = 0; elementIdx < elements.length; elementIdx++) {
-    const el = elements[elementIdx];
-    if (el.type !== "way" || !isWalkable(el)) continue;
+  const shadeMapResult = tiles.length === 1
+    ? tiles[0]
+    : { bounds: region.bounds, date, shadeType: SHADE_TYPE.IMAGE, tiles };
+  debugLog('Shade map generated:', shadeMapResult);
+  const endTime = performance.now() - startTime;
+  debugLog(`Shade map computation time: ${endTime.toFixed(1)} ms`);
+  return shadeMapResult;
+};
 
-    waysProcessed++;
+// A route without shade still beats no route: without a shade map the graph is
+// built as if every street were sunny and the results come back shadeUnknown
+const withoutShade = (error) => {
+  if (error.code !== ROUTE_ERROR_CODE.SHADE_UNAVAILABLE) throw error;
+  debugWarn('Continuing without shade:', error.cause ?? error);
+  return null;
+};
 
-    // Filter way nodes to only include those we have coordinates for
-    const validNodes = el.nodes.filter(nodeId => nodes.has(nodeId));
+// Time-expanded routing renders one extra shade map per interval of the expected walk
+const SHADE_SLICE_INTERVAL_S = 15 * 60;
+const MAX_SHADE_SLICES = 8;
+
+// Rough upper bound on the walk duration from the straight-line distance between stops
+function estimateWalkDuration(points, walkSpeed = 1.4) {
+  const detourFactor = 1.4;
+  let straightLineDistance = 0;
+  for (let i = 0; i < points.length - 1; i++) {
+    straightLineDistance += distance(
+      [points[i].lng, points[i].lat],
+      [points[i + 1].lng, points[i + 1].lat],
+      { units: 'meters' });
+  }
+  return straightLineDistance * detourFactor / walkSpeed;
+}
 
-    if (validNodes.length < 2) {
-      debugWarn(`Way ${el.id} has fewer than 2 valid nodes, skipping`);
-      continue;
+// Shade maps for later points in the walk, each tagged with its offset from departure
+async function getShadeSlices(region, date, duration_s, signal) {
+  const sliceCount = Math.min(MAX_SHADE_SLICES - 1, Math.ceil(duration_s / SHADE_SLICE_INTERVAL_S));
+  const slices = [];
+  for (let k = 1; k <= sliceCount; k++) {
+    const offset = k * SHADE_SLICE_INTERVAL_S;
+    const shadeData = await getShadeData(region, new Date(date.getTime() + offset * 1000), null, signal)
+      .catch(withoutShade);
+    if (shadeData) {
+      slices.push({ offset, shadeData });
     }
+  }
+  debugLog(`Generated ${slices.length} additional shade slices for a ${Math.round(duration_s / 60)} min walk`);
+  return slices;
+}
 
-    // Create edges between consecutive nodes in the way
-    for (let i = 0; i < validNodes.length - 1; i++) {
-      const nodeAId = validNodes[i];
-      const nodeBId = validNodes[i + 1];
-
-      const nodeA = nodes.get(nodeAId);
-      const nodeB = nodes.get(nodeBId);
-
-      // Safety check (should not happen with filtered nodes)
-      if (!nodeA || !nodeB) {
-        continue;
-      }
-
-      // Additional safety check for node indices
-      if (nodeA.idx === undefined || nodeB.idx === undefined) {
-        continue;
-      }
-
-      if (nodeA.idx >= coords.length || nodeB.idx >= coords.length || nodeA.idx < 0 || nodeB.idx < 0) {
-        continue;
-      }
-
-      // Calculate edge length
-      const length = distance([nodeA.lon, nodeA.lat], [nodeB.lon, nodeB.lat], { units: 'meters' });
-
-      if (length === 0) {
-        debugWarn(`Zero-length edge in way ${el.id} between nodes ${nodeAId} and ${nodeBId}`);
-        continue;
-      }
-
-      const eid = edgeSeq++;
-      edgesMeta.push({
-        eid,
-        a: nodeA.idx,
-        b: nodeB.idx,
-        wayOsmId: el.id,
-        length,
-        highway: el.tags?.highway,
-        name: el.tags?.name
-      });
-
-      // Most streets are bidirectional for pedestrians unless explicitly one-way
-      const isOneway = el.tags?.oneway === "yes" ||
-        el.tags?.oneway === "true" ||
-        el.tags?.oneway === "1";
-
-      // Add forward direction edge to ngraph
-      ngraphInstance.addLink(nodeA.idx, nodeB.idx, {
-        eid: eid,
-        length: length,
-        wayOsmId: el.id,
-        highway: el.tags?.highway,
-        name: el.tags?.name
-      });
-
-      edgesCreated++;
-
-      // Add reverse direction (if not one-way)
-      if (!isOneway) {
-        ngraphInstance.addLink(nodeB.idx, nodeA.idx, {
-          eid: eid,
-          length: length,
-          wayOsmId: el.id,
-          highway: el.tags?.highway,
-          name: el.tags?.name
-        });
-        edgesCreated++;
-      }
-    }
+function getBboxForPoints(points) {
+  const padding = 0.005; // roughly 500 meters
+  const lngs = points.map(p => p.lng);
+  const lats = points.map(p => p.lat);
+  return {
+    west: Math.min(...lngs) - padding,
+    east: Math.max(...lngs) + padding,
+    north: Math.max(...lats) + padding,
+    south: Math.min(...lats) - padding
+  };
+}
 
-    // Yield every 100 ways to prevent blocking
-    if (waysProcessed % 100 === 0) {
-      await yieldToMainThread();
+// Streets are fetched for a corridor along the straight line through the
+// stops; when the way round leaves it, try again with a wider one
+async function withinCorridor(stops, routeWithin) {
+  let corridorBuffer = CORRIDOR_BUFFER_M;
+  for (let widenings = 0; ; widenings++) {
+    try {
+      return await routeWithin(getCorridorRegion(stops, corridorBuffer));
+    } catch (error) {
+      if (error.code !== ROUTE_ERROR_CODE.NO_PATH || widenings === MAX_CORRIDOR_WIDENINGS) throw error;
+      corridorBuffer *= 2;
+      debugWarn(`No route inside the corridor, widening it to ${corridorBuffer} m`);
     }
   }
+}
 
-  const shadeByEdgeId = new Map();
-  const shadowSampler = new ShadowSampler(shadeData);
-  if (shadeData) {
-    for (let edgeIdx = 0; edgeIdx < edgesMeta.length; edgeIdx++) {
-      const { eid, a, b } = edgesMeta[edgeIdx];
-      const [latA, lonA] = coords[a];
-      const [latB, lonB] = coords[b];
+// Sun strength at the time of each shade map, for searches that weigh shade by it
+const sunWeightsFor = (departure, shadeSlices, point) => [0, ...shadeSlices.map(slice => slice.offset)]
+  .map(offset => getSunWeight(new Date(departure.getTime() + offset * 1000), point.lat, point.lng));
 
-      const shadeValue = shadowSampler.sampleAlongLine(latA, lonA, latB, lonB);
-      shadeByEdgeId.set(eid, shadeValue);
+// Conditions for the auto route: a temperature typed in, or the weather provider's
+async function getComfortWeather(point, date, { temperature = null, weatherProvider = null }, signal) {
+  if (Number.isFinite(temperature)) return { temperature };
+  if (!weatherProvider) return null;
+  try {
+    return await weatherProvider.getWeather(point, date, { signal });
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    debugWarn(`Weather from ${weatherProvider.name} unavailable, auto route has no preference:`, error);
+    return null;
+  }
+}
 
-      // Yield every 100 edges to prevent blocking
-      if (edgeIdx % 100 === 0) {
-        await yieldToMainThread();
-      }
-    }
+// Profile for the auto route: the lead profile with the shade preference the
+// weather calls for
+const createAutoProfile = (leadProfile, comfort) => ({
+  ...leadProfile,
+  id: AUTO_ROUTE_ID,
+  name: 'Auto',
+  shadePreference: comfort.shadePreference
+});
+
+const toRoutePoint = (point) => ({
+  latitude: point.lat,
+  longitude: point.lng
+});
+
+// Routes from findWalkingRoutes carry the routingId of their request, which the
+// worker's graph is checked against when only the detour budget changes
+let nextRoutingId = 0;
+
+/**
+ * Re-solve the detour budget route on the graph of an earlier route request
+ * @param {Object} budget - Either {percent} or {minutes}
+ * @param {Object} options - routingId of the routes being updated, and signal
+ * @returns {Promise<Object>} Route; rejects when the worker's graph belongs to
+ *   another request
+ */
+export async function rerouteWithDetourBudget(budget, { routingId, signal } = {}) {
+  return runRoutingTask('rerouteWithDetourBudget', { budget, routingId }, { signal });
+}
 
-    // Update ngraph links with shade data
-    ngraphInstance.forEachLink(link => {
-      const shade = shadeByEdgeId.get(link.data.eid) ?? 0;
-      link.data.shade = shade;
-    });
+// Search timings for the last route request with and without graph contraction
+export async function benchmarkRouting() {
+  return runRoutingTask('benchmarkRoutes', {});
+}
 
-    if (isDebugMode()) {
-      // Generate debug image showing sampling points
-      const debugImageUrl = shadowSampler.debugConvertToPng();
-      setDebugImage(debugImageUrl);
+// Arrive-by requests settle on a departure once another pass would move it
+// by less than this
+const ARRIVE_BY_TOLERANCE_S = 60;
+const MAX_ARRIVE_BY_PASSES = 4;
+
+// Work back from the arrival: route with the shade at a guessed departure,
+// then again from the departure the route's duration implies, until they agree.
+// routeAt(departure) resolves to {routes, departure}.
+async function routeArrivingBy(arrival, estimatedDuration, leadProfileId, routeAt) {
+  let departure = new Date(arrival.getTime() - estimatedDuration * 1000);
+  for (let pass = 1; ; pass++) {
+    const result = await routeAt(departure);
+    const implied = new Date(arrival.getTime() - result.routes[leadProfileId].duration * 1000);
+    const drift = Math.abs(implied - departure) / 1000;
+    if (drift <= ARRIVE_BY_TOLERANCE_S || pass === MAX_ARRIVE_BY_PASSES) {
+      debugLog(`Arrive-by departure after ${pass} pass(es): ${implied.toLocaleTimeString()}, ${drift.toFixed(0)} s from the last guess`);
+      return result;
     }
-  } else {
-    // If no shade data, set all edges to 0 shade
-    ngraphInstance.forEachLink(link => {
-      link.data.shade = 0.0;
-      shadeByEdgeId.set(link.data.eid, 0.0);
-    });
+    departure = implied;
   }
-
-  // Return enhanced graph structure with both ngraph instance and legacy compatibility
-  const graph = {
-    ngraph: ngraphInstance,
-    coords: coords,
-    nodeOsmIds: nodeOsmIds,
-    shadeByEdgeId: shadeByEdgeId,
-    edgesMeta: edgesMeta,
-    // Legacy adjacency list for backward compatibility if needed
-    adj: Array.from({ length: nodes.size }, () => [])
-  };
-
-  // Fill legacy adjacency list for backward compatibility
-  ngraphInstance.forEachLink(link => {
-    if (!graph.adj[link.fromId]) graph.adj[link.fromId] = [];
-    graph.adj[link.fromId].push({
-      to: link.toId,
-      length: link.data.length,
-      eid: link.data.eid,
-      wayOsmId: link.data.wayOsmId,
-      highway: link.data.highway,
-      shade: link.data.shade ?? 0
-    });
-  });
-
-  const endTime = performance.now() - startTime;
-  debugLog(`Graph built: ${nodes.size} nodes, ${edgesCreated} edges from ${waysProcessed} ways`);
-  debugLog(`Graph generation time: ${endTime.toFixed(1)} ms`);
-
-  return graph;
 }
 
-// A* pathfinding algorithm with shade-aware cost function using ngraph.path
-function astar(graph, startIdx, goalIdx, opts = {}) {
+/**
+ * Find walking routes between two points for each routing profile
+ * @param {Object} start - Start point ({lng, lat})
+ * @param {Object} end - Destination ({lng, lat})
+ * @param {Date} date - Departure time, or the arrival time with arriveBy
+ * @param {Object} options - waypoints, optimizeOrder, timeExpanded, accessible,
+ *   profiles, detourBudget, arriveBy, uvWeighted, autoRoute, travelMode, onProgress,
+ *   waysProvider, elevationProvider, treeShade and signal. The profiles' walking
+ *   speeds are scaled to the travel mode. With arriveBy the lead (shady) route
+ *   leaves its duration before date and the others leave with it. With
+ *   uvWeighted shade-seeking routes weigh each sunny metre by the UV strength
+ *   of the sun when it is walked. autoRoute
+ *   ({temperature, weatherProvider}) adds a route under AUTO_ROUTE_ID whose
+ *   shade preference follows the apparent temperature; its comfort field says why.
+ * @returns {Promise<Object>} Routes keyed by profile id, each with the routingId
+ *   that rerouteWithDetourBudget takes and the departure it was found for
+ */
+export async function findWalkingRoutes(start, end, date, options = {}) {
   const {
-    walkSpeed = 1.4,   // m/s (~5.0 km/h)
-    shadePreference = 0.0, // 0 = no preference, 1 = strong shade preference, -1 = strong sun preference
-    pedestrianPathPreference = 0.2 // 0 = no preference, 1 = strong pedestrian path preference
-  } = opts;
-
-  // Use the pre-built ngraph instance from buildGraph
-  const ngraphInstance = graph.ngraph;
-
-  // Create custom heuristic function
-  const goalCoords = graph.coords[goalIdx];
-  if (!goalCoords) {
-    return { path: [], time_s: Infinity, edges: [], distance: 0 };
-  }
-  const [goalLat, goalLon] = goalCoords;
+    onProgress,
+    waypoints = [],
+    optimizeOrder = false,
+    timeExpanded = false,
+    accessible = false,
+    profiles: walkingProfiles = DEFAULT_PROFILES,
+    detourBudget = null,
+    waysProvider = getDefaultWaysProvider(),
+    elevationProvider = getDefaultElevationProvider(),
+    treeShade = TREE_SHADE_MODE.AUTO,
+    arriveBy = false,
+    uvWeighted = false,
+    autoRoute = null,
+    travelMode = TRAVEL_MODE.WALK,
+    signal
+  } = options;
   
-  const heuristic = (fromNodeId, toNodeId) => {
-    // fromNodeId is the actual node ID, not a node object
-    const coords = graph.coords[fromNodeId];
-    if (!coords) return 0; // Safety check
-    const [lat, lon] = coords;
-    const dist = distance([lon, lat], [goalLon, goalLat], { units: 'meters' });
-    return dist / walkSpeed; // optimistic time estimate
-  };
+  const routingId = ++nextRoutingId;
+  const stops = [start, ...waypoints, end];
+  const profiles = walkingProfiles.map(profile => adaptProfile(profile, travelMode));
+  // The shady profile's route decides when to leave
+  const leadProfile = profiles.find(profile => profile.id === ROUTE_TYPE.SHADY) ?? profiles[0];
+  let comfort = null;
+  let routeProfiles = profiles;
+  if (autoRoute) {
+    comfort = chooseShadePreference(await getComfortWeather(start, date, autoRoute, signal), date, start);
+    debugLog(`Auto route: ${comfort.reason} (shade preference ${comfort.shadePreference})`);
+    routeProfiles = [...profiles, createAutoProfile(leadProfile, comfort)];
+  }
+  // The slowest profile decides how far ahead the shade maps have to reach
+  const slowestWalkSpeed = Math.min(...routeProfiles.map(profile => profile.walkSpeed));
+
+  const routeWithin = async (region) => {
+    const waysData = await getWaysData(region, onProgress, waysProvider, signal, travelMode);
+    const elevationData = await getElevationData(region.bounds, elevationProvider, signal);
+
+    // The graph is built for the first departure tried; the further passes of
+    // an arrive-by request only sample their shade maps onto it
+    let graphBuilt = false;
+    const routeAt = async (departure) => {
+      const shadeData = await getShadeData(region, departure, onProgress, signal).catch(withoutShade);
+      const shadeSlices = timeExpanded && shadeData
+        ? await getShadeSlices(region, departure, estimateWalkDuration(stops, slowestWalkSpeed), signal)
+        : [];
+      const shade = {
+        shadeData,
+        shadeSlices,
+        leafOff: isLeafOff(treeShade, departure, start.lat),
+        routingId
+      };
+      const sunWeights = uvWeighted && shadeData ? sunWeightsFor(departure, shadeSlices, start) : null;
+      const shadeMaps = [shadeData, ...shadeSlices.map(slice => slice.shadeData)];
+
+      if (graphBuilt) {
+        const result = await runRoutingTask('reshadeRoutes', { ...shade, routeOptions: { sunWeights } },
+          { transfer: transferables(shadeMaps, null), onProgress, signal });
+        return { ...result, departure };
+      }
+
+      // Graph building, shade sampling and the searches run in the routing worker;
+      // the shade images and elevations are transferred rather than copied
+      const result = await runRoutingTask('findRoutes', {
+        ...shade,
+        waysData,
+        elevationData,
+        travelMode,
+        start: toRoutePoint(start),
+        goal: toRoutePoint(end),
+        routeOptions: {
+          waypoints: waypoints.map(toRoutePoint),
+          optimizeOrder,
+          accessible,
+          profiles: routeProfiles,
+          detourBudget,
+          sunWeights
+        }
+      }, { transfer: transferables(shadeMaps, elevationData), onProgress, signal });
+      graphBuilt = true;
+      return { ...result, departure };
+    };
 
-  // Custom distance function that calculates weights based on preferences
-  const customDistance = (fromNode, toNode, link) => {
-    const shadeValue = link.data.shade ?? 0; // 0 = no shade, 1 = full shade
-    
-    // Pedestrian-only path preference (lower cost multiplier = higher preference)
-    const isPedestrianOnly = ['footway', 'path', 'pedestrian', 'steps'].includes(link.data.highway);
-    const pathTypeMultiplier = isPedestrianOnly ? (1 - pedestrianPathPreference) : 1.0;
-
-    const edgeSunShadeScore = (shadeValue - 0.5) * 2;
-    const edgeShadePreference = shadePreference * edgeSunShadeScore;
-    const shadeMultiplier = 1.0 - edgeShadePreference;
-    
-    const baseTime = link.data.length / walkSpeed;
-    const edgeTime = baseTime * pathTypeMultiplier * shadeMultiplier;
-    
-    return edgeTime;
+    return arriveBy
+      ? routeArrivingBy(date, estimateWalkDuration(stops, leadProfile.walkSpeed), leadProfile.id, routeAt)
+      : routeAt(date);
   };
 
-  // Create pathfinder with custom distance and heuristic
-  const pathFinder = path.aStar(ngraphInstance, {
-    distance: customDistance,
-    heuristic: heuristic
+  const { routes, debugImage, departure } = await withinCorridor(stops, routeWithin);
+  if (comfort && routes[AUTO_ROUTE_ID]) routes[AUTO_ROUTE_ID].comfort = comfort;
+  // With arriveBy every route leaves when the lead profile's has to
+  Object.values(routes).forEach(route => {
+    route.routingId = routingId;
+    route.departure = departure;
   });
 
-  // Find path
-  const foundPath = pathFinder.find(startIdx, goalIdx).reverse();
-
-  if (!foundPath || foundPath.length === 0) {
-    return { path: [], time_s: Infinity, edges: [], distance: 0 };
+  if (debugImage && isDebugMode()) {
+    // Generate debug image showing sampling points
+    setDebugImage(pixelsToPngDataUrl(debugImage.pixels, debugImage.width, debugImage.height));
   }
+  
+  if (onProgress) onProgress(ROUTE_PROGRESS_STATUS.ROUTE_COMPLETED);
+  return routes;
+};
 
-  // Extract path and calculate metrics
-  const pathNodes = foundPath.map(pathNode => pathNode.id);
-  const edges = [];
-  const edgeShadeValues = [];
-  let totalDistance = 0;
-
-  for (let i = 0; i < foundPath.length - 1; i++) {
-    const fromNode = foundPath[i].id;
-    const toNode = foundPath[i + 1].id;
-    
-    // Find the link between these nodes
-    const link = ngraphInstance.getLink(fromNode, toNode);
-    if (link) {
-      edges.push(link.data.eid);
-      edgeShadeValues.push(link.data.shade ?? 0);
-      totalDistance += distance(
-        [graph.coords[fromNode][1], graph.coords[fromNode][0]],
-        [graph.coords[toNode][1], graph.coords[toNode][0]],
-        { units: 'meters' });
+// Departures within this many percentage points of the shadiest count as best
+const BEST_DEPARTURE_MARGIN = 5;
+
+/**
+ * Compare departure times across a window for a fixed origin and destination.
+ * The ways data is fetched and the graph built once, with one shade map per
+ * departure as its shade slices; the route is then found again for each
+ * departure, with the shade it meets along the way.
+ * @param {Object} start - Start point ({lng, lat})
+ * @param {Object} end - Destination ({lng, lat})
+ * @param {Date} date - First departure
+ * @param {Object} options - windowMinutes, stepMinutes, profile, waypoints, onProgress,
+ *   accessible, travelMode, waysProvider, elevationProvider, treeShade and signal
+ * @returns {Promise<Object>} {stepMinutes, slots: [{date, distance, duration,
+ *   shadedPercentage, best}]}, one slot per departure that could be scored
+ */
+export async function findBestDepartureTimes(start, end, date, options = {}) {
+  const {
+    onProgress,
+    windowMinutes = 240,
+    stepMinutes = 15,
+    profile: walkingProfile = DEFAULT_PROFILES[0],
+    waypoints = [],
+    accessible = false,
+    travelMode = TRAVEL_MODE.WALK,
+    waysProvider = getDefaultWaysProvider(),
+    elevationProvider = getDefaultElevationProvider(),
+    treeShade = TREE_SHADE_MODE.AUTO,
+    signal
+  } = options;
+  const profile = adaptProfile(walkingProfile, travelMode);
+
+  const stops = [start, ...waypoints, end];
+  const stepSeconds = stepMinutes * 60;
+  const departureCount = Math.floor(windowMinutes / stepMinutes) + 1;
+
+  const scoreWithin = async (region) => {
+    const waysData = await getWaysData(region, onProgress, waysProvider, signal, travelMode);
+    const elevationData = await getElevationData(region.bounds, elevationProvider, signal);
+    // Without the first shade map there is nothing to compare against
+    const shadeData = await getShadeData(region, date, onProgress, signal);
+    // A departure whose shade map fails is left out of the strip
+    const shadeSlices = [];
+    for (let k = 1; k < departureCount; k++) {
+      const offset = k * stepSeconds;
+      const sliceData = await getShadeData(region, new Date(date.getTime() + offset * 1000), null, signal)
+        .catch(withoutShade);
+      if (sliceData) shadeSlices.push({ offset, shadeData: sliceData });
     }
-  }
 
-  return {
-    path: pathNodes,
-    edges,
-    shade: edgeShadeValues,
-    distance: totalDistance,
-    time_s: totalDistance / walkSpeed,
+    const transfer = transferables([shadeData, ...shadeSlices.map(slice => slice.shadeData)], elevationData);
+    return runRoutingTask('scoreDepartures', {
+      waysData,
+      shadeData,
+      shadeSlices,
+      elevationData,
+      leafOff: isLeafOff(treeShade, date, start.lat),
+      travelMode,
+      start: toRoutePoint(start),
+      goal: toRoutePoint(end),
+      departureOptions: {
+        departureOffsets: [0, ...shadeSlices.map(slice => slice.offset)],
+        profile,
+        waypoints: waypoints.map(toRoutePoint),
+        accessible
+      }
+    }, { transfer, onProgress, signal });
   };
-}
 
-// Find nearest walkable edge and return the closest endpoint
-function nearestNode(graph, lat, lon) {
-  let bestNodeIdx = -1;
-  let bestDistance = Infinity;
-
-  // Iterate through all edges to find the nearest walkable edge
-  graph.ngraph.forEachLink(link => {
-    const fromNodeIdx = link.fromId;
-    const toNodeIdx = link.toId;
-    
-    if (!graph.coords[fromNodeIdx] || !graph.coords[toNodeIdx]) {
-      return; // Skip if coordinates are missing
-    }
-    
-    // Check distance to both endpoints of this walkable edge
-    const [fromLat, fromLon] = graph.coords[fromNodeIdx];
-    const [toLat, toLon] = graph.coords[toNodeIdx];
-    
-    const distToFrom = distance([lon, lat], [fromLon, fromLat], { units: 'meters' });
-    const distToTo = distance([lon, lat], [toLon, toLat], { units: 'meters' });
-    
-    // Check if either endpoint is closer than our current best
-    if (distToFrom < bestDistance) {
-      bestDistance = distToFrom;
-      bestNodeIdx = fromNodeIdx;
-    }
-    
-    if (distToTo < bestDistance) {
-      bestDistance = distToTo;
-      bestNodeIdx = toNodeIdx;
-    }
+  const scores = await withinCorridor(stops, scoreWithin);
+  const slots = scores.map(score => ({
+    date: new Date(date.getTime() + score.departureOffset * 1000),
+    distance: score.distance,
+    duration: score.duration,
+    shadedPercentage: score.distance > 0 ? Math.round(score.shadedDistance / score.distance * 100) : 0
+  }));
+  const shadiest = Math.max(...slots.map(slot => slot.shadedPercentage));
+  slots.forEach(slot => {
+    slot.best = slot.shadedPercentage >= shadiest - BEST_DEPARTURE_MARGIN;
   });
+  debugLog(`Scored ${slots.length} departures, shadiest at ${shadiest}%`);
 
-  return bestNodeIdx;
+  if (onProgress) onProgress(ROUTE_PROGRESS_STATUS.ROUTE_COMPLETED);
+  return { stepMinutes, slots };
 }
 
-// Main route finding function
-export function findRoutes(graph, start, goal) {
-  const startTime = performance.now();
-  debugLog(`Finding route from (${start.latitude}, ${start.longitude}) to (${goal.latitude}, ${goal.longitude})`);
-
-  const startIdx = nearestNode(graph, start.latitude, start.longitude);
-  const goalIdx = nearestNode(graph, goal.latitude, goal.longitude);
-
-  if (startIdx === -1 || goalIdx === -1) {
-    throw new Error("Could not find nearby nodes for start or goal coordinates");
-  }
-
-  const scenarios = {
-    [ROUTE_TYPE.SHADY]: { shadePreference: 0.5 },
-    [ROUTE_TYPE.SUNNY]: { shadePreference: -0.5 },
-    [ROUTE_TYPE.FAST]: { shadePreference: 0.0 },
+/**
+ * Find the streets reachable from an origin within a time budget
+ * @param {Object} origin - Origin point ({lng, lat})
+ * @param {Date} date - Time of departure, for the shade map
+ * @param {Object} options - onProgress, timeBudgetMinutes, profile, accessible,
+ *   travelMode (TRAVEL_MODE), waysProvider, elevationProvider, treeShade
+ *   (TREE_SHADE_MODE) and signal (AbortSignal)
+ * @returns {Promise<Object>} Isochrone from computeIsochrone
+ */
+export async function findIsochrone(origin, date, options = {}) {
+  const {
+    onProgress,
+    timeBudgetMinutes = 15,
+    profile: walkingProfile = DEFAULT_PROFILES[0],
+    accessible = false,
+    travelMode = TRAVEL_MODE.WALK,
+    waysProvider = getDefaultWaysProvider(),
+    elevationProvider = getDefaultElevationProvider(),
+    treeShade = TREE_SHADE_MODE.AUTO,
+    signal
+  } = options;
+  const profile = adaptProfile(walkingProfile, travelMode);
+
+  // Nothing beyond the straight-line travel distance can be reached
+  const radius = timeBudgetMinutes * 60 * profile.walkSpeed;
+  const latPadding = radius / 111320;
+  const lngPadding = radius / (111320 * Math.cos(origin.lat * Math.PI / 180));
+  const bounds = {
+    west: origin.lng - lngPadding,
+    east: origin.lng + lngPadding,
+    north: origin.lat + latPadding,
+    south: origin.lat - latPadding
   };
-  const result = {};
 
-  for (const [name, scenarioOpts] of Object.entries(scenarios)) {
+  const region = getRectangleRegion(bounds);
+  const waysData = await getWaysData(region, onProgress, waysProvider, signal, travelMode);
+  const elevationData = await getElevationData(bounds, elevationProvider, signal);
+  const shadeData = await getShadeData(region, date, onProgress, signal).catch(withoutShade);
+  const isochrone = await runRoutingTask('computeIsochrone', {
+    waysData,
+    shadeData,
+    elevationData,
+    leafOff: isLeafOff(treeShade, date, origin.lat),
+    travelMode,
+    origin: toRoutePoint(origin),
+    isochroneOptions: {
+      timeBudget: timeBudgetMinutes * 60,
+      profile,
+      accessible
+    }
+  }, { transfer: transferables([shadeData], elevationData), onProgress, signal });
 
-    const scenarioResult = astar(graph, startIdx, goalIdx, scenarioOpts);
+  if (onProgress) onProgress(ROUTE_PROGRESS_STATUS.ROUTE_COMPLETED);
+  return isochrone;
+}
 
-    if (scenarioResult.path.length === 0) {
-      debugWarn("No route found between the specified points");
-      throw new Error("No route found between the specified points");
+/**
+ * Generate round-trip walks that start and end at the same point
+ * @param {Object} start - Start point ({lng, lat})
+ * @param {Date} date - Time of departure
+ * @param {Object} options - target ({minutes} or {distance} in metres), onProgress,
+ *   timeExpanded, profile, accessible, travelMode, waysProvider, elevationProvider,
+ *   treeShade and signal
+ * @returns {Promise<Object>} Loops keyed by route id, best first
+ */
+export async function findLoopRoutes(start, date, options = {}) {
+  const {
+    onProgress,
+    target = { minutes: 30 },
+    timeExpanded = false,
+    profile: walkingProfile = DEFAULT_PROFILES[0],
+    accessible = false,
+    travelMode = TRAVEL_MODE.WALK,
+    waysProvider = getDefaultWaysProvider(),
+    elevationProvider = getDefaultElevationProvider(),
+    treeShade = TREE_SHADE_MODE.AUTO,
+    signal
+  } = options;
+  const profile = adaptProfile(walkingProfile, travelMode);
+  const targetDistance = target.distance ?? target.minutes * 60 * profile.walkSpeed;
+
+  // The loop's via points sit about a third of its length away from the start
+  const radius = targetDistance / 3;
+  const bounds = getBboxForPoints([
+    { lng: start.lng, lat: start.lat - radius / 111320 },
+    { lng: start.lng, lat: start.lat + radius / 111320 },
+    { lng: start.lng - radius / (111320 * Math.cos(start.lat * Math.PI / 180)), lat: start.lat },
+    { lng: start.lng + radius / (111320 * Math.cos(start.lat * Math.PI / 180)), lat: start.lat }
+  ]);
+
+  const region = getRectangleRegion(bounds);
+  const waysData = await getWaysData(region, onProgress, waysProvider, signal, travelMode);
+  const elevationData = await getElevationData(bounds, elevationProvider, signal);
+  const shadeData = await getShadeData(region, date, onProgress, signal).catch(withoutShade);
+  const shadeSlices = timeExpanded && shadeData
+    ? await getShadeSlices(region, date, targetDistance / profile.walkSpeed, signal)
+    : [];
+
+  const transfer = transferables([shadeData, ...shadeSlices.map(slice => slice.shadeData)], elevationData);
+  const loops = await runRoutingTask('findLoops', {
+    waysData,
+    shadeData,
+    shadeSlices,
+    elevationData,
+    leafOff: isLeafOff(treeShade, date, start.lat),
+    travelMode,
+    start: toRoutePoint(start),
+    loopOptions: {
+      targetDistance,
+      profile,
+      accessible
     }
+  }, { transfer, onProgress, signal });
 
-    // Convert path indices to coordinates (GeoJSON format: [lon, lat])
-    const coordinates = scenarioResult.path.map(idx => {
-      const [lat, lon] = graph.coords[idx];
-      return [lon, lat]; // GeoJSON expects [longitude, latitude]
-    });
-
-    result[name] = {
-      coordinates,
-      distance: scenarioResult.distance,
-      duration: scenarioResult.time_s,
-      path: scenarioResult.path,
-      edges: scenarioResult.edges,
-      shade: scenarioResult.shade,
-    };
-  }
-
-  const endTime = performance.now() - startTime;
-  debugLog(`Route found`);
-  debugLog(`Route computation time: ${endTime.toFixed(1)} ms`);
-  return result
-}
\ No newline at end of file
+  if (onProgress) onProgress(ROUTE_PROGRESS_STATUS.ROUTE_COMPLETED);
+  return loops;
+}
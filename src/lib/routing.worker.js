@@ -0,0 +1,32 @@
+/* eslint-disable no-restricted-globals */
+import { runRoutingTask } from './routingTasks';
+import { setDebugMode } from './debugUtils';
+
+// Running requests, so an abort message can reach them at their next check
+const controllers = new Map(); // requestId -> AbortController
+
+self.onmessage = async ({ data }) => {
+  const { type, requestId, payload, debug } = data;
+  if (type === 'abort') {
+    controllers.get(requestId)?.abort();
+    return;
+  }
+  setDebugMode(debug);
+  const controller = new AbortController();
+  controllers.set(requestId, controller);
+
+  const onProgress = (status) => {
+    self.postMessage({ type: 'progress', requestId, status });
+  };
+
+  try {
+    const result = await runRoutingTask(type, payload, onProgress, controller.signal);
+    const transfer = result?.debugImage ? [result.debugImage.pixels.buffer] : [];
+    self.postMessage({ type: 'result', requestId, result }, transfer);
+  } catch (error) {
+    // Name, message and RouteError code travel separately; the error object itself cannot
+    self.postMessage({ type: 'error', requestId, name: error.name, message: error.message, code: error.code });
+  } finally {
+    controllers.delete(requestId);
+  }
+};
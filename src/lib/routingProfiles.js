@@ -0,0 +1,71 @@
+const STORAGE_KEY = 'shadyDirections.routingProfiles';
+
+// Built-in profiles; their ids double as the legacy route type values
+export const DEFAULT_PROFILES = [
+  { id: 'shadyPath', key: 'SHADY', name: 'Shady', shadePreference: 0.5, pedestrianPathPreference: 0.2, walkSpeed: 1.4, climbWeight: 1, builtIn: true },
+  { id: 'sunnyPath', key: 'SUNNY', name: 'Sunny', shadePreference: -0.5, pedestrianPathPreference: 0.2, walkSpeed: 1.4, climbWeight: 1, builtIn: true },
+  { id: 'fastPath', key: 'FAST', name: 'Fast', shadePreference: 0.0, pedestrianPathPreference: 0.2, walkSpeed: 1.4, climbWeight: 1, builtIn: true },
+];
+
+// Allowed ranges for the editable profile fields
+export const PROFILE_LIMITS = {
+  shadePreference: { min: -0.9, max: 0.9, step: 0.1 },
+  pedestrianPathPreference: { min: 0, max: 0.9, step: 0.1 },
+  walkSpeed: { min: 0.5, max: 3.0, step: 0.1 }, // m/s
+  climbWeight: { min: 0, max: 5, step: 0.5 } // 0 = only the slower uphill pace counts
+};
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+/**
+ * Normalize a profile so it can be fed straight into the router
+ * @param {Object} profile - Profile fields, possibly partial or out of range
+ * @returns {Object} Profile with every field present and within PROFILE_LIMITS
+ */
+export function normalizeProfile(profile) {
+  const numberOr = (value, fallback) => (Number.isFinite(Number(value)) ? Number(value) : fallback);
+  return {
+    ...profile,
+    name: (profile.name || '').trim() || 'Untitled',
+    shadePreference: clamp(numberOr(profile.shadePreference, 0), PROFILE_LIMITS.shadePreference),
+    pedestrianPathPreference: clamp(numberOr(profile.pedestrianPathPreference, 0.2), PROFILE_LIMITS.pedestrianPathPreference),
+    walkSpeed: clamp(numberOr(profile.walkSpeed, 1.4), PROFILE_LIMITS.walkSpeed),
+    climbWeight: clamp(numberOr(profile.climbWeight, 1), PROFILE_LIMITS.climbWeight)
+  };
+}
+
+export function createProfile(fields = {}) {
+  return normalizeProfile({
+    shadePreference: 0,
+    pedestrianPathPreference: 0.2,
+    walkSpeed: 1.4,
+    climbWeight: 1,
+    ...fields,
+    id: `profile-${Date.now().toString(36)}`,
+    builtIn: false
+  });
+}
+
+export function getDefaultProfile(id) {
+  return DEFAULT_PROFILES.find(profile => profile.id === id);
+}
+
+export function loadProfiles() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(stored) && stored.length > 0) {
+      return stored.map(normalizeProfile);
+    }
+  } catch (error) {
+    // Fall through to the defaults on missing or corrupt storage
+  }
+  return DEFAULT_PROFILES;
+}
+
+export function saveProfiles(profiles) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+  } catch (error) {
+    // Storage may be full or disabled; profiles still work for this session
+  }
+}
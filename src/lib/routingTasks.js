@@ -0,0 +1,174 @@
+import { buildGraph, reshadeGraph, findRoutes, findDetourBudgetRoute, computeIsochrone, findLoops, benchmarkRoutes, scoreDepartures } from './routeGraph';
+import { ROUTE_PROGRESS_STATUS } from './routeConstants';
+import { isDebugMode, debugLog } from './debugUtils';
+import { extractCanopy, addCanopyShadows } from './canopyShadows';
+
+// Graph and stops of the last route request, kept so the detour budget can be
+// re-solved (and the search benchmarked) without fetching ways data or
+// rendering shade again, and re-shaded for another departure without building
+// it again. Tagged with the request's routingId, so a re-solve meant for
+// another request is turned down.
+let lastRouting = null;
+
+// Tree shadows go into the shade maps before the graph samples them
+function addTreeShade({ waysData, shadeData, shadeSlices = [], leafOff = false }) {
+  const canopy = extractCanopy(waysData, { leafOff });
+  for (const data of [shadeData, ...shadeSlices.map(slice => slice.shadeData)]) {
+    if (data) addCanopyShadows(data, canopy);
+  }
+  debugLog(`Tree shade: ${canopy.trees.length} trees, ${canopy.rows.length} tree rows, ${canopy.woods.length} woods${leafOff ? ' (leaf-off)' : ''}`);
+}
+
+async function findRoutesTask(payload, onProgress, signal) {
+  const { waysData, shadeData, shadeSlices, elevationData, start, goal, routeOptions, routingId } = payload;
+  addTreeShade(payload);
+  const graph = await buildGraph(waysData, shadeData, onProgress, {
+    shadeSlices,
+    elevationData,
+    // Inside a worker there is no UI to keep responsive
+    yieldToEventLoop: typeof window !== 'undefined',
+    travelMode: payload.travelMode,
+    signal
+  });
+
+  if (onProgress) onProgress(ROUTE_PROGRESS_STATUS.FINDING_ROUTE);
+  return searchRoutes({ routingId, graph, waysData, start, goal }, routeOptions, signal);
+}
+
+// Routes on a graph whose shade is in place, which then becomes lastRouting
+async function searchRoutes({ routingId, graph, waysData, start, goal }, routeOptions, signal) {
+  const options = {
+    ...routeOptions,
+    timeDependent: graph.shadeSliceOffsets.length > 1
+  };
+  const routes = await findRoutes(graph, start, goal, { ...options, signal });
+  lastRouting = {
+    routingId,
+    graph,
+    waysData,
+    start,
+    goal,
+    stopOrder: Object.values(routes)[0]?.stopOrder,
+    routeOptions: options
+  };
+
+  const result = { routes };
+  if (isDebugMode() && graph.shadowSampler) {
+    result.debugImage = graph.shadowSampler.getSampledPixelsImage();
+  }
+  return result;
+}
+
+// The last route request again for another departure: only the shade maps are
+// new, and are sampled onto the graph that is already built
+async function reshadeRoutesTask(payload, onProgress, signal) {
+  const { shadeData, shadeSlices, routingId, routeOptions } = payload;
+  if (lastRouting?.routingId !== routingId) {
+    throw new Error("The route has been computed again since");
+  }
+  const { graph, waysData, start, goal } = lastRouting;
+  addTreeShade({ ...payload, waysData });
+  await reshadeGraph(graph, shadeData, {
+    shadeSlices,
+    yieldToEventLoop: typeof window !== 'undefined',
+    signal
+  });
+
+  if (onProgress) onProgress(ROUTE_PROGRESS_STATUS.FINDING_ROUTE);
+  return searchRoutes({ routingId, graph, waysData, start, goal }, { ...lastRouting.routeOptions, ...routeOptions }, signal);
+}
+
+async function rerouteWithDetourBudgetTask({ budget, routingId }) {
+  if (!lastRouting) {
+    throw new Error("No route has been computed yet");
+  }
+  if (lastRouting.routingId !== routingId) {
+    throw new Error("The route has been computed again since");
+  }
+  const { graph, start, goal, routeOptions, stopOrder } = lastRouting;
+  // The same profiles and sun weights as the routes it is an alternative to
+  return findDetourBudgetRoute(graph, start, goal, budget, { ...routeOptions, stopOrder });
+}
+
+async function benchmarkRoutesTask() {
+  if (!lastRouting) {
+    throw new Error("No route has been computed yet");
+  }
+  const { graph, start, goal, routeOptions } = lastRouting;
+  return benchmarkRoutes(graph, start, goal, routeOptions);
+}
+
+async function computeIsochroneTask(payload, onProgress, signal) {
+  const { waysData, shadeData, elevationData, origin, isochroneOptions } = payload;
+  addTreeShade(payload);
+  const graph = await buildGraph(waysData, shadeData, onProgress, {
+    elevationData,
+    yieldToEventLoop: typeof window !== 'undefined',
+    travelMode: payload.travelMode,
+    signal
+  });
+
+  if (onProgress) onProgress(ROUTE_PROGRESS_STATUS.EXPLORING_AREA);
+  return computeIsochrone(graph, origin, isochroneOptions);
+}
+
+async function findLoopsTask(payload, onProgress, signal) {
+  const { waysData, shadeData, shadeSlices, elevationData, start, loopOptions } = payload;
+  addTreeShade(payload);
+  const graph = await buildGraph(waysData, shadeData, onProgress, {
+    shadeSlices,
+    elevationData,
+    yieldToEventLoop: typeof window !== 'undefined',
+    travelMode: payload.travelMode,
+    signal
+  });
+
+  if (onProgress) onProgress(ROUTE_PROGRESS_STATUS.FINDING_ROUTE);
+  return findLoops(graph, start, {
+    ...loopOptions,
+    timeDependent: graph.shadeSliceOffsets.length > 1
+  });
+}
+
+// One graph whose shade slices are the shade maps at each departure time
+async function scoreDeparturesTask(payload, onProgress, signal) {
+  const { waysData, shadeData, shadeSlices, elevationData, start, goal, departureOptions } = payload;
+  addTreeShade(payload);
+  const graph = await buildGraph(waysData, shadeData, onProgress, {
+    shadeSlices,
+    elevationData,
+    yieldToEventLoop: typeof window !== 'undefined',
+    travelMode: payload.travelMode,
+    signal
+  });
+
+  if (onProgress) onProgress(ROUTE_PROGRESS_STATUS.SCORING_DEPARTURES);
+  return scoreDepartures(graph, start, goal, { ...departureOptions, signal });
+}
+
+const TASKS = {
+  findRoutes: findRoutesTask,
+  reshadeRoutes: reshadeRoutesTask,
+  rerouteWithDetourBudget: rerouteWithDetourBudgetTask,
+  benchmarkRoutes: benchmarkRoutesTask,
+  computeIsochrone: computeIsochroneTask,
+  findLoops: findLoopsTask,
+  scoreDepartures: scoreDeparturesTask
+};
+
+/**
+ * Run a routing task in the current thread. Used by the routing worker, and
+ * directly where workers are unavailable.
+ * @param {string} type - Task name
+ * @param {Object} payload - Structured-clonable task input
+ * @param {Function} onProgress - Receives ROUTE_PROGRESS_STATUS values
+ * @param {AbortSignal} signal - Optional; checked while the graph is built and between searches
+ * @returns {Promise<Object>} Task result
+ */
+export async function runRoutingTask(type, payload, onProgress, signal) {
+  const task = TASKS[type];
+  if (!task) {
+    throw new Error(`Unknown routing task: ${type}`);
+  }
+  return task(payload, onProgress, signal);
+}
@@ -0,0 +1,76 @@
+import { runRoutingTask as runRoutingTaskInThread } from './routingTasks';
+import { debugError, isDebugMode } from './debugUtils';
+import { throwIfAborted } from './abort';
+import { RouteError, ROUTE_ERROR_CODE } from './routeErrors';
+
+let worker = null;
+let nextRequestId = 0;
+const pendingRequests = new Map(); // requestId -> {resolve, reject, onProgress}
+
+// Errors from the worker come back as RouteErrors only when they carry one of
+// its codes; DOMExceptions and the like have codes of their own
+const ROUTE_ERROR_CODES = new Set(Object.values(ROUTE_ERROR_CODE));
+function rebuildError({ name, message, code }) {
+  if (ROUTE_ERROR_CODES.has(code)) return new RouteError(code, message);
+  const error = new Error(message);
+  if (name) error.name = name;
+  return error;
+}
+
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL('./routing.worker.js', import.meta.url));
+    worker.onmessage = ({ data }) => {
+      const request = pendingRequests.get(data.requestId);
+      if (!request) return;
+      if (data.type === 'progress') {
+        if (request.onProgress) request.onProgress(data.status);
+      } else if (data.type === 'result') {
+        pendingRequests.delete(data.requestId);
+        request.resolve(data.result);
+      } else if (data.type === 'error') {
+        pendingRequests.delete(data.requestId);
+        request.reject(rebuildError(data));
+      }
+    };
+    worker.onerror = (event) => {
+      // A crashed worker loses its graph; fail everything in flight and start fresh next time
+      debugError('Routing worker error:', event);
+      for (const request of pendingRequests.values()) {
+        request.reject(new Error('Routing worker crashed'));
+      }
+      pendingRequests.clear();
+      worker.terminate();
+      worker = null;
+    };
+  }
+  return worker;
+}
+
+/**
+ * Run a routing task in the routing worker, falling back to the main thread
+ * where workers are unavailable
+ * @param {string} type - Task name, see routingTasks.js
+ * @param {Object} payload - Structured-clonable task input
+ * @param {Object} options - transfer: buffers to move to the worker; onProgress: progress callback;
+ *   signal: AbortSignal that rejects the task at once and stops the worker at its next check
+ * @returns {Promise<Object>} Task result
+ */
+export function runRoutingTask(type, payload, options = {}) {
+  const { transfer = [], onProgress, signal } = options;
+  if (typeof Worker === 'undefined') {
+    return runRoutingTaskInThread(type, payload, onProgress, signal);
+  }
+  return new Promise((resolve, reject) => {
+    throwIfAborted(signal);
+    const requestId = ++nextRequestId;
+    pendingRequests.set(requestId, { resolve, reject, onProgress });
+    signal?.addEventListener('abort', () => {
+      // Whatever the worker still sends for this request is dropped
+      if (!pendingRequests.delete(requestId)) return;
+      worker?.postMessage({ type: 'abort', requestId });
+      reject(signal.reason);
+    }, { once: true });
+    getWorker().postMessage({ type, requestId, payload, debug: isDebugMode() }, transfer);
+  });
+}
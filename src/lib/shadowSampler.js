@@ -1,4 +1,36 @@
 import { distance } from '@turf/distance';
+import { pixelsToPngDataUrl } from './debugUtils';
+
+// Fraction of evenly spaced samples between two points that are in the shade
+function sampleAlongLine(sampler, latA, lonA, latB, lonB, sampleIntervalMeters) {
+  // Calculate distance using Turf.js
+  const from = [lonA, latA];
+  const to = [lonB, latB];
+  const dist = distance(from, to, { units: 'meters' });
+
+  // Calculate number of samples for even spacing
+  const samples = Math.max(1, Math.ceil(dist / sampleIntervalMeters));
+
+  let shadeSum = 0;
+  let validSamples = 0;
+
+  for (let i = 0; i <= samples; i++) {
+    const t = i / samples;
+    const lat = latA + t * (latB - latA);
+    const lon = lonA + t * (lonB - lonA);
+    const isShaded = sampler.sampleAt(lat, lon);
+    if (isShaded !== null) {
+      shadeSum += isShaded ? 1 : 0;
+      validSamples++;
+    }
+  }
+
+  if (validSamples > 0) {
+    return shadeSum / validSamples; // 0 = no shade, 1 = full shade
+  } else {
+    return 0.0; // No valid samples, assume no shade
+  }
+}
 
 export class ShadowSampler {
   constructor(shadeData) {
@@ -37,60 +69,88 @@ export class ShadowSampler {
   }
 
   sampleAlongLine(latA, lonA, latB, lonB, sampleIntervalMeters = 5) {
-    // Calculate distance using Turf.js
-    const from = [lonA, latA];
-    const to = [lonB, latB];
-    const dist = distance(from, to, { units: 'meters' });
-    
-    // Calculate number of samples for even spacing (every 10 meters)
-    const samples = Math.max(1, Math.ceil(dist / sampleIntervalMeters));
-    
-    let shadeSum = 0;
-    let validSamples = 0;
-
-    for (let i = 0; i <= samples; i++) {
-      const t = i / samples;
-      const lat = latA + t * (latB - latA);
-      const lon = lonA + t * (lonB - lonA);
-      const isShaded = this.sampleAt(lat, lon);
-      if (isShaded !== null) {
-        shadeSum += isShaded ? 1 : 0;
-        validSamples++;
-      }
-    }
+    return sampleAlongLine(this, latA, lonA, latB, lonB, sampleIntervalMeters);
+  }
 
-    if (validSamples > 0) {
-      const shadeFraction = shadeSum / validSamples; // 0 = no shade, 1 = full shade
-      return shadeFraction;
-    } else {
-      return 0.0; // No valid samples, assume no shade
+  // Copy of the shade image with every sampled pixel marked in red. Works
+  // without a DOM, so the routing worker can hand it back to the page.
+  getSampledPixelsImage() {
+    const pixels = new Uint8ClampedArray(this.pixels);
+    for (const pixelIndex of this.history) {
+      pixels[pixelIndex] = 255;     // Red
+      pixels[pixelIndex + 1] = 0;   // Green
+      pixels[pixelIndex + 2] = 0;   // Blue
+      pixels[pixelIndex + 3] = 255; // Alpha
     }
+    return { pixels, width: this.width, height: this.height };
   }
 
   debugConvertToPng() {
-    // Create a canvas to draw the pixel data
-    const canvas = document.createElement('canvas');
-    canvas.width = this.width;
-    canvas.height = this.height;
-    const ctx = canvas.getContext('2d');
+    const { pixels, width, height } = this.getSampledPixelsImage();
+    return pixelsToPngDataUrl(pixels, width, height);
+  }
+}
 
-    for (const pixelIndex of this.history) {
-      this.pixels[pixelIndex] = 255;     // Red
-      this.pixels[pixelIndex + 1] = 0;   // Green
-      this.pixels[pixelIndex + 2] = 0;   // Blue
-      this.pixels[pixelIndex + 3] = 255; // Alpha
-    }
+const containsPoint = (bounds, lat, lon) => (
+  lon >= bounds.west && lon < bounds.east && lat > bounds.south && lat <= bounds.north
+);
+
+// Shade maps rendered for a corridor are a mosaic of rectangles,
+// {bounds, date, tiles: [shade map]}; each point is sampled from the tile it is in
+export class MosaicShadowSampler {
+  constructor(shadeData) {
+    this.bounds = shadeData.bounds;
+    this.samplers = shadeData.tiles.map(tile => new ShadowSampler(tile));
+  }
+
+  sampleAt(lat, lon) {
+    const sampler = this.samplers.find(tileSampler => containsPoint(tileSampler.bounds, lat, lon));
+    return sampler ? sampler.sampleAt(lat, lon) : false;
+  }
 
-    // Ensure pixels is a Uint8ClampedArray for ImageData constructor
-    const pixelArray = this.pixels instanceof Uint8ClampedArray 
-      ? this.pixels 
-      : new Uint8ClampedArray(this.pixels);
+  sampleAlongLine(latA, lonA, latB, lonB, sampleIntervalMeters = 5) {
+    return sampleAlongLine(this, latA, lonA, latB, lonB, sampleIntervalMeters);
+  }
 
-    // Create ImageData from pixel array
-    const imageData = new ImageData(pixelArray, this.width, this.height);
-    ctx.putImageData(imageData, 0, 0);
+  // Tiles stitched over the overall bounds at the first tile's resolution;
+  // pixels outside the corridor stay transparent
+  getSampledPixelsImage() {
+    const tileImages = this.samplers.map(sampler => sampler.getSampledPixelsImage());
+    const { bounds } = this;
+    const first = this.samplers[0];
+    const degreesPerPixelX = (first.bounds.east - first.bounds.west) / first.width;
+    const degreesPerPixelY = (first.bounds.north - first.bounds.south) / first.height;
+    const width = Math.round((bounds.east - bounds.west) / degreesPerPixelX);
+    const height = Math.round((bounds.north - bounds.south) / degreesPerPixelY);
+    const pixels = new Uint8ClampedArray(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+      const lat = bounds.north - (y + 0.5) * degreesPerPixelY;
+      for (let x = 0; x < width; x++) {
+        const lon = bounds.west + (x + 0.5) * degreesPerPixelX;
+        const tileIdx = this.samplers.findIndex(sampler => containsPoint(sampler.bounds, lat, lon));
+        if (tileIdx === -1) continue;
+        const tile = this.samplers[tileIdx];
+        const tileX = Math.min(tile.width - 1, Math.floor((lon - tile.bounds.west) / (tile.bounds.east - tile.bounds.west) * tile.width));
+        const tileY = Math.min(tile.height - 1, Math.floor((tile.bounds.north - lat) / (tile.bounds.north - tile.bounds.south) * tile.height));
+        const source = (tileY * tile.width + tileX) * 4;
+        pixels.set(tileImages[tileIdx].pixels.subarray(source, source + 4), (y * width + x) * 4);
+      }
+    }
+    return { pixels, width, height };
+  }
 
-    // Convert canvas to PNG data URL
-    return canvas.toDataURL('image/png');
+  debugConvertToPng() {
+    const { pixels, width, height } = this.getSampledPixelsImage();
+    return pixelsToPngDataUrl(pixels, width, height);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Sampler for a single shade map or a mosaic of them
+ * @param {Object} shadeData - {bounds, date, image} or {bounds, date, tiles}
+ * @returns {ShadowSampler|MosaicShadowSampler}
+ */
+export const createShadowSampler = (shadeData) => (
+  shadeData.tiles ? new MosaicShadowSampler(shadeData) : new ShadowSampler(shadeData)
+);
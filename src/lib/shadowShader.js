@@ -4,6 +4,7 @@
 import SunCalc from 'suncalc';
 import mapboxgl from 'mapbox-gl';
 import { distance } from '@turf/distance';
+import { throwIfAborted } from './abort';
 
 export class BuildingShadows {
   constructor() {
@@ -210,10 +211,13 @@ export const SHADE_TYPE = {
   IMAGE: 'IMAGE'
 };
 
-// Function to calculate shade map for arbitrary bounding box
-export function generateShadeMap(bounds, date = new Date(), output) {
+// Function to calculate shade map for arbitrary bounding box. An abort signal
+// in the options tears the hidden map down and rejects straight away.
+export function generateShadeMap(bounds, date = new Date(), output, options = {}) {
+  const { signal } = options;
   return new Promise((resolve, reject) => {
     try {
+      throwIfAborted(signal);
       // Calculate center and zoom level for the bounding box at zoom 15
       const centerLng = (bounds.west + bounds.east) / 2;
       const centerLat = (bounds.north + bounds.south) / 2;
@@ -285,8 +289,19 @@ export function generateShadeMap(bounds, date = new Date(), output) {
         interactive: false,
         attributionControl: false
       });
+
+      const removeMap = () => {
+        map.remove();
+        if (container.parentNode) document.body.removeChild(container);
+      };
+      const onAbort = () => {
+        removeMap();
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
       
       map.on('load', () => {
+        if (signal?.aborted) return;
         // Add invisible 3D buildings layer (for shadow calculation only)
         map.addLayer({
           'id': '3d-buildings',
@@ -308,6 +323,7 @@ export function generateShadeMap(bounds, date = new Date(), output) {
         
         // Wait for tiles to load
         setTimeout(() => {
+          if (signal?.aborted) return;
           // Create and add shadow layer
           const shadowLayer = new BuildingShadows();
           shadowLayer.updateDate(date);
@@ -315,6 +331,8 @@ export function generateShadeMap(bounds, date = new Date(), output) {
           
           // Wait for shadows to render
           setTimeout(() => {
+            if (signal?.aborted) return;
+            signal?.removeEventListener('abort', onAbort);
             const result = {
               bounds,
               center: [centerLng, centerLat],
@@ -347,8 +365,7 @@ export function generateShadeMap(bounds, date = new Date(), output) {
                 height
               };
               
-              if (map) map.remove();
-              if (container && container.parentNode) document.body.removeChild(container);
+              removeMap();
               
             } else if (output === SHADE_TYPE.MAP) {
               result.map = map;
@@ -362,8 +379,8 @@ export function generateShadeMap(bounds, date = new Date(), output) {
       
       map.on('error', (error) => {
         // Clean up on error
-        if (map) map.remove();
-        if (container && container.parentNode) document.body.removeChild(container);
+        signal?.removeEventListener('abort', onAbort);
+        removeMap();
         reject(error);
       });
       
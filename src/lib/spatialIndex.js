@@ -0,0 +1,107 @@
+// Uniform grid over graph edges for nearest-segment queries
+const CELL_SIZE = 0.001; // degrees, roughly 100 m
+
+const METERS_PER_DEGREE_LAT = 110540;
+const METERS_PER_DEGREE_LON_AT_EQUATOR = 111320;
+
+const cellKey = (row, col) => `${row}:${col}`;
+
+/**
+ * Closest point on segment A-B to point P, in a local equirectangular projection
+ * around P (accurate to well under a metre at street scale)
+ * @returns {{t: number, distance: number, lat: number, lon: number}} t is the
+ *   position along A-B from 0 (at A) to 1 (at B); distance is in metres
+ */
+export function projectOntoSegment(lat, lon, latA, lonA, latB, lonB) {
+  const metersPerDegreeLon = METERS_PER_DEGREE_LON_AT_EQUATOR * Math.cos(lat * Math.PI / 180);
+  const ax = (lonA - lon) * metersPerDegreeLon;
+  const ay = (latA - lat) * METERS_PER_DEGREE_LAT;
+  const bx = (lonB - lon) * metersPerDegreeLon;
+  const by = (latB - lat) * METERS_PER_DEGREE_LAT;
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared > 0 ? Math.min(1, Math.max(0, -(ax * dx + ay * dy) / lengthSquared)) : 0;
+  const px = ax + t * dx;
+  const py = ay + t * dy;
+  return {
+    t,
+    distance: Math.sqrt(px * px + py * py),
+    lat: latA + t * (latB - latA),
+    lon: lonA + t * (lonB - lonA)
+  };
+}
+
+// Point a distance (metres) away from another along a compass bearing (degrees)
+export function offsetPoint(lat, lon, distance, bearing) {
+  const radians = bearing * Math.PI / 180;
+  const metersPerDegreeLon = METERS_PER_DEGREE_LON_AT_EQUATOR * Math.cos(lat * Math.PI / 180);
+  return [
+    lat + distance * Math.cos(radians) / METERS_PER_DEGREE_LAT,
+    lon + distance * Math.sin(radians) / metersPerDegreeLon
+  ];
+}
+
+export class EdgeIndex {
+  constructor(edgesMeta, coords) {
+    this.edgesMeta = edgesMeta;
+    this.coords = coords;
+    this.cells = new Map(); // cellKey -> [eid]
+    for (const edge of edgesMeta) {
+      this.insert(edge);
+    }
+  }
+
+  // Register the edge in every cell its bounding box touches
+  insert(edge) {
+    const [latA, lonA] = this.coords[edge.a];
+    const [latB, lonB] = this.coords[edge.b];
+    const minRow = Math.floor(Math.min(latA, latB) / CELL_SIZE);
+    const maxRow = Math.floor(Math.max(latA, latB) / CELL_SIZE);
+    const minCol = Math.floor(Math.min(lonA, lonB) / CELL_SIZE);
+    const maxCol = Math.floor(Math.max(lonA, lonB) / CELL_SIZE);
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        const key = cellKey(row, col);
+        if (!this.cells.has(key)) this.cells.set(key, []);
+        this.cells.get(key).push(edge.eid);
+      }
+    }
+  }
+
+  /**
+   * Find the edge segment closest to a point by searching rings of grid cells
+   * outwards until no unvisited cell can hold anything closer
+   * @returns {Object|null} {eid, t, distance, lat, lon} or null for an empty index
+   */
+  nearestEdge(lat, lon, maxRings = 50) {
+    const row = Math.floor(lat / CELL_SIZE);
+    const col = Math.floor(lon / CELL_SIZE);
+    const metersPerCell = CELL_SIZE * METERS_PER_DEGREE_LON_AT_EQUATOR * Math.cos(lat * Math.PI / 180);
+    const visited = new Set();
+    let best = null;
+
+    for (let ring = 0; ring <= maxRings; ring++) {
+      // Anything in ring r is at least (r - 1) cells away from the query point
+      if (best && best.distance < (ring - 1) * metersPerCell) break;
+
+      for (let r = row - ring; r <= row + ring; r++) {
+        for (let c = col - ring; c <= col + ring; c++) {
+          if (Math.max(Math.abs(r - row), Math.abs(c - col)) !== ring) continue;
+          for (const eid of this.cells.get(cellKey(r, c)) ?? []) {
+            if (visited.has(eid)) continue;
+            visited.add(eid);
+            const edge = this.edgesMeta[eid];
+            const [latA, lonA] = this.coords[edge.a];
+            const [latB, lonB] = this.coords[edge.b];
+            const projection = projectOntoSegment(lat, lon, latA, lonA, latB, lonB);
+            if (!best || projection.distance < best.distance) {
+              best = { eid, ...projection };
+            }
+          }
+        }
+      }
+    }
+    return best;
+  }
+}
@@ -0,0 +1,96 @@
+// Up to this many middle stops every permutation is tried (7! = 5040)
+const MAX_EXHAUSTIVE_STOPS = 7;
+
+function tourCost(order, costMatrix) {
+  let cost = 0;
+  for (let i = 0; i < order.length - 1; i++) {
+    cost += costMatrix[order[i]][order[i + 1]];
+  }
+  return cost;
+}
+
+function permutations(items) {
+  if (items.length <= 1) return [items];
+  const result = [];
+  items.forEach((item, i) => {
+    const rest = [...items.slice(0, i), ...items.slice(i + 1)];
+    for (const perm of permutations(rest)) {
+      result.push([item, ...perm]);
+    }
+  });
+  return result;
+}
+
+function nearestNeighbourOrder(middle, costMatrix) {
+  const remaining = new Set(middle);
+  const order = [0];
+  while (remaining.size > 0) {
+    const last = order[order.length - 1];
+    let best = null;
+    for (const candidate of remaining) {
+      if (best === null || costMatrix[last][candidate] < costMatrix[last][best]) {
+        best = candidate;
+      }
+    }
+    order.push(best);
+    remaining.delete(best);
+  }
+  return order;
+}
+
+// Reverse segments of the tour while that lowers the cost; the endpoints stay fixed
+function twoOpt(order, costMatrix) {
+  let best = order;
+  let bestCost = tourCost(best, costMatrix);
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 1; i < best.length - 2; i++) {
+      for (let j = i + 1; j < best.length - 1; j++) {
+        const candidate = [
+          ...best.slice(0, i),
+          ...best.slice(i, j + 1).reverse(),
+          ...best.slice(j + 1)
+        ];
+        const candidateCost = tourCost(candidate, costMatrix);
+        if (candidateCost < bestCost) {
+          best = candidate;
+          bestCost = candidateCost;
+          improved = true;
+        }
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Reorder the middle stops of a trip to minimize the total cost
+ * @param {Array<Array<number>>} costMatrix - costMatrix[i][j] is the cost from stop i to stop j;
+ *   stop 0 is the start and the last stop is the destination
+ * @returns {Array<number>} Stop indices in visiting order, starting with 0 and ending with the last stop
+ */
+export function optimizeStopOrder(costMatrix) {
+  const lastIdx = costMatrix.length - 1;
+  const middle = Array.from({ length: lastIdx - 1 }, (_, i) => i + 1);
+
+  if (middle.length <= 1) {
+    return [0, ...middle, lastIdx];
+  }
+
+  if (middle.length <= MAX_EXHAUSTIVE_STOPS) {
+    let bestOrder = null;
+    let bestCost = Infinity;
+    for (const perm of permutations(middle)) {
+      const order = [0, ...perm, lastIdx];
+      const cost = tourCost(order, costMatrix);
+      if (cost < bestCost) {
+        bestOrder = order;
+        bestCost = cost;
+      }
+    }
+    return bestOrder ?? [0, ...middle, lastIdx];
+  }
+
+  return twoOpt([...nearestNeighbourOrder(middle, costMatrix), lastIdx], costMatrix);
+}
@@ -0,0 +1,40 @@
+import { optimizeStopOrder } from './stopOrder';
+
+// Costs between stops along a line, laid out the way buildStopCostMatrix does:
+// nothing leaves the goal or enters the start
+const lineCosts = (positions) => positions.map((from, i) => positions.map((to, j) => {
+  if (i === j) return 0;
+  if (i === positions.length - 1 || j === 0) return Infinity;
+  return Math.abs(from - to);
+}));
+
+test('start and goal stay put with one stop or none in between', () => {
+  expect(optimizeStopOrder(lineCosts([0, 10]))).toEqual([0, 1]);
+  expect(optimizeStopOrder(lineCosts([0, 5, 10]))).toEqual([0, 1, 2]);
+});
+
+test('a few stops are visited in the cheapest of all orders', () => {
+  // Stop 1 is furthest along, stop 3 nearest the start
+  expect(optimizeStopOrder(lineCosts([0, 8, 5, 2, 10]))).toEqual([0, 3, 2, 1, 4]);
+});
+
+test('too many stops for every order are still walked without doubling back', () => {
+  // Nine middle stops shuffled along the line; nearest neighbour and 2-opt sort them
+  const positions = [0, 7, 3, 9, 1, 5, 8, 2, 6, 4, 10];
+  const order = optimizeStopOrder(lineCosts(positions));
+
+  expect(order[0]).toBe(0);
+  expect(order[order.length - 1]).toBe(positions.length - 1);
+  expect(order.map(i => positions[i])).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+});
+
+test('2-opt undoes a greedy choice that costs more later', () => {
+  // Nearest neighbour takes the stop at 1 first and has to come back for -2
+  const positions = [0, 1, -2, 3, 4, 5, 6, 7, 8, 9, 10];
+  const costs = lineCosts(positions);
+  const order = optimizeStopOrder(costs);
+  const cost = order.slice(1).reduce((sum, stop, i) => sum + costs[order[i]][stop], 0);
+
+  expect(order.slice(0, 3).map(i => positions[i])).toEqual([0, -2, 1]);
+  expect(cost).toBe(14);
+});
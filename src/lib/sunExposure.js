@@ -0,0 +1,91 @@
+import SunCalc from 'suncalc';
+import { distance } from '@turf/distance';
+
+// Clear-sky estimates of how strong direct sunlight is, from the solar altitude
+// and the day of the year. Clouds and haze only ever make it weaker.
+
+const SOLAR_CONSTANT_W = 1361; // W/m² above the atmosphere
+// Erythemally weighted irradiance of one UV index step (25 mW/m²)
+const ERYTHEMAL_W_PER_UV_INDEX = 0.025;
+// Standard erythemal dose: 100 J/m² of erythemally weighted UV
+const SED_J = 100;
+// UV index at which the sun counts at full strength when weighting routes ("very high")
+const UV_INDEX_REFERENCE = 8;
+
+// Relative air mass the sunlight passes through (Kasten & Young)
+function airMass(altitudeDeg) {
+  return 1 / (Math.sin(altitudeDeg * Math.PI / 180) + 0.50572 * Math.pow(altitudeDeg + 6.07995, -1.6364));
+}
+
+// The earth is closest to the sun in early January
+function sunDistanceFactor(date) {
+  const dayOfYear = (date - new Date(date.getFullYear(), 0, 0)) / 86400000;
+  return 1 + 0.033 * Math.cos(2 * Math.PI * (dayOfYear - 3) / 365);
+}
+
+/**
+ * Clear-sky strength of direct sunlight at a time and place
+ * @param {Date} date - Time
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Object} {altitude (radians), irradiance (W/m², direct normal), uvIndex}
+ */
+export function getSunIntensity(date, lat, lng) {
+  const { altitude } = SunCalc.getPosition(date, lat, lng);
+  if (altitude <= 0) return { altitude, irradiance: 0, uvIndex: 0 };
+  const distanceFactor = sunDistanceFactor(date);
+  // Meinel's clear-sky model for direct irradiance
+  const irradiance = SOLAR_CONSTANT_W * distanceFactor * Math.pow(0.7, Math.pow(airMass(altitude * 180 / Math.PI), 0.678));
+  // Empirical clear-sky UV index for typical ozone (Madronich)
+  const uvIndex = 12.5 * Math.pow(Math.sin(altitude), 2.42) * distanceFactor;
+  return { altitude, irradiance, uvIndex };
+}
+
+/**
+ * How much direct sun matters at a time and place, from 0 (sun down) to 1
+ * (UV index at or above the reference). Shade-seeking searches scale their
+ * shade preference by it.
+ */
+export function getSunWeight(date, lat, lng) {
+  return Math.min(1, getSunIntensity(date, lat, lng).uvIndex / UV_INDEX_REFERENCE);
+}
+
+/**
+ * Direct sun a walker gets on a route, leaving at a given time. Each segment
+ * counts by the part of it in the sun, at the sun's strength when it is walked.
+ * @param {Object} route - Route with coordinates, shade, cover, distance and duration
+ * @param {Date} departure - When the walk starts
+ * @returns {Object} {sunSeconds, irradianceDose (kJ/m²), uvDose (SED), peakUvIndex}
+ */
+export function computeSunExposure(route, departure) {
+  const secondsPerMeter = route.distance > 0 ? route.duration / route.distance : 0;
+  let elapsed = 0;
+  let sunSeconds = 0;
+  let irradianceDose = 0;
+  let uvDose = 0;
+  let peakUvIndex = 0;
+
+  for (let i = 1; i < route.coordinates.length; i++) {
+    const [lngA, latA] = route.coordinates[i - 1];
+    const [lngB, latB] = route.coordinates[i];
+    const seconds = distance([lngA, latA], [lngB, latB], { units: 'meters' }) * secondsPerMeter;
+    const sunFraction = route.cover?.[i - 1] ? 0 : 1 - (route.shade[i - 1] ?? 0);
+    if (sunFraction > 0 && seconds > 0) {
+      const midTime = new Date(departure.getTime() + (elapsed + seconds / 2) * 1000);
+      const { irradiance, uvIndex } = getSunIntensity(midTime, (latA + latB) / 2, (lngA + lngB) / 2);
+      const sunlit = seconds * sunFraction;
+      sunSeconds += sunlit;
+      irradianceDose += irradiance * sunlit;
+      uvDose += uvIndex * ERYTHEMAL_W_PER_UV_INDEX * sunlit;
+      peakUvIndex = Math.max(peakUvIndex, uvIndex);
+    }
+    elapsed += seconds;
+  }
+
+  return {
+    sunSeconds: Math.round(sunSeconds),
+    irradianceDose: Math.round(irradianceDose / 1000),
+    uvDose: Math.round(uvDose / SED_J * 100) / 100,
+    peakUvIndex: Math.round(peakUvIndex * 10) / 10
+  };
+}
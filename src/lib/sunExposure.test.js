@@ -0,0 +1,53 @@
+import { distance } from '@turf/distance';
+import { getSunIntensity, getSunWeight, computeSunExposure } from './sunExposure';
+
+// The tropic of Cancer at the June solstice: the sun is all but overhead at noon
+const TROPIC = { lat: 23.44, lng: 0 };
+const SOLSTICE_NOON = new Date('2024-06-21T12:02:00Z');
+
+test('getSunIntensity is strongest with the sun overhead and nothing at night', () => {
+  const noon = getSunIntensity(SOLSTICE_NOON, TROPIC.lat, TROPIC.lng);
+  expect(noon.altitude).toBeGreaterThan(1.5);
+  expect(noon.uvIndex).toBeGreaterThan(11);
+  expect(noon.uvIndex).toBeLessThan(13);
+  expect(noon.irradiance).toBeGreaterThan(900);
+  expect(noon.irradiance).toBeLessThan(1100);
+
+  // Low winter sun in the north passes through far more air
+  const winter = getSunIntensity(new Date('2024-12-21T12:00:00Z'), 55, 0);
+  expect(winter.uvIndex).toBeLessThan(1);
+  expect(winter.irradiance).toBeLessThan(noon.irradiance);
+
+  expect(getSunIntensity(new Date('2024-06-21T00:00:00Z'), 40, 0)).toMatchObject({ irradiance: 0, uvIndex: 0 });
+});
+
+test('getSunWeight tops out at full strength', () => {
+  expect(getSunWeight(SOLSTICE_NOON, TROPIC.lat, TROPIC.lng)).toBe(1);
+  expect(getSunWeight(new Date('2024-06-21T00:00:00Z'), 40, 0)).toBe(0);
+  const winter = getSunWeight(new Date('2024-12-21T12:00:00Z'), 55, 0);
+  expect(winter).toBeGreaterThan(0);
+  expect(winter).toBeLessThan(0.2);
+});
+
+test('computeSunExposure counts the sunny part of each segment, never covered ones', () => {
+  // Three equal segments: sunny, half shaded, under an arcade
+  const coordinates = [0, 1, 2, 3].map(i => [TROPIC.lng + i * 0.001, TROPIC.lat]);
+  const length = distance(coordinates[0], coordinates[1], { units: 'meters' });
+  const route = {
+    coordinates,
+    shade: [0, 0.5, 0],
+    cover: [null, null, 'arcade'],
+    distance: 3 * length,
+    duration: 3 * length / 1.4
+  };
+
+  const exposure = computeSunExposure(route, SOLSTICE_NOON);
+  expect(exposure.sunSeconds).toBe(Math.round(1.5 * length / 1.4));
+  expect(exposure.peakUvIndex).toBeGreaterThan(11);
+  // kJ/m² of direct sun and SED of UV over about two minutes in the sun
+  expect(exposure.irradianceDose).toBeGreaterThan(80);
+  expect(exposure.uvDose).toBeGreaterThan(0.3);
+
+  const shaded = computeSunExposure({ ...route, shade: [1, 1, 1] }, SOLSTICE_NOON);
+  expect(shaded).toEqual({ sunSeconds: 0, irradianceDose: 0, uvDose: 0, peakUvIndex: 0 });
+});
@@ -0,0 +1,88 @@
+import SunCalc from 'suncalc';
+import { PROFILE_LIMITS } from './routingProfiles';
+
+// Whether a walk is better in shade or in sun, from how warm it feels.
+// Apparent temperature follows the Australian Bureau of Meteorology formula
+// (Steadman), which accounts for humidity and wind but not for sunshine.
+
+export const COMFORT_LEVEL = {
+  COLD: 'cold',
+  COOL: 'cool',
+  COMFORTABLE: 'comfortable',
+  WARM: 'warm',
+  HOT: 'hot'
+};
+
+// Apparent temperature most people are comfortable walking at, and how far
+// either side of it shade or sun makes little difference
+const NEUTRAL_APPARENT_C = 21;
+const COMFORT_BAND_C = 3;
+// Beyond the band, the preference grows to its strongest over this many degrees
+const FULL_PREFERENCE_SPAN_C = 10;
+// Past the band by this much, warm turns hot and cool turns cold
+const EXTREME_C = 6;
+
+const DEFAULT_HUMIDITY = 50;
+
+/**
+ * Apparent temperature from air temperature, humidity and wind
+ * @param {Object} weather - temperature (°C), humidity (%) and windSpeed (m/s)
+ * @returns {number} Apparent temperature in °C
+ */
+export function apparentTemperature({ temperature, humidity = DEFAULT_HUMIDITY, windSpeed = 0 }) {
+  const vapourPressure = (humidity / 100) * 6.105 * Math.exp(17.27 * temperature / (237.7 + temperature));
+  return temperature + 0.33 * vapourPressure - 0.7 * windSpeed - 4;
+}
+
+const describeStrength = (preference) => {
+  const strength = Math.abs(preference);
+  if (strength >= 0.6) return 'strongly';
+  if (strength < 0.3) return 'a little';
+  return 'moderately';
+};
+
+/**
+ * Shade preference for a trip, with the reasoning behind it
+ * @param {Object|null} weather - Conditions at the start (see apparentTemperature),
+ *   null when they are unknown
+ * @param {Date} date - When the trip starts
+ * @param {Object} point - Where it starts ({lng, lat})
+ * @returns {Object} {shadePreference, apparentTemperature, level, reason}
+ */
+export function chooseShadePreference(weather, date, point) {
+  if (!weather || !Number.isFinite(weather.temperature)) {
+    return { shadePreference: 0, apparentTemperature: null, level: null, reason: 'No temperature available, so no preference for shade or sun' };
+  }
+
+  const feelsLike = apparentTemperature(weather);
+  const rounded = Math.round(feelsLike);
+  const deviation = feelsLike - NEUTRAL_APPARENT_C;
+  const beyondBand = Math.abs(deviation) - COMFORT_BAND_C;
+  let level = COMFORT_LEVEL.COMFORTABLE;
+  if (beyondBand > 0) {
+    const hot = deviation > 0;
+    const extreme = beyondBand > EXTREME_C;
+    level = hot
+      ? (extreme ? COMFORT_LEVEL.HOT : COMFORT_LEVEL.WARM)
+      : (extreme ? COMFORT_LEVEL.COLD : COMFORT_LEVEL.COOL);
+  }
+
+  const { altitude } = SunCalc.getPosition(date, point.lat, point.lng);
+  if (altitude <= 0) {
+    return { shadePreference: 0, apparentTemperature: feelsLike, level, reason: `Feels like ${rounded}°C, but the sun is down, so shade makes no difference` };
+  }
+  if (level === COMFORT_LEVEL.COMFORTABLE) {
+    return { shadePreference: 0, apparentTemperature: feelsLike, level, reason: `Feels like ${rounded}°C, comfortable either way, so no preference for shade or sun` };
+  }
+
+  const { max } = PROFILE_LIMITS.shadePreference;
+  const magnitude = Math.round(Math.min(max, max * beyondBand / FULL_PREFERENCE_SPAN_C) * 10) / 10 || 0.1;
+  const shadePreference = deviation > 0 ? magnitude : -magnitude;
+  const seeking = shadePreference > 0 ? 'shade' : 'sun';
+  return {
+    shadePreference,
+    apparentTemperature: feelsLike,
+    level,
+    reason: `Feels like ${rounded}°C, ${level}, so the route seeks ${seeking} ${describeStrength(shadePreference)}`
+  };
+}
@@ -0,0 +1,38 @@
+import { COMFORT_LEVEL, apparentTemperature, chooseShadePreference } from './thermalComfort';
+import { PROFILE_LIMITS } from './routingProfiles';
+
+const NOON = new Date('2024-06-21T12:00:00Z');
+const MIDNIGHT = new Date('2024-06-21T00:00:00Z');
+const POINT = { lat: 40, lng: 0 };
+
+test('apparentTemperature rises with humidity and falls with wind', () => {
+  expect(apparentTemperature({ temperature: 25, humidity: 50 })).toBeCloseTo(26.2, 1);
+  // Humidity defaults to 50%
+  expect(apparentTemperature({ temperature: 25 })).toBeCloseTo(26.2, 1);
+  expect(apparentTemperature({ temperature: 25, humidity: 90 })).toBeGreaterThan(29);
+  expect(apparentTemperature({ temperature: 25, humidity: 50, windSpeed: 5 })).toBeCloseTo(22.7, 1);
+});
+
+test.each([
+  [{ temperature: 20 }, COMFORT_LEVEL.COMFORTABLE, 0],
+  [{ temperature: 25 }, COMFORT_LEVEL.WARM, 0.2],
+  [{ temperature: 27 }, COMFORT_LEVEL.WARM, 0.4],
+  [{ temperature: 35 }, COMFORT_LEVEL.HOT, PROFILE_LIMITS.shadePreference.max],
+  [{ temperature: 14 }, COMFORT_LEVEL.COOL, -0.5],
+  [{ temperature: 12 }, COMFORT_LEVEL.COLD, -0.7]
+])('chooseShadePreference(%j) at noon is %s with preference %d', (weather, level, shadePreference) => {
+  const choice = chooseShadePreference(weather, NOON, POINT);
+  expect(choice.level).toBe(level);
+  expect(choice.shadePreference).toBeCloseTo(shadePreference, 5);
+  expect(choice.apparentTemperature).toBeCloseTo(apparentTemperature(weather), 5);
+  expect(choice.reason).toMatch(`Feels like ${Math.round(choice.apparentTemperature)}°C`);
+});
+
+test('chooseShadePreference has no preference at night or without a temperature', () => {
+  const night = chooseShadePreference({ temperature: 35 }, MIDNIGHT, POINT);
+  expect(night).toMatchObject({ shadePreference: 0, level: COMFORT_LEVEL.HOT });
+  expect(night.reason).toMatch('sun is down');
+
+  expect(chooseShadePreference(null, NOON, POINT)).toMatchObject({ shadePreference: 0, apparentTemperature: null, level: null });
+  expect(chooseShadePreference({ temperature: NaN }, NOON, POINT).shadePreference).toBe(0);
+});
@@ -10,4 +10,11 @@ export const formatDateTime = (date) => {
 
 export const parseDateTime = (dateTimeString) => {
   return new Date(dateTimeString);
-};
\ No newline at end of file
+};
+
+// "12:41", for showing departure and arrival times
+export const formatClockTime = (date) => {
+  const hours = String(date.getHours()).padStart(2, '0');
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  return `${hours}:${minutes}`;
+};
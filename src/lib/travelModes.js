@@ -0,0 +1,132 @@
+import { toblerSpeedFactor, MAX_TOBLER_FACTOR } from './elevationSampler';
+
+// How a trip is made. Each mode has its own street network (Overpass filter
+// and allowed highways), speed, response to gradients and reading of one-way
+// tags: walkers and runners go both ways along any street, cyclists only the
+// way traffic flows.
+
+export const TRAVEL_MODE = {
+  WALK: 'walk',
+  RUN: 'run',
+  BIKE: 'bike'
+};
+
+const FOOT_HIGHWAYS = [
+  'footway', 'path', 'pedestrian', 'steps', 'elevator', 'cycleway',
+  'residential', 'living_street', 'service', 'track',
+  'primary', 'secondary', 'tertiary', 'unclassified',
+  'primary_link', 'secondary_link', 'tertiary_link'
+];
+
+const BIKE_HIGHWAYS = [
+  'cycleway', 'path', 'footway', 'pedestrian',
+  'residential', 'living_street', 'service', 'track',
+  'primary', 'secondary', 'tertiary', 'unclassified',
+  'primary_link', 'secondary_link', 'tertiary_link'
+];
+
+const ALLOWED = ['yes', 'designated', 'permissive'];
+
+const SIDEWALK_KEYS = ['sidewalk', 'sidewalk:both', 'sidewalk:left', 'sidewalk:right'];
+
+// Overpass clauses for the ways each mode can use. Walkers skip roads whose
+// sidewalks are mapped as ways of their own, and cycleways they may not use.
+const footWays = (bbox) =>
+  `way["highway"]["area"!~"yes"]["access"!~"private"]["highway"!~"abandoned|bus_guideway|construction|cycleway|motor|no|planned|platform|proposed|raceway|razed|rest_area|services"]["foot"!~"no"]["service"!~"private"]["sidewalk"!~"separate"]["sidewalk:both"!~"separate"]["sidewalk:left"!~"separate"]["sidewalk:right"!~"separate"](${bbox});` +
+  `way["highway"="cycleway"]["foot"~"^(yes|designated|permissive)$"](${bbox});`;
+
+const bikeWays = (bbox) =>
+  `way["highway"]["area"!~"yes"]["access"!~"private"]["highway"!~"abandoned|bridleway|bus_guideway|construction|corridor|elevator|motor|no|planned|platform|proposed|raceway|razed|rest_area|services|steps"]["bicycle"!~"no"]["service"!~"private"](${bbox});`;
+
+const isFootAllowed = (tags) => {
+  if ((tags.access === 'private' || tags.access === 'no') && tags.foot !== 'yes') return false;
+  if (tags.foot === 'no') return false;
+  // Cycleways only when pedestrians are let on explicitly
+  if (tags.highway === 'cycleway') return ALLOWED.includes(tags.foot);
+  // Roads whose sidewalks are ways of their own are only there to be crossed
+  if (SIDEWALK_KEYS.some(key => tags[key] === 'separate')) return false;
+  return FOOT_HIGHWAYS.includes(tags.highway);
+};
+
+const isBikeAllowed = (tags) => {
+  if ((tags.access === 'private' || tags.access === 'no') && !ALLOWED.includes(tags.bicycle)) return false;
+  if (tags.bicycle === 'no' || tags.bicycle === 'dismount') return false;
+  // Footways and pedestrian streets only when bikes are let on explicitly
+  if (tags.highway === 'footway' || tags.highway === 'pedestrian') return ALLOWED.includes(tags.bicycle);
+  return BIKE_HIGHWAYS.includes(tags.highway);
+};
+
+// Cycling speed relative to the flat: climbs slow a rider down quickly,
+// descents speed them up only so far (0.63 up 5%, 1.25 down 5%)
+const MAX_BIKE_GRADE_FACTOR = 1.5;
+const bikeGradeFactor = (grade) => (grade >= 0
+  ? 1 / (1 + 12 * grade)
+  : Math.min(MAX_BIKE_GRADE_FACTOR, 1 - 5 * grade));
+
+const TRAVEL_MODES = {
+  [TRAVEL_MODE.WALK]: {
+    id: TRAVEL_MODE.WALK,
+    name: 'Walk',
+    activity: 'walking',
+    speedScale: 1, // relative to a profile's walking speed
+    overpassWays: footWays,
+    isWayAllowed: isFootAllowed,
+    preferredHighways: ['footway', 'path', 'pedestrian', 'steps'],
+    respectsOneway: false,
+    gradeFactor: toblerSpeedFactor,
+    maxGradeFactor: MAX_TOBLER_FACTOR
+  },
+  [TRAVEL_MODE.RUN]: {
+    id: TRAVEL_MODE.RUN,
+    name: 'Run',
+    activity: 'running',
+    speedScale: 2, // about 10 km/h for the default profiles
+    overpassWays: footWays,
+    isWayAllowed: isFootAllowed,
+    preferredHighways: ['footway', 'path', 'pedestrian', 'track'],
+    respectsOneway: false,
+    gradeFactor: toblerSpeedFactor,
+    maxGradeFactor: MAX_TOBLER_FACTOR
+  },
+  [TRAVEL_MODE.BIKE]: {
+    id: TRAVEL_MODE.BIKE,
+    name: 'Bike',
+    activity: 'cycling',
+    speedScale: 3.2, // about 16 km/h for the default profiles
+    overpassWays: bikeWays,
+    isWayAllowed: isBikeAllowed,
+    preferredHighways: ['cycleway', 'path'],
+    respectsOneway: true,
+    gradeFactor: bikeGradeFactor,
+    maxGradeFactor: MAX_BIKE_GRADE_FACTOR
+  }
+};
+
+export const getTravelMode = (id) => TRAVEL_MODES[id] ?? TRAVEL_MODES[TRAVEL_MODE.WALK];
+
+/**
+ * Which way a way can be travelled in a mode
+ * @param {Object} tags - OSM tags of the way
+ * @param {string} travelMode - TRAVEL_MODE value
+ * @returns {number} 1 along the way's node order only, -1 against it only, 0 both ways
+ */
+export function getOnewayDirection(tags, travelMode) {
+  if (!getTravelMode(travelMode).respectsOneway) return 0;
+  // Contraflow for bikes
+  if (tags['oneway:bicycle'] === 'no' || tags.cycleway?.startsWith('opposite')) return 0;
+  const oneway = tags['oneway:bicycle'] ?? tags.oneway;
+  if (oneway === 'yes' || oneway === 'true' || oneway === '1') return 1;
+  if (oneway === '-1' || oneway === 'reverse') return -1;
+  if (tags.junction === 'roundabout' && oneway !== 'no') return 1;
+  return 0;
+}
+
+// Whether a link of the graph can be travelled starting from fromIdx. Links of
+// one-way ways only go from their fromId; the rest go either way.
+export const canTraverse = (link, fromIdx) => !link.data.oneway || link.fromId === fromIdx;
+
+// A profile's speeds for a mode; profiles are set up for walking
+export const adaptProfile = (profile, travelMode) => ({
+  ...profile,
+  walkSpeed: profile.walkSpeed * getTravelMode(travelMode).speedScale
+});
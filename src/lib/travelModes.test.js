@@ -0,0 +1,39 @@
+import { TRAVEL_MODE, getTravelMode, getOnewayDirection, canTraverse } from './travelModes';
+
+test.each([
+  [{ highway: 'residential', oneway: 'yes' }, 1],
+  [{ highway: 'residential', oneway: '-1' }, -1],
+  [{ highway: 'residential', oneway: 'yes', 'oneway:bicycle': 'no' }, 0],
+  [{ highway: 'residential', oneway: 'yes', cycleway: 'opposite' }, 0],
+  [{ highway: 'residential', oneway: 'yes', cycleway: 'opposite_lane' }, 0],
+  [{ highway: 'primary', junction: 'roundabout' }, 1],
+  [{ highway: 'residential' }, 0]
+])('getOnewayDirection(%j) for bikes is %i', (tags, direction) => {
+  expect(getOnewayDirection(tags, TRAVEL_MODE.BIKE)).toBe(direction);
+  // Walkers and runners go both ways whatever the tags say
+  expect(getOnewayDirection(tags, TRAVEL_MODE.WALK)).toBe(0);
+  expect(getOnewayDirection(tags, TRAVEL_MODE.RUN)).toBe(0);
+});
+
+test.each([
+  [{ highway: 'residential' }, true, true],
+  [{ highway: 'residential', foot: 'no' }, false, true],
+  [{ highway: 'cycleway' }, false, true],
+  [{ highway: 'cycleway', foot: 'yes' }, true, true],
+  [{ highway: 'steps' }, true, false],
+  [{ highway: 'footway' }, true, false],
+  [{ highway: 'footway', bicycle: 'yes' }, true, true],
+  [{ highway: 'service', access: 'private' }, false, false],
+  [{ highway: 'primary', sidewalk: 'separate' }, false, true]
+])('%j is walkable: %s, rideable: %s', (tags, walkable, rideable) => {
+  expect(getTravelMode(TRAVEL_MODE.WALK).isWayAllowed(tags)).toBe(walkable);
+  expect(getTravelMode(TRAVEL_MODE.BIKE).isWayAllowed(tags)).toBe(rideable);
+});
+
+test('canTraverse only lets one-way links be followed from their start', () => {
+  const oneway = { fromId: 1, toId: 2, data: { oneway: true } };
+  const twoWay = { fromId: 1, toId: 2, data: { oneway: false } };
+  expect(canTraverse(oneway, 1)).toBe(true);
+  expect(canTraverse(oneway, 2)).toBe(false);
+  expect(canTraverse(twoWay, 2)).toBe(true);
+});
@@ -0,0 +1,216 @@
+import { debugLog, debugWarn } from './debugUtils';
+import { isAbortError } from './abort';
+
+// Ways data is fetched and cached in fixed tiles of TILE_SIZE degrees
+export const TILE_SIZE = 0.01; // roughly 1.1 km north-south
+const TILE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const DB_NAME = 'shadyDirections';
+const DB_VERSION = 1;
+const STORE_NAME = 'waysTiles';
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null);
+  }
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        // Private browsing and some embedded browsers refuse IndexedDB; run uncached
+        debugWarn('IndexedDB unavailable, ways data will not be cached:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+function runTransaction(db, mode, operation) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+async function readTile(key) {
+  const db = await openDatabase();
+  if (!db) return null;
+  try {
+    return await runTransaction(db, 'readonly', store => store.get(key));
+  } catch (error) {
+    debugWarn(`Failed to read cached tile ${key}:`, error);
+    return null;
+  }
+}
+
+async function writeTiles(records) {
+  const db = await openDatabase();
+  if (!db) return;
+  try {
+    await runTransaction(db, 'readwrite', store => {
+      records.forEach(record => store.put(record));
+    });
+  } catch (error) {
+    debugWarn('Failed to cache ways tiles:', error);
+  }
+}
+
+export async function clearWaysCache() {
+  const db = await openDatabase();
+  if (!db) return;
+  await runTransaction(db, 'readwrite', store => store.clear());
+}
+
+const tileKey = (namespace, row, col) => `${namespace}/${row}/${col}`;
+
+const tileBounds = (row, col) => ({
+  south: row * TILE_SIZE,
+  north: (row + 1) * TILE_SIZE,
+  west: col * TILE_SIZE,
+  east: (col + 1) * TILE_SIZE
+});
+
+function getTilesInRange(minRow, maxRow, minCol, maxCol) {
+  const tiles = [];
+  for (let row = minRow; row <= maxRow; row++) {
+    for (let col = minCol; col <= maxCol; col++) {
+      tiles.push({ row, col, bounds: tileBounds(row, col) });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * List the cache tiles covering a bounding box
+ * @param {Object} bounds - {west, east, north, south}
+ * @returns {Array<{row: number, col: number, bounds: Object}>}
+ */
+export function getTilesForBounds(bounds) {
+  return getTilesInRange(
+    Math.floor(bounds.south / TILE_SIZE),
+    Math.floor(bounds.north / TILE_SIZE),
+    Math.floor(bounds.west / TILE_SIZE),
+    Math.floor(bounds.east / TILE_SIZE)
+  );
+}
+
+// Split one Overpass response into per-tile element lists. A way goes into
+// every tile that holds one of its nodes, together with all of its nodes;
+// standalone nodes such as trees go into the tile they are in.
+function splitElementsIntoTiles(elements, tiles) {
+  const tileElements = new Map(tiles.map(tile => [`${tile.row}/${tile.col}`, []]));
+  const nodesById = new Map();
+  const wayNodeIds = new Set();
+  const nodeTileKey = (node) => `${Math.floor(node.lat / TILE_SIZE)}/${Math.floor(node.lon / TILE_SIZE)}`;
+  for (const el of elements) {
+    if (el.type === 'node') nodesById.set(el.id, el);
+    if (el.type === 'way') el.nodes.forEach(id => wayNodeIds.add(id));
+  }
+
+  for (const el of elements) {
+    if (el.type === 'node' && !wayNodeIds.has(el.id)) {
+      tileElements.get(nodeTileKey(el))?.push(el);
+    }
+    if (el.type !== 'way') continue;
+    const wayNodes = el.nodes.map(id => nodesById.get(id)).filter(Boolean);
+    const wayTiles = new Set(wayNodes.map(nodeTileKey));
+    for (const key of wayTiles) {
+      const bucket = tileElements.get(key);
+      if (!bucket) continue;
+      bucket.push(el, ...wayNodes);
+    }
+  }
+  return tileElements;
+}
+
+// Concatenate element lists, keeping the first copy of each node and way
+export function mergeElements(elementLists) {
+  const seen = new Set();
+  const merged = [];
+  for (const elements of elementLists) {
+    for (const el of elements) {
+      const id = `${el.type}/${el.id}`;
+      if (seen.has(id)) continue;
+      seen.add(id);
+      merged.push(el);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Assemble ways data for a bounding box from cached tiles, fetching only the
+ * tiles that are missing or expired
+ * @param {Object} bounds - {west, east, north, south}
+ * @param {Function} fetchWays - async (bounds, { signal }) => Overpass-shaped {elements}
+ * @param {Object} options - namespace separates caches for different queries;
+ *   signal aborts the fetch
+ * @returns {Promise<Object>} Overpass-shaped {elements}
+ */
+export async function getTiledWaysData(bounds, fetchWays, options = {}) {
+  const { namespace = 'ways', signal } = options;
+  const tiles = getTilesForBounds(bounds);
+  const now = Date.now();
+
+  const cached = await Promise.all(tiles.map(tile => readTile(tileKey(namespace, tile.row, tile.col))));
+  const freshElements = [];
+  const missingTiles = [];
+  tiles.forEach((tile, i) => {
+    const record = cached[i];
+    if (record && now - record.fetchedAt < TILE_TTL_MS) {
+      freshElements.push(record.elements);
+    } else {
+      missingTiles.push({ ...tile, stale: record });
+    }
+  });
+
+  debugLog(`Ways cache: ${tiles.length - missingTiles.length}/${tiles.length} tiles cached`);
+  if (missingTiles.length === 0) {
+    return { elements: mergeElements(freshElements) };
+  }
+
+  // One query for the rectangle spanning all missing tiles, split back into tiles
+  const rows = missingTiles.map(tile => tile.row);
+  const cols = missingTiles.map(tile => tile.col);
+  const fetchTiles = getTilesInRange(Math.min(...rows), Math.max(...rows), Math.min(...cols), Math.max(...cols));
+  const fetchBounds = {
+    south: Math.min(...rows) * TILE_SIZE,
+    north: (Math.max(...rows) + 1) * TILE_SIZE,
+    west: Math.min(...cols) * TILE_SIZE,
+    east: (Math.max(...cols) + 1) * TILE_SIZE
+  };
+
+  let fetched;
+  try {
+    fetched = await fetchWays(fetchBounds, { signal });
+  } catch (error) {
+    // On a flaky connection expired tiles are still better than nothing
+    if (!isAbortError(error) && missingTiles.every(tile => tile.stale)) {
+      debugWarn('Ways fetch failed, using expired cached tiles:', error);
+      return { elements: mergeElements([...freshElements, ...missingTiles.map(tile => tile.stale.elements)]) };
+    }
+    throw error;
+  }
+
+  const tileElements = splitElementsIntoTiles(fetched.elements, fetchTiles);
+  await writeTiles(fetchTiles.map(tile => ({
+    key: tileKey(namespace, tile.row, tile.col),
+    fetchedAt: now,
+    elements: tileElements.get(`${tile.row}/${tile.col}`)
+  })));
+
+  const requested = new Set(tiles.map(tile => `${tile.row}/${tile.col}`));
+  const fetchedElements = [...tileElements]
+    .filter(([key]) => requested.has(key))
+    .map(([, elements]) => elements);
+  return { elements: mergeElements([...freshElements, ...fetchedElements]) };
+}
@@ -0,0 +1,35 @@
+import { mergeElements, getTiledWaysData, getTilesForBounds } from './waysCache';
+
+const node = (id, lat, lon) => ({ type: 'node', id, lat, lon });
+const way = (id, nodes) => ({ type: 'way', id, nodes, tags: { highway: 'footway' } });
+
+test('mergeElements keeps the first copy of each node and way', () => {
+  const first = [node(1, 40.7, -74), way(1, [1, 2]), node(2, 40.701, -74)];
+  const second = [{ ...node(1, 40.7, -74), stale: true }, node(3, 40.702, -74), way(1, [1, 2])];
+
+  const merged = mergeElements([first, second]);
+  // A node and a way may share an id; only type and id together are one element
+  expect(merged.map(el => `${el.type}/${el.id}`)).toEqual(['node/1', 'way/1', 'node/2', 'node/3']);
+  expect(merged[0].stale).toBeUndefined();
+  expect(mergeElements([])).toEqual([]);
+});
+
+test('a way over a tile edge comes back once, with all of its nodes', async () => {
+  // Without IndexedDB every tile is missing, so the whole box is one fetch
+  const bounds = { south: 40.705, north: 40.715, west: -74.005, east: -73.995 };
+  const elements = [
+    node(1, 40.708, -74.001), node(2, 40.712, -74.001), node(3, 40.709, -73.998),
+    way(10, [1, 2])
+  ];
+  const fetchWays = jest.fn(async () => ({ elements }));
+
+  const { elements: merged } = await getTiledWaysData(bounds, fetchWays);
+
+  expect(getTilesForBounds(bounds)).toHaveLength(4);
+  expect(fetchWays).toHaveBeenCalledTimes(1);
+  const [fetchBounds] = fetchWays.mock.calls[0];
+  expect(fetchBounds.south).toBeLessThanOrEqual(bounds.south);
+  expect(fetchBounds.north).toBeGreaterThanOrEqual(bounds.north);
+  expect(merged.filter(el => el.type === 'way')).toHaveLength(1);
+  expect(merged.filter(el => el.type === 'node').map(el => el.id).sort()).toEqual([1, 2, 3]);
+});
@@ -0,0 +1,197 @@
+import { getTiledWaysData } from './waysCache';
+import { parseOsmXml, parseGeoJson, parseOsmPbf } from './osmParsers';
+import { debugLog, debugWarn } from './debugUtils';
+import { delay, isAbortError } from './abort';
+import { RouteError, ROUTE_ERROR_CODE, isTransientRouteError } from './routeErrors';
+import { TRAVEL_MODE, getTravelMode } from './travelModes';
+import { VEHICLE_ROADS } from './crossings';
+
+// A ways provider supplies the walkable network for a bounding box as
+// Overpass-shaped JSON ({elements: [...]}), whatever its actual source:
+//   { id, name, getWaysData: async (bounds, { signal, travelMode }) => ({ elements }) }
+// Providers that go to the network pass the abort signal on to fetch. Those
+// that can filter ask only for the ways the travel mode can use; the rest hand
+// over everything and leave it to buildGraph.
+
+export const DEFAULT_OVERPASS_URL = 'https://overpass-api.de/api/interpreter';
+
+// Public servers with the same data, tried in turn when one is busy or down
+export const DEFAULT_OVERPASS_URLS = [
+  DEFAULT_OVERPASS_URL,
+  'https://overpass.kumi.systems/api/interpreter',
+  'https://overpass.private.coffee/api/interpreter'
+];
+
+// Requests go round the servers this many times in all, waiting twice as long
+// after each failure
+const MAX_OVERPASS_ATTEMPTS = 4;
+const OVERPASS_RETRY_DELAY_MS = 1000;
+
+// Cached tiles from an older query lack what a newer one asks for; bump this
+// whenever the query changes
+const OVERPASS_QUERY_VERSION = 4;
+
+// Ways the travel mode can use, plus the trees, tree rows and woods that shade
+// them. Every road with traffic comes along too, walkable or not, so crossings
+// of roads whose sidewalks are mapped on their own are still found; buildGraph
+// leaves out the ones the mode cannot use.
+export function buildOverpassQuery(bounds, travelMode = TRAVEL_MODE.WALK) {
+  const bbox = `${bounds.south},${bounds.west},${bounds.north},${bounds.east}`;
+  const roads = `way["highway"~"^(${VEHICLE_ROADS.join('|')})$"](${bbox});`;
+  return `[out:json][timeout:180];(${getTravelMode(travelMode).overpassWays(bbox)}${roads}way["natural"~"^(tree_row|wood)$"](${bbox});way["landuse"="forest"](${bbox});>;node["natural"="tree"](${bbox}););out;`;
+}
+
+// One query to one server, with a failure turned into a RouteError
+async function requestOverpass(url, query, signal) {
+  const host = new URL(url).host;
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      signal,
+      body: query,
+      headers: {
+        'Content-Type': 'text/plain'
+      }
+    });
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    throw new RouteError(ROUTE_ERROR_CODE.NETWORK, `Could not reach ${host}`, { cause: error });
+  }
+  if (response.status === 429) {
+    throw new RouteError(ROUTE_ERROR_CODE.RATE_LIMITED, `Too many requests to ${host}`);
+  }
+  if (response.status === 504) {
+    throw new RouteError(ROUTE_ERROR_CODE.TIMEOUT, `${host} timed out`);
+  }
+  // A server that is down is worth trying elsewhere; a query it rejects is not
+  if (response.status >= 500) {
+    throw new RouteError(ROUTE_ERROR_CODE.NETWORK, `Overpass API request failed: ${response.status}`);
+  }
+  if (!response.ok) {
+    throw new Error(`Overpass API request failed: ${response.status}`);
+  }
+  const data = await response.json();
+  // A query that runs out of time or memory still comes back as 200, with a remark
+  if (data.remark?.includes('runtime error')) {
+    throw new RouteError(ROUTE_ERROR_CODE.TIMEOUT, `Overpass query failed on ${host}: ${data.remark}`);
+  }
+  return data;
+}
+
+/**
+ * Provider querying the Overpass API. Busy, slow or unreachable servers are
+ * retried with backoff, moving on to the next URL each time.
+ * @param {Object} options - urls: servers in order of preference; cache: keep tiles in IndexedDB
+ */
+export function createOverpassProvider(options = {}) {
+  const { urls = DEFAULT_OVERPASS_URLS, cache = true } = options;
+
+  const fetchWays = async (bounds, { signal, travelMode } = {}) => {
+    const query = buildOverpassQuery(bounds, travelMode);
+    let lastError = null;
+    for (let attempt = 0; attempt < MAX_OVERPASS_ATTEMPTS; attempt++) {
+      if (lastError) await delay(OVERPASS_RETRY_DELAY_MS * 2 ** (attempt - 1), signal);
+      const url = urls[attempt % urls.length];
+      try {
+        return await requestOverpass(url, query, signal);
+      } catch (error) {
+        if (!isTransientRouteError(error)) throw error;
+        debugWarn(`Overpass attempt ${attempt + 1}/${MAX_OVERPASS_ATTEMPTS} failed:`, error.message);
+        lastError = error;
+      }
+    }
+    throw lastError;
+  };
+
+  // The servers hold the same data, so they share one cache per travel mode
+  const primaryUrl = urls[0];
+  return {
+    id: 'overpass',
+    name: primaryUrl === DEFAULT_OVERPASS_URL ? 'Overpass API' : `Overpass (${new URL(primaryUrl).host})`,
+    getWaysData: (bounds, { signal, travelMode = TRAVEL_MODE.WALK } = {}) => (cache
+      ? getTiledWaysData(bounds, (tileBounds, options) => fetchWays(tileBounds, { ...options, travelMode }), {
+        namespace: `overpass:v${OVERPASS_QUERY_VERSION}:${travelMode}:${primaryUrl}`,
+        signal
+      })
+      : fetchWays(bounds, { signal, travelMode }))
+  };
+}
+
+// Keep the ways that have a node inside the bounds, plus every node they use
+// and the standalone nodes (trees) inside the bounds
+function clipElementsToBounds(elements, bounds) {
+  const nodesById = new Map();
+  for (const el of elements) {
+    if (el.type === 'node') nodesById.set(el.id, el);
+  }
+  const inBounds = (node) => node && node.lat >= bounds.south && node.lat <= bounds.north &&
+    node.lon >= bounds.west && node.lon <= bounds.east;
+
+  const ways = elements.filter(el => el.type === 'way' && el.nodes.some(id => inBounds(nodesById.get(id))));
+  const usedNodes = new Set(ways.flatMap(way => way.nodes));
+  const standaloneNodes = elements.filter(el => el.type === 'node' && el.tags?.natural === 'tree' && inBounds(el));
+  return [...elements.filter(el => el.type === 'node' && usedNodes.has(el.id)), ...standaloneNodes, ...ways];
+}
+
+// Provider over elements that are already in memory (an uploaded extract or a fixture)
+export function createElementsProvider(waysData, name = 'Local extract') {
+  return {
+    id: 'elements',
+    name,
+    getWaysData: async (bounds) => ({ elements: clipElementsToBounds(waysData.elements, bounds) })
+  };
+}
+
+// Provider backed by a JSON fixture served with the app, loaded on first use
+export function createFixtureProvider(url) {
+  let waysDataPromise = null;
+  return {
+    id: 'fixture',
+    name: `Fixture (${url})`,
+    getWaysData: async (bounds) => {
+      if (!waysDataPromise) {
+        waysDataPromise = fetch(url).then(response => {
+          if (!response.ok) throw new Error(`Failed to load ways fixture: ${response.status}`);
+          return response.json();
+        });
+      }
+      const waysData = await waysDataPromise;
+      return { elements: clipElementsToBounds(waysData.elements, bounds) };
+    }
+  };
+}
+
+/**
+ * Create a provider from a user-supplied .osm, .osm.pbf, .geojson or Overpass .json file
+ * @param {File} file - File picked by the user
+ * @returns {Promise<Object>} Ways provider
+ */
+export async function createFileProvider(file) {
+  const fileName = file.name.toLowerCase();
+  let waysData;
+  if (fileName.endsWith('.pbf')) {
+    waysData = await parseOsmPbf(await file.arrayBuffer());
+  } else if (fileName.endsWith('.osm') || fileName.endsWith('.xml')) {
+    waysData = parseOsmXml(await file.text());
+  } else {
+    const json = JSON.parse(await file.text());
+    // Overpass JSON already has the right shape; anything else is treated as GeoJSON
+    waysData = Array.isArray(json.elements) ? json : parseGeoJson(json);
+  }
+  debugLog(`Loaded ${waysData.elements.length} elements from ${file.name}`);
+  return createElementsProvider(waysData, file.name);
+}
+
+// Provider configured through the environment: a bundled fixture, a self-hosted
+// Overpass instance, or the public Overpass API
+export function getDefaultWaysProvider() {
+  if (process.env.REACT_APP_WAYS_FIXTURE_URL) {
+    return createFixtureProvider(process.env.REACT_APP_WAYS_FIXTURE_URL);
+  }
+  // A comma-separated list names mirrors to fall back on
+  const urls = process.env.REACT_APP_OVERPASS_URL
+    ? process.env.REACT_APP_OVERPASS_URL.split(',').map(url => url.trim()).filter(Boolean)
+    : DEFAULT_OVERPASS_URLS;
+  return createOverpassProvider({ urls });
+}
@@ -0,0 +1,100 @@
+import { debugLog } from './debugUtils';
+
+// A weather provider reports the conditions at a place and time, whatever its
+// actual source:
+//   { id, name, getWeather: async ({lat, lng}, date, { signal }) => ({ temperature, humidity, windSpeed }) }
+// Air temperature in °C, relative humidity in % and wind speed at 10 m in m/s;
+// humidity and wind speed may be missing.
+
+export const OPEN_METEO_URL = 'https://api.open-meteo.com/v1/forecast';
+
+// Hourly readings ({time, ...}) closest to a date
+function nearestHour(hours, date) {
+  let nearest = hours[0];
+  for (const hour of hours) {
+    if (Math.abs(new Date(hour.time) - date) < Math.abs(new Date(nearest.time) - date)) nearest = hour;
+  }
+  return nearest;
+}
+
+const utcDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Provider querying the Open-Meteo forecast API, which needs no key and
+ * covers the recent past as well as the next two weeks
+ * @param {string} url - Forecast endpoint
+ */
+export function createOpenMeteoProvider(url = OPEN_METEO_URL) {
+  return {
+    id: 'openMeteo',
+    name: 'Open-Meteo',
+    getWeather: async ({ lat, lng }, date, { signal } = {}) => {
+      const params = new URLSearchParams({
+        latitude: lat.toFixed(3),
+        longitude: lng.toFixed(3),
+        hourly: 'temperature_2m,relative_humidity_2m,wind_speed_10m',
+        wind_speed_unit: 'ms',
+        timezone: 'GMT',
+        start_date: utcDay(date),
+        end_date: utcDay(date)
+      });
+      const response = await fetch(`${url}?${params}`, { signal });
+      if (!response.ok) throw new Error(`Weather request failed: ${response.status}`);
+      const { hourly } = await response.json();
+      const hours = hourly.time.map((time, i) => ({
+        time: `${time}Z`,
+        temperature: hourly.temperature_2m[i],
+        humidity: hourly.relative_humidity_2m[i],
+        windSpeed: hourly.wind_speed_10m[i]
+      }));
+      const { time, ...weather } = nearestHour(hours, date);
+      debugLog(`Weather from Open-Meteo for ${time}: ${weather.temperature}°C, ${weather.humidity}%, ${weather.windSpeed} m/s`);
+      return weather;
+    }
+  };
+}
+
+/**
+ * Provider backed by a JSON file served with the app, loaded on first use.
+ * The file holds either one reading or {hours: [{time, temperature, humidity, windSpeed}]}.
+ * @param {string} url - JSON URL
+ */
+export function createJsonWeatherProvider(url) {
+  let dataPromise = null;
+  return {
+    id: 'json',
+    name: `Weather file (${url})`,
+    getWeather: async (point, date, { signal } = {}) => {
+      if (!dataPromise) {
+        dataPromise = fetch(url, { signal }).then(response => {
+          if (!response.ok) throw new Error(`Failed to load weather file: ${response.status}`);
+          return response.json();
+        });
+        // A failed or aborted load is tried again on the next request
+        dataPromise.catch(() => { dataPromise = null; });
+      }
+      const data = await dataPromise;
+      if (!Array.isArray(data.hours)) return data;
+      const { time, ...weather } = nearestHour(data.hours, date);
+      return weather;
+    }
+  };
+}
+
+// Provider that always reports the same conditions, such as a temperature the
+// user typed in
+export function createFixedWeatherProvider(weather, name = 'Entered by hand') {
+  return {
+    id: 'fixed',
+    name,
+    getWeather: async () => ({ ...weather })
+  };
+}
+
+// Provider configured through the environment: a bundled weather file, or Open-Meteo
+export function getDefaultWeatherProvider() {
+  if (process.env.REACT_APP_WEATHER_FIXTURE_URL) {
+    return createJsonWeatherProvider(process.env.REACT_APP_WEATHER_FIXTURE_URL);
+  }
+  return createOpenMeteoProvider();
+}
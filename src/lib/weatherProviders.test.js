@@ -0,0 +1,27 @@
+import { createJsonWeatherProvider } from './weatherProviders';
+
+const POINT = { lat: 40.7, lng: -74 };
+const jsonResponse = (body) => ({ ok: true, json: async () => body });
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('a weather file that fails to load is fetched again on the next request', async () => {
+  const hours = [
+    { time: '2024-06-21T12:00:00Z', temperature: 28, humidity: 60 },
+    { time: '2024-06-21T13:00:00Z', temperature: 30, humidity: 55 }
+  ];
+  global.fetch = jest.fn()
+    .mockResolvedValueOnce({ ok: false, status: 503 })
+    .mockResolvedValueOnce(jsonResponse({ hours }));
+  const provider = createJsonWeatherProvider('/weather.json');
+  const { signal } = new AbortController();
+
+  await expect(provider.getWeather(POINT, new Date('2024-06-21T12:40:00Z'), { signal })).rejects.toThrow('503');
+  await expect(provider.getWeather(POINT, new Date('2024-06-21T12:40:00Z'))).resolves.toEqual({ temperature: 30, humidity: 55 });
+  // Loaded once it succeeds
+  await provider.getWeather(POINT, new Date('2024-06-21T12:10:00Z'));
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+  expect(global.fetch.mock.calls[0][1].signal).toBe(signal);
+});
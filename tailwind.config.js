@@ -27,6 +27,7 @@ module.exports = {
         'sunny-route': '#fbbf24',
         'start-marker': '#00ff00',
         'end-marker': '#ff0000',
+        'waypoint-marker': '#3b82f6',
         'error-red': '#d73027'
       }
     },